@@ -0,0 +1,28 @@
+// Async Validation Composable
+// Runs debounced, cancellable server-side field checks (validation.remote)
+// Based on specs/001-form-config-generator/data-model.md
+
+import { ref, type Ref } from 'vue'
+import type { FieldDefinition, FormState, StepConfig } from '@/types/formConfig'
+import { createAsyncValidator } from '@/core/asyncValidator'
+
+export function useAsyncValidation(fields: Ref<FieldDefinition[]>, formState: Ref<FormState>, steps?: Ref<StepConfig[]>) {
+    /** Fields with a check in flight (field name → boolean) */
+    const validating = ref<Record<string, boolean>>({})
+
+    const validator = createAsyncValidator({
+        getFields: () => fields.value,
+        getState: () => formState.value,
+        getSteps: () => steps?.value,
+        validating: validating.value,
+    })
+
+    return {
+        validating,
+        hasAsyncValidation: validator.hasAsyncValidation,
+        scheduleValidation: validator.scheduleValidation,
+        validateAsync: validator.validateAsync,
+        reapplyResult: validator.reapplyResult,
+        cancel: validator.cancel,
+    }
+}
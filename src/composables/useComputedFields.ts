@@ -0,0 +1,26 @@
+// Computed Fields Composable
+// Re-evaluates `compute` expressions whenever form values change
+// Based on specs/001-form-config-generator/data-model.md
+
+import { watch, type Ref } from 'vue'
+import type { FieldDefinition, FormState } from '@/types/formConfig'
+import { applyComputedValues } from '@/core/computed'
+
+export function useComputedFields(
+    fields: Ref<FieldDefinition[]>,
+    formState: Ref<FormState>
+) {
+    /**
+     * Recomputes every computed field (only changed values are written)
+     */
+    function recompute(): string[] {
+        return applyComputedValues(fields.value, formState.value)
+    }
+
+    // Writes are skipped when nothing changed, so the deep watch settles after one extra run
+    watch(() => formState.value.values, recompute, { deep: true, immediate: true })
+
+    return {
+        recompute,
+    }
+}
@@ -0,0 +1,43 @@
+// Draft Persistence Composable - Autosaves form progress and offers to resume it
+// Based on specs/001-form-config-generator/data-model.md
+
+import { computed, onBeforeUnmount, onMounted, reactive, toRef, watch, type Ref } from 'vue'
+import type { FormConfig, FormState } from '@/types/formConfig'
+import { createDraftPersistence, type DraftState } from '@/core/draftPersistence'
+
+export function useDraftPersistence(config: Ref<FormConfig>, formState: Ref<FormState>) {
+    const state = reactive<DraftState>({ pendingDraft: null, lastSavedAt: null })
+
+    const drafts = createDraftPersistence({
+        getConfig: () => config.value,
+        getState: () => formState.value,
+        state,
+    })
+
+    // Autosave on any change to values, touched state, step or submit state
+    watch(
+        () => [formState.value.values, formState.value.touched, formState.value.currentStep, formState.value.submitState],
+        () => drafts.handleStateChange(),
+        { deep: true }
+    )
+
+    onMounted(() => {
+        window.addEventListener('pagehide', drafts.flushDraft)
+    })
+
+    onBeforeUnmount(() => {
+        window.removeEventListener('pagehide', drafts.flushDraft)
+        drafts.flushDraft()
+    })
+
+    return {
+        enabled: computed(() => Boolean(config.value.persistence)),
+        pendingDraft: toRef(state, 'pendingDraft'),
+        lastSavedAt: toRef(state, 'lastSavedAt'),
+        checkForDraft: drafts.checkForDraft,
+        resumeDraft: drafts.resumeDraft,
+        discardDraft: drafts.discardDraft,
+        saveDraft: drafts.saveDraft,
+        clearDraft: drafts.clearDraft,
+    }
+}
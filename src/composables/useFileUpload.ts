@@ -0,0 +1,36 @@
+// File Upload Composable - Tracks per-file upload progress with cancel/retry
+// Based on specs/001-form-config-generator/data-model.md
+
+import { computed, onBeforeUnmount, reactive, watch, type Ref } from 'vue'
+import type { FormConfig, FormState } from '@/types/formConfig'
+import { createFileUploader, type UploadEntry } from '@/core/fileUploader'
+
+export function useFileUpload(config: Ref<FormConfig>, formState: Ref<FormState>) {
+    /** Upload state keyed by the picked File object (reactive so progress re-renders) */
+    const uploads = reactive(new Map<Blob, UploadEntry>()) as Map<Blob, UploadEntry>
+
+    const uploader = createFileUploader({
+        getConfig: () => config.value,
+        getState: () => formState.value,
+        uploads,
+    })
+
+    const isPreUpload = computed(() => uploader.isPreUpload())
+
+    // Pre-upload starts as soon as files are picked, so submitting only waits for the rest
+    watch(
+        () => uploader.getFilePaths().map(path => uploader.getFiles(path)),
+        () => uploader.syncFiles()
+    )
+
+    onBeforeUnmount(() => uploader.dispose())
+
+    return {
+        isPreUpload,
+        getUploadStates: uploader.getUploadStates,
+        cancelUpload: uploader.cancelUpload,
+        retryUpload: uploader.retryUpload,
+        resolveUploadedIds: uploader.resolveUploadedIds,
+        trackMultipartRequest: uploader.trackMultipartRequest,
+    }
+}
@@ -0,0 +1,30 @@
+// I18n Composable - Localized text in the locale and catalogs of the enclosing form
+// Based on specs/001-form-config-generator/data-model.md
+
+import { computed, inject, provide, type InjectionKey, type Ref } from 'vue'
+import type { I18nContext, LocalizedText, MessageParams } from '@/types/i18n'
+import { resolveText, translate } from '@/services/i18n.service'
+
+const I18N_CONTEXT: InjectionKey<Ref<I18nContext>> = Symbol('i18nContext')
+
+/**
+ * Makes a form's locale and catalogs available to the components rendered inside it
+ */
+export function provideI18n(context: Ref<I18nContext>): void {
+    provide(I18N_CONTEXT, context)
+}
+
+/**
+ * Translates in the enclosing form's locale and catalogs (page-wide ones outside a form)
+ */
+export function useI18n() {
+    const context = inject(I18N_CONTEXT, undefined)
+    const getContext = (): I18nContext => context?.value ?? {}
+
+    return {
+        locale: computed(() => getContext().locale),
+        translate: (key: string, params?: MessageParams): string => translate(key, params, getContext()),
+        resolveText: (text: LocalizedText | undefined, params?: MessageParams): string =>
+            resolveText(text, params, getContext()),
+    }
+}
@@ -1,10 +1,10 @@
 // Constants for form configuration
 // Based on specs/001-form-config-generator/data-model.md
 
-import type { FieldType } from '@/types/formConfig'
+import type { BuiltInFieldType } from '@/types/formConfig'
 
 // Field types enum
-export const FIELD_TYPES: FieldType[] = [
+export const FIELD_TYPES: BuiltInFieldType[] = [
     'text',
     'email',
     'password',
@@ -21,6 +21,7 @@ export const FIELD_TYPES: FieldType[] = [
     'datetime',
     'toggle',
     'file',
+    'repeater',
 ]
 
 // Validation patterns
@@ -38,19 +39,92 @@ export const DEFAULT_MESSAGES = {
     required: 'This field is required',
     email: 'Please enter a valid email address',
     url: 'Please enter a valid URL',
-    minLength: 'Must be at least {min} characters',
-    maxLength: 'Must be at most {max} characters',
+    minLength: 'Must be at least {min, plural, one {# character} other {# characters}}',
+    maxLength: 'Must be at most {max, plural, one {# character} other {# characters}}',
     min: 'Must be at least {min}',
     max: 'Must be at most {max}',
     pattern: 'Invalid format',
     custom: 'Validation failed',
+    minItems: 'Must have at least {min, plural, one {# item} other {# items}}',
+    maxItems: 'Must have at most {max, plural, one {# item} other {# items}}',
+    remote: 'This value is not available',
+    date: 'Please enter a valid date',
+    time: 'Please enter a valid time',
+    minDate: 'Must be on or after {min}',
+    maxDate: 'Must be on or before {max}',
+    accept: 'File type is not allowed',
+    maxFileSize: 'File must be at most {max}',
+    maxFiles: 'Must have at most {max, plural, one {# file} other {# files}}',
+    invalidType: 'Expected {expected}, but received {received}',
 }
 
+// Default text of the renderer's own controls (catalog keys "ui.<name>")
+export const DEFAULT_UI_MESSAGES = {
+    previous: 'Previous',
+    next: 'Next',
+    submit: 'Submit',
+    retry: 'Retry',
+    checking: 'Checking…',
+    draftFound: 'You have an unfinished draft from {savedAt}. Resume where you left off?',
+    draftUnknownTime: 'an earlier visit',
+    resumeDraft: 'Resume draft',
+    startOver: 'Start over',
+    // Selects
+    selectPlaceholder: 'Select an option',
+    searchPlaceholder: 'Type to search',
+    searchMinChars: 'Type at least {minChars, plural, one {# character} other {# characters}} to search',
+    loading: 'Loading…',
+    noResults: 'No results',
+    // File uploads
+    chooseFile: 'Choose a file',
+    chooseFiles: 'Choose files',
+    dragAndDrop: 'or drag and drop',
+    maxFileSizeHint: 'up to {size}',
+    cancel: 'Cancel',
+    remove: 'Remove',
+    cancelUpload: 'Cancel upload of {name}',
+    retryUpload: 'Retry upload of {name}',
+    removeFile: 'Remove {name}',
+    uploading: 'Uploading {name}',
+    uploadDone: 'Uploaded',
+    uploadFailed: 'Upload failed',
+    uploadCancelled: 'Upload cancelled',
+    uploadPending: 'Waiting to upload',
+    // Repeaters
+    repeaterItem: 'Item',
+    repeaterAdd: 'Add {item}',
+    repeaterEmpty: 'Nothing added yet.',
+    moveRowUp: 'Move {item} {number} up',
+    moveRowDown: 'Move {item} {number} down',
+    removeRow: 'Remove {item} {number}',
+}
+
+// Prefix marking config text as a message catalog key ("i18n:fields.email.label")
+export const I18N_KEY_PREFIX = 'i18n:'
+
+// Default locale, also the last fallback for missing messages
+export const DEFAULT_LOCALE = 'en'
+
+// Languages written right to left
+export const RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ks', 'ps', 'sd', 'ug', 'ur', 'yi']
+
+// Config schema version this release reads; older configs are upgraded with migrateConfig
+export const CURRENT_CONFIG_VERSION = '1.1.0'
+
+// Default delay before async (remote) field validation runs (milliseconds)
+export const ASYNC_VALIDATION_DEBOUNCE = 500
+
+// Default delay before a searchable data source queries the server (milliseconds)
+export const DATA_SOURCE_SEARCH_DEBOUNCE = 300
+
+// Default delay before a draft autosave runs (milliseconds)
+export const DRAFT_AUTOSAVE_DEBOUNCE = 1000
+
 // HTTP methods
 export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] as const
 
 // State transition actions
-export const STATE_ACTIONS = ['navigate', 'nextStep', 'showMessage', 'callApi'] as const
+export const STATE_ACTIONS = ['navigate', 'nextStep', 'showMessage', 'callApi', 'mapErrors'] as const
 
 // Conditional operators
 export const CONDITIONAL_OPERATORS = [
@@ -66,4 +140,39 @@ export const CONDITIONAL_OPERATORS = [
     'isNotEmpty',
     'in',
     'notIn',
+    'matches',
+    'between',
+    'dateAfter',
+    'dateAfterOrEqual',
+    'dateBefore',
+    'dateBeforeOrEqual',
+] as const
+
+// Cross-field (globalValidation) validators
+export const CROSS_FIELD_VALIDATORS = [
+    'equals',
+    'notEquals',
+    'greaterThan',
+    'greaterThanOrEqual',
+    'lessThan',
+    'lessThanOrEqual',
+    'dateAfter',
+    'dateAfterOrEqual',
+    'dateBefore',
+    'dateBeforeOrEqual',
+    'requiredTogether',
+    'atLeastOne',
+    'mutuallyExclusive',
+] as const
+
+// Cross-field validators that compare consecutive fields (need at least two fields)
+export const ORDERED_CROSS_FIELD_VALIDATORS = [
+    'greaterThan',
+    'greaterThanOrEqual',
+    'lessThan',
+    'lessThanOrEqual',
+    'dateAfter',
+    'dateAfterOrEqual',
+    'dateBefore',
+    'dateBeforeOrEqual',
 ] as const
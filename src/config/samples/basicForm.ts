@@ -8,7 +8,7 @@ export const basicFormConfig: FormConfig = {
     metadata: {
         title: 'Contact Information Form',
         description: 'A simple form to collect basic contact details',
-        version: '1.0.0',
+        version: '1.1.0',
         tags: ['contact', 'basic', 'demo'],
     },
     steps: [
@@ -106,12 +106,18 @@ export const basicFormConfig: FormConfig = {
         headers: {
             'Content-Type': 'application/json',
         },
-        stateTransitions: [
-            {
+        stateTransitions: {
+            onSuccess: [
+                {
+                    action: 'showMessage',
+                    message: 'Form submitted successfully! Reference #response:id',
+                    delay: 500,
+                },
+            ],
+            onError: {
                 action: 'showMessage',
-                message: 'Form submitted successfully!',
-                delay: 500,
+                message: 'Submission failed. Please try again.',
             },
-        ],
+        },
     },
 }
@@ -8,7 +8,7 @@ export const complexForm: FormConfig = {
     metadata: {
         title: 'Product Order Form',
         description: 'Comprehensive order form demonstrating all dynamic form features',
-        version: '1.0.0',
+        version: '1.1.0',
     },
     steps: [
         {
@@ -458,16 +458,21 @@ export const complexForm: FormConfig = {
             ],
         },
     ],
-    submitButton: {
-        text: 'Complete Order',
-        loadingText: 'Processing...',
-    },
-    submitEndpoint: {
-        url: 'https://jsonplaceholder.typicode.com/posts',
+    submitConfig: {
+        endpoint: 'https://jsonplaceholder.typicode.com/posts',
         method: 'POST',
-    },
-    onSuccess: {
-        message: 'Order placed successfully! Check your email for confirmation.',
-        redirect: '/',
+        stateTransitions: {
+            onSuccess: [
+                {
+                    action: 'showMessage',
+                    message: 'Order placed successfully! Check your email for confirmation.',
+                },
+                {
+                    action: 'navigate',
+                    target: '/',
+                    delay: 1500,
+                },
+            ],
+        },
     },
 }
@@ -12,7 +12,7 @@ export const conditionalForm: FormConfig = {
     metadata: {
         title: 'Account Registration with Conditional Logic',
         description: 'Form with dynamic fields based on user selections',
-        version: '1.0.0',
+        version: '1.1.0',
         tags: ['conditional', 'dependencies', 'data-source'],
     },
     steps: [
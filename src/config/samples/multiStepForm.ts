@@ -6,13 +6,14 @@ import type { FormConfig } from '@/types/formConfig'
  * - Step 1: Personal Information
  * - Step 2: Contact Details
  * - Step 3: Preferences
+ * Progress is autosaved as a draft in localStorage
  */
 export const multiStepForm: FormConfig = {
     id: 'multi-step-onboarding',
     metadata: {
         title: 'User Onboarding',
         description: 'Complete the registration process in 3 easy steps',
-        version: '1.0.0',
+        version: '1.1.0',
         tags: ['onboarding', 'registration', 'multi-step'],
     },
     steps: [
@@ -221,4 +222,8 @@ export const multiStepForm: FormConfig = {
             },
         },
     },
+    persistence: {
+        storage: 'localStorage',
+        maxAge: 7 * 24 * 60 * 60 * 1000,
+    },
 }
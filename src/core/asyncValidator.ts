@@ -0,0 +1,234 @@
+// Async Validator - Runs debounced, cancellable server-side field checks (validation.remote)
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { FieldDefinition, FormState, StepConfig } from '@/types/formConfig'
+import type { AsyncValidationConfig } from '@/types/validation'
+import type { I18nContext } from '@/types/i18n'
+import { ASYNC_VALIDATION_DEBOUNCE } from '@/config/constants'
+import { validateRemote } from '@/services/validation.service'
+import { getValidationMessage } from '@/services/i18n.service'
+import { resolveTokensInObject } from '@/services/token.service'
+import { debounce, type DebouncedFunction } from '@/utils/debounce'
+import { isValidationActive } from '@/core/conditions'
+
+interface AsyncValidationResult {
+    /** Serialized request (value + resolved params/body) the result belongs to */
+    key: string
+    /** Error message, or null when the server accepted the value */
+    message: string | null
+}
+
+interface PendingCheck {
+    key: string
+    controller: AbortController
+    promise: Promise<string | null>
+}
+
+export interface AsyncValidatorOptions {
+    getFields: () => FieldDefinition[]
+    getState: () => FormState
+    /** All steps of the form, so validateIf reads fields hidden by showIf as empty */
+    getSteps?: () => StepConfig[] | undefined
+    /** The form's locale and catalogs for default messages (read on each check) */
+    i18n?: I18nContext
+    /** Fields with a check in flight (field name → boolean); pass a reactive object to observe it */
+    validating?: Record<string, boolean>
+    /** Called after the validator changes errors or validating flags */
+    onChange?: () => void
+}
+
+export type AsyncValidator = ReturnType<typeof createAsyncValidator>
+
+export function createAsyncValidator(options: AsyncValidatorOptions) {
+    const { getFields, getState, getSteps = () => undefined, i18n, onChange = () => {} } = options
+    const validating = options.validating ?? {}
+
+    const results = new Map<string, AsyncValidationResult>()
+    const pending = new Map<string, PendingCheck>()
+    const debouncers = new Map<string, DebouncedFunction<(fieldName: string) => Promise<void>>>()
+
+    // Message currently written into formState.errors per field, so it can be removed again
+    const appliedMessages = new Map<string, string>()
+
+    /**
+     * Gets the remote validation config for a field, if any (none while validateIf fails)
+     */
+    function getConfig(fieldName: string): AsyncValidationConfig | undefined {
+        const field = getFields().find(f => f.name === fieldName)
+        return field && isValidationActive(field, getState(), getSteps()) ? field.validation?.remote : undefined
+    }
+
+    /**
+     * Checks if a field has an async validator
+     */
+    function hasAsyncValidation(fieldName: string): boolean {
+        return Boolean(getConfig(fieldName))
+    }
+
+    /**
+     * Builds a key identifying the request a field's current value would send
+     */
+    function buildRequestKey(fieldName: string, config: AsyncValidationConfig): string {
+        return JSON.stringify({
+            value: getState().values[fieldName],
+            params: config.params ? resolveTokensInObject(config.params, getState()) : undefined,
+            body: config.body ? resolveTokensInObject(config.body, getState()) : undefined,
+        })
+    }
+
+    /**
+     * Runs the server check for a field and resolves to its error message (or null)
+     * Reuses the last result for an unchanged request and cancels superseded ones
+     */
+    function runCheck(fieldName: string): Promise<string | null> {
+        const config = getConfig(fieldName)
+        const value = getState().values[fieldName]
+
+        // Empty values are the job of the "required" rule
+        if (!config || value === undefined || value === null || value === '') {
+            cancel(fieldName)
+            results.delete(fieldName)
+            return Promise.resolve(null)
+        }
+
+        const key = buildRequestKey(fieldName, config)
+
+        const cached = results.get(fieldName)
+        if (cached?.key === key) {
+            return Promise.resolve(cached.message)
+        }
+
+        const inFlight = pending.get(fieldName)
+        if (inFlight?.key === key) {
+            return inFlight.promise
+        }
+
+        // A newer value supersedes the request in flight
+        inFlight?.controller.abort()
+
+        const controller = new AbortController()
+        validating[fieldName] = true
+        onChange()
+
+        const promise = validateRemote(config, getState(), controller.signal)
+            .then(result => {
+                if (controller.signal.aborted) {
+                    return pending.get(fieldName)?.promise ?? null
+                }
+
+                const message = result.valid
+                    ? null
+                    : result.message || getValidationMessage('remote', undefined, config.message, i18n)
+                results.set(fieldName, { key, message })
+                return message
+            })
+            .catch(error => {
+                if (controller.signal.aborted) {
+                    // Superseded - defer to the newer check
+                    return pending.get(fieldName)?.promise ?? null
+                }
+
+                // An unreachable validator should not block the user; the server re-checks on submit
+                console.error(`Async validation failed for ${fieldName}:`, error)
+                return null
+            })
+            .finally(() => {
+                if (pending.get(fieldName)?.controller === controller) {
+                    pending.delete(fieldName)
+                    validating[fieldName] = false
+                    onChange()
+                }
+            })
+
+        pending.set(fieldName, { key, controller, promise })
+        return promise
+    }
+
+    /**
+     * Writes (or removes) a field's async error in formState.errors
+     */
+    function applyResult(fieldName: string, message: string | null) {
+        const previous = appliedMessages.get(fieldName)
+        const existing = (getState().errors[fieldName] || []).filter(m => m !== previous)
+
+        if (message) {
+            getState().errors[fieldName] = [...existing, message]
+            appliedMessages.set(fieldName, message)
+        } else {
+            appliedMessages.delete(fieldName)
+            if (existing.length > 0) {
+                getState().errors[fieldName] = existing
+            } else {
+                delete getState().errors[fieldName]
+            }
+        }
+
+        onChange()
+    }
+
+    /**
+     * Re-applies the last known result after synchronous validation rewrote the errors
+     */
+    function reapplyResult(fieldName: string) {
+        appliedMessages.delete(fieldName)
+
+        const config = getConfig(fieldName)
+        const cached = results.get(fieldName)
+        if (config && cached?.message && cached.key === buildRequestKey(fieldName, config)) {
+            applyResult(fieldName, cached.message)
+        }
+    }
+
+    /**
+     * Schedules a debounced check for a field (call on value change)
+     */
+    function scheduleValidation(fieldName: string) {
+        const config = getConfig(fieldName)
+        if (!config) return
+
+        let debounced = debouncers.get(fieldName)
+        if (!debounced) {
+            debounced = debounce(async (name: string) => {
+                applyResult(name, await runCheck(name))
+            }, config.debounce ?? ASYNC_VALIDATION_DEBOUNCE)
+            debouncers.set(fieldName, debounced)
+        }
+
+        debounced(fieldName)
+    }
+
+    /**
+     * Runs checks for the given fields immediately (skipping the debounce) and
+     * resolves to true when none of them reported an error
+     */
+    async function validateAsync(fieldNames: string[]): Promise<boolean> {
+        const names = fieldNames.filter(hasAsyncValidation)
+
+        const messages = await Promise.all(names.map(name => {
+            debouncers.get(name)?.cancel()
+            return runCheck(name)
+        }))
+
+        names.forEach((name, index) => applyResult(name, messages[index] ?? null))
+        return messages.every(message => !message)
+    }
+
+    /**
+     * Cancels pending and in-flight checks for a field
+     */
+    function cancel(fieldName: string) {
+        debouncers.get(fieldName)?.cancel()
+        pending.get(fieldName)?.controller.abort()
+        pending.delete(fieldName)
+        validating[fieldName] = false
+    }
+
+    return {
+        validating,
+        hasAsyncValidation,
+        scheduleValidation,
+        validateAsync,
+        reapplyResult,
+        cancel,
+    }
+}
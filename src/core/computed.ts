@@ -0,0 +1,31 @@
+// Computed Fields - Keeps `compute` field values in sync with the fields they read
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { FieldDefinition, FormState } from '@/types/formConfig'
+import { computeValues } from '@/utils/computed'
+
+/**
+ * Re-evaluates computed fields and writes the values that changed into the state
+ * Returns the names of the fields that changed
+ */
+export function applyComputedValues(fields: FieldDefinition[], state: FormState): string[] {
+    const computed = computeValues(fields, state.values)
+    const changed: string[] = []
+
+    fields.forEach(field => {
+        if (!field.compute || isSameValue(state.values[field.name], computed[field.name])) return
+        state.values[field.name] = computed[field.name]
+        changed.push(field.name)
+    })
+
+    return changed
+}
+
+/**
+ * Compares computed results by content so arrays and objects don't count as changes on every run
+ */
+function isSameValue(a: any, b: any): boolean {
+    if (a === b) return true
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false
+    return JSON.stringify(a) === JSON.stringify(b)
+}
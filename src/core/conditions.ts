@@ -0,0 +1,455 @@
+// Conditions - Evaluates showIf, validateIf and conditional disabled rules
+// Based on specs/001-form-config-generator/data-model.md
+// Plain TypeScript (no Vue) so every renderer shares the same semantics
+
+import type { FieldDefinition, FormState, StepConfig } from '@/types/formConfig'
+import type { ConditionalOperator, ConditionalRule } from '@/types/conditional'
+import { resolveText } from '@/services/i18n.service'
+import { compareDateValues, resolveDateBound, type DateFieldType } from '@/utils/date'
+
+/** Reads a field's value for rule evaluation */
+export type ValueReader = (fieldName: string) => any
+
+/**
+ * Why a rule holds or not, clause by clause (for explaining hidden fields)
+ */
+export interface ConditionExplanation {
+    met: boolean
+    /** Readable clause, e.g. `country equals "US" (is "CA")` or `all of` */
+    description: string
+    children?: ConditionExplanation[]
+}
+
+/**
+ * Why a field is shown or hidden
+ */
+export interface FieldVisibilityExplanation {
+    visible: boolean
+    /** Title of the field's step, when the step itself is hidden */
+    hiddenStep?: string
+    /** The step's showIf, when the step is hidden */
+    step?: ConditionExplanation
+    /** The field's own showIf */
+    field?: ConditionExplanation
+}
+
+/**
+ * Resolves field and step visibility across the whole form
+ * A rule reading a hidden field (hidden by its own showIf or by its step's) sees it as empty,
+ * so references to fields on other steps stay correct when those fields are hidden
+ */
+export function createVisibilityResolver(steps: StepConfig[], state: Pick<FormState, 'values'>) {
+    const fieldSteps = new Map<string, { field: FieldDefinition; stepIndex: number }>()
+    steps.forEach((step, stepIndex) => {
+        step.fields.forEach((field) => fieldSteps.set(field.name, { field, stepIndex }))
+    })
+
+    const cache = new Map<string, boolean>()
+    const resolving = new Set<string>()
+
+    /**
+     * Caches a visibility result; a key already being resolved (a showIf cycle,
+     * reported by configParser) counts as visible so evaluation terminates
+     */
+    function resolve(key: string, evaluate: () => boolean): boolean {
+        const cached = cache.get(key)
+        if (cached !== undefined) return cached
+        if (resolving.has(key)) return true
+
+        resolving.add(key)
+        const visible = evaluate()
+        resolving.delete(key)
+        cache.set(key, visible)
+        return visible
+    }
+
+    function isStepVisible(stepIndex: number): boolean {
+        return resolve(`step:${stepIndex}`, () => {
+            const showIf = steps[stepIndex]?.showIf
+            return showIf ? evaluateCondition(showIf, state, readValue) : true
+        })
+    }
+
+    /**
+     * Checks a field's visibility (fields outside the form, e.g. repeater row fields, count as visible)
+     */
+    function isFieldVisible(fieldName: string): boolean {
+        const entry = fieldSteps.get(fieldName)
+        if (!entry) return true
+
+        return resolve(`field:${fieldName}`, () => {
+            if (!isStepVisible(entry.stepIndex)) return false
+            return entry.field.showIf ? evaluateCondition(entry.field.showIf, state, readValue) : true
+        })
+    }
+
+    function readValue(fieldName: string): any {
+        return isFieldVisible(fieldName) ? state.values[fieldName] : undefined
+    }
+
+    return {
+        isStepVisible,
+        isFieldVisible,
+        readValue,
+    }
+}
+
+export type VisibilityResolver = ReturnType<typeof createVisibilityResolver>
+
+/**
+ * Builds the visibility map (field name → visible) for a list of fields
+ * Fields without showIf are always visible. Pass the form's steps so rules
+ * referencing fields on other steps see those fields' visibility too
+ */
+export function getFieldVisibility(
+    fields: FieldDefinition[],
+    state: FormState,
+    steps: StepConfig[] = [{ id: '', title: '', fields }]
+): Record<string, boolean> {
+    const resolver = createVisibilityResolver(steps, state)
+    const visibilityMap: Record<string, boolean> = {}
+
+    fields.forEach((field) => {
+        visibilityMap[field.name] = field.showIf ? evaluateCondition(field.showIf, state, resolver.readValue) : true
+    })
+
+    return visibilityMap
+}
+
+/**
+ * Checks whether a step is visible (steps without showIf are always visible)
+ * Pass the form's steps so hidden fields the rule reads count as empty
+ */
+export function isStepVisible(step: StepConfig, state: FormState, steps?: StepConfig[]): boolean {
+    if (!step.showIf) return true
+    return evaluateCondition(step.showIf, state, getValueReader(state, steps))
+}
+
+/**
+ * Collects names of fields that are currently visible across the whole form:
+ * fields on hidden steps and fields whose own showIf fails are left out
+ */
+export function getVisibleFieldNames(steps: StepConfig[], state: FormState): Set<string> {
+    const resolver = createVisibilityResolver(steps, state)
+    const visibleFields = new Set<string>()
+
+    steps.forEach((step) => {
+        step.fields.forEach((field) => {
+            if (resolver.isFieldVisible(field.name)) {
+                visibleFields.add(field.name)
+            }
+        })
+    })
+
+    return visibleFields
+}
+
+/**
+ * Resolves a static flag or a conditional rule (e.g. `disabled`) against current form state
+ * Pass the form's steps so hidden fields the rule reads count as empty, as in showIf
+ */
+export function isConditionMet(
+    condition: boolean | ConditionalRule | undefined,
+    state: Pick<FormState, 'values'>,
+    steps?: StepConfig[]
+): boolean {
+    if (condition === undefined || typeof condition === 'boolean') return condition === true
+    return evaluateCondition(condition, state, getValueReader(state, steps))
+}
+
+/**
+ * Checks whether a field's validation rules apply (validateIf holds or is not set)
+ * Pass the form's steps so hidden fields the rule reads count as empty, as in showIf
+ */
+export function isValidationActive(field: FieldDefinition, state: Pick<FormState, 'values'>, steps?: StepConfig[]): boolean {
+    const validateIf = field.validation?.validateIf
+    return validateIf ? evaluateCondition(validateIf, state, getValueReader(state, steps)) : true
+}
+
+/**
+ * Checks whether a field is currently required (required, and validateIf holds)
+ */
+export function isFieldRequired(field: FieldDefinition, state: Pick<FormState, 'values'>, steps?: StepConfig[]): boolean {
+    return field.validation?.required === true && isValidationActive(field, state, steps)
+}
+
+/**
+ * The visibility-aware reader when the form's steps are known, else raw values
+ */
+function getValueReader(state: Pick<FormState, 'values'>, steps?: StepConfig[]): ValueReader | undefined {
+    return steps ? createVisibilityResolver(steps, state).readValue : undefined
+}
+
+/**
+ * Evaluates a conditional rule against current form state
+ * `readValue` overrides how referenced fields are read (e.g. hidden fields as empty)
+ */
+export function evaluateCondition(
+    rule: ConditionalRule,
+    state: Pick<FormState, 'values'>,
+    readValue: ValueReader = (fieldName) => state.values[fieldName]
+): boolean {
+    const isGroup = rule.field === undefined
+    let result = true
+
+    // Evaluate base condition
+    if (!isGroup) {
+        result = evaluateOperator(rule.operator, readValue(rule.field!), resolveCompareValue(rule.value, readValue))
+    }
+
+    // Handle AND conditions
+    if (rule.and && rule.and.length > 0) {
+        result = result && rule.and.every((subRule) => evaluateCondition(subRule, state, readValue))
+    }
+
+    // Handle OR conditions: an alternative to a field condition, a requirement within a group
+    if (rule.or && rule.or.length > 0) {
+        const anyMet = rule.or.some((subRule) => evaluateCondition(subRule, state, readValue))
+        result = isGroup ? result && anyMet : result || anyMet
+    }
+
+    // Handle NOT condition
+    if (rule.not) {
+        result = result && !evaluateCondition(rule.not, state, readValue)
+    }
+
+    return result
+}
+
+/**
+ * Explains a rule's outcome clause by clause (same semantics as evaluateCondition)
+ */
+export function explainCondition(
+    rule: ConditionalRule,
+    state: Pick<FormState, 'values'>,
+    readValue: ValueReader = (fieldName) => state.values[fieldName]
+): ConditionExplanation {
+    const isGroup = rule.field === undefined
+    const explain = (subRule: ConditionalRule) => explainCondition(subRule, state, readValue)
+
+    // The field comparison and the `and` rules must all hold
+    const clauses: ConditionExplanation[] = []
+    if (!isGroup) {
+        const actual = readValue(rule.field!)
+        const compareValue = resolveCompareValue(rule.value, readValue)
+        clauses.push({
+            met: evaluateOperator(rule.operator, actual, compareValue),
+            description: describeComparison(rule, compareValue, actual),
+        })
+    }
+    clauses.push(...(rule.and || []).map(explain))
+
+    let explanation = combineClauses(clauses)
+
+    // `or` rules are alternatives to a field comparison, a requirement within a group
+    if (rule.or && rule.or.length > 0) {
+        const alternatives = rule.or.map(explain)
+        if (isGroup) {
+            const anyOf = { met: alternatives.some((child) => child.met), description: 'any of', children: alternatives }
+            explanation = combineClauses([...clauses, anyOf])
+        } else {
+            const children = [explanation, ...alternatives]
+            explanation = { met: children.some((child) => child.met), description: 'any of', children }
+        }
+    }
+
+    if (rule.not) {
+        const negated = explain(rule.not)
+        const notClause = { met: !negated.met, description: 'not', children: [negated] }
+        explanation = clauses.length > 0 || rule.or?.length ? combineClauses([explanation, notClause]) : notClause
+    }
+
+    return explanation
+}
+
+/**
+ * Joins clauses that must all hold (a single clause is returned as-is)
+ */
+function combineClauses(clauses: ConditionExplanation[]): ConditionExplanation {
+    if (clauses.length === 0) return { met: true, description: 'no conditions' }
+    if (clauses.length === 1) return clauses[0]!
+    return { met: clauses.every((clause) => clause.met), description: 'all of', children: clauses }
+}
+
+/**
+ * Explains why a field is visible or hidden: its step's showIf first, then its own
+ */
+export function explainFieldVisibility(
+    fieldName: string,
+    steps: StepConfig[],
+    state: Pick<FormState, 'values'>
+): FieldVisibilityExplanation {
+    const resolver = createVisibilityResolver(steps, state)
+    const stepIndex = steps.findIndex((step) => step.fields.some((field) => field.name === fieldName))
+    const step = steps[stepIndex]
+    const field = step?.fields.find((f) => f.name === fieldName)
+
+    const explanation: FieldVisibilityExplanation = { visible: resolver.isFieldVisible(fieldName) }
+
+    if (step?.showIf && !resolver.isStepVisible(stepIndex)) {
+        explanation.hiddenStep = resolveText(step.title) || step.id
+        explanation.step = explainCondition(step.showIf, state, resolver.readValue)
+    }
+
+    if (field?.showIf) {
+        explanation.field = explainCondition(field.showIf, state, resolver.readValue)
+    }
+
+    return explanation
+}
+
+/**
+ * Resolves "form:fieldName" compare values to the referenced field's value
+ */
+function resolveCompareValue(value: any, readValue: ValueReader): any {
+    if (typeof value === 'string' && value.startsWith('form:')) {
+        return readValue(value.slice(5))
+    }
+    return value
+}
+
+/**
+ * Describes a field comparison with the value it actually saw
+ */
+function describeComparison(rule: ConditionalRule, compareValue: any, actual: any): string {
+    const format = (value: any) => (value === undefined ? 'empty' : JSON.stringify(value))
+    const reference = typeof rule.value === 'string' && rule.value.startsWith('form:') ? ` (${rule.value})` : ''
+    const expected = rule.operator === 'isEmpty' || rule.operator === 'isNotEmpty' ? '' : ` ${format(compareValue)}${reference}`
+    return `${rule.field} ${rule.operator}${expected} (is ${format(actual)})`
+}
+
+function isEmpty(value: any): boolean {
+    return (
+        value === undefined ||
+        value === null ||
+        value === '' ||
+        (Array.isArray(value) && value.length === 0)
+    )
+}
+
+/**
+ * Infers the date field type from a value's format ("14:30", "2024-05-01T14:30", "2024-05-01")
+ */
+function getDateType(value: string): DateFieldType {
+    if (value.includes('T')) return 'datetime'
+    return /^\d{2}:\d{2}/.test(value) ? 'time' : 'date'
+}
+
+/**
+ * Compares a date/time value with a bound ("today" or ISO); null when either is missing
+ */
+function compareDates(value: any, bound: any): number | null {
+    if (typeof value !== 'string' || value === '' || typeof bound !== 'string' || bound === '') return null
+    return compareDateValues(value, resolveDateBound(bound, getDateType(value)))
+}
+
+/**
+ * Evaluates a single operator
+ */
+function evaluateOperator(
+    operator: ConditionalOperator | undefined,
+    fieldValue: any,
+    compareValue: any
+): boolean {
+    switch (operator) {
+        case 'equals':
+            return fieldValue === compareValue
+
+        case 'notEquals':
+            return fieldValue !== compareValue
+
+        case 'contains':
+            if (typeof fieldValue === 'string') {
+                return fieldValue.includes(compareValue)
+            }
+            if (Array.isArray(fieldValue)) {
+                return fieldValue.includes(compareValue)
+            }
+            return false
+
+        case 'notContains':
+            if (typeof fieldValue === 'string') {
+                return !fieldValue.includes(compareValue)
+            }
+            if (Array.isArray(fieldValue)) {
+                return !fieldValue.includes(compareValue)
+            }
+            return true
+
+        case 'greaterThan':
+            return Number(fieldValue) > Number(compareValue)
+
+        case 'lessThan':
+            return Number(fieldValue) < Number(compareValue)
+
+        case 'greaterThanOrEqual':
+            return Number(fieldValue) >= Number(compareValue)
+
+        case 'lessThanOrEqual':
+            return Number(fieldValue) <= Number(compareValue)
+
+        case 'isEmpty':
+            return isEmpty(fieldValue)
+
+        case 'isNotEmpty':
+            return !isEmpty(fieldValue)
+
+        case 'in':
+            if (Array.isArray(compareValue)) {
+                return compareValue.includes(fieldValue)
+            }
+            return false
+
+        case 'notIn':
+            if (Array.isArray(compareValue)) {
+                return !compareValue.includes(fieldValue)
+            }
+            return true
+
+        case 'matches':
+            if (isEmpty(fieldValue) || typeof compareValue !== 'string') return false
+            try {
+                return new RegExp(compareValue).test(String(fieldValue))
+            } catch {
+                return false
+            }
+
+        case 'between': {
+            if (isEmpty(fieldValue) || !Array.isArray(compareValue) || compareValue.length !== 2) return false
+            const [min, max] = compareValue
+
+            // Numeric bounds compare numbers; string bounds compare dates
+            if (typeof min === 'number' || typeof max === 'number') {
+                const number = Number(fieldValue)
+                return !Number.isNaN(number) && number >= Number(min) && number <= Number(max)
+            }
+            const fromMin = compareDates(fieldValue, min)
+            const toMax = compareDates(fieldValue, max)
+            return fromMin !== null && toMax !== null && fromMin >= 0 && toMax <= 0
+        }
+
+        case 'dateAfter': {
+            const comparison = compareDates(fieldValue, compareValue)
+            return comparison !== null && comparison > 0
+        }
+
+        case 'dateAfterOrEqual': {
+            const comparison = compareDates(fieldValue, compareValue)
+            return comparison !== null && comparison >= 0
+        }
+
+        case 'dateBefore': {
+            const comparison = compareDates(fieldValue, compareValue)
+            return comparison !== null && comparison < 0
+        }
+
+        case 'dateBeforeOrEqual': {
+            const comparison = compareDates(fieldValue, compareValue)
+            return comparison !== null && comparison <= 0
+        }
+
+        default:
+            console.warn(`Unknown operator: ${operator}`)
+            return false
+    }
+}
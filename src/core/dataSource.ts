@@ -0,0 +1,451 @@
+// Data Source Loader - Fetches select options from APIs with caching, cancellation, parent reloads
+// and debounced, paginated server-side search
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { DataSourceConfig, DataSourceSearchConfig } from '@/types/conditional'
+import type { SelectOption } from '@/types/components'
+import type { FieldDefinition, FormState } from '@/types/formConfig'
+import { DATA_SOURCE_SEARCH_DEBOUNCE } from '@/config/constants'
+import { getApiClient } from '@/services/api.service'
+import { resolveTokensInObject } from '@/services/token.service'
+import { debounce, type DebouncedFunction } from '@/utils/debounce'
+
+export interface DataSourceState {
+    /** Fields with a request in flight (field name → boolean) */
+    loading: Record<string, boolean>
+    /** Last load error per field ('' when none) */
+    errors: Record<string, string>
+    /** Loaded options per field */
+    options: Record<string, SelectOption[]>
+    /** Searchable fields with another page to load */
+    hasMore: Record<string, boolean>
+    /** Last option picked per field, kept so its label shows while it is not in `options` */
+    selectedOptions: Record<string, SelectOption>
+}
+
+export interface DataSourceLoaderOptions {
+    getState: () => FormState
+    /** State to write loading flags, errors and options into; pass a reactive object to observe it */
+    state?: DataSourceState
+    /** Called after the loader changes its state or formState.fieldLoading */
+    onChange?: () => void
+}
+
+interface OptionPage {
+    options: SelectOption[]
+    /** Extra params that load the following page (null on the last page) */
+    next: Record<string, any> | null
+}
+
+interface DataSourceCache {
+    data: OptionPage
+    timestamp: number
+}
+
+interface PendingRequest {
+    key: string
+    controller: AbortController
+    promise: Promise<SelectOption[]>
+}
+
+interface SearchState {
+    query: string
+    next: Record<string, any> | null
+}
+
+// Shared by every form; keyed by endpoint, method and resolved params/body
+const cache = new Map<string, DataSourceCache>()
+
+export type DataSourceLoader = ReturnType<typeof createDataSourceLoader>
+
+export function createDataSourceLoader(options: DataSourceLoaderOptions) {
+    const { getState, onChange = () => {} } = options
+    const state = options.state ?? { loading: {}, errors: {}, options: {}, hasMore: {}, selectedOptions: {} }
+
+    const pending = new Map<string, PendingRequest>()
+    const searches = new Map<string, SearchState>()
+    const debouncers = new Map<string, DebouncedFunction<(config: DataSourceConfig, query: string) => void>>()
+
+    /**
+     * Fetches options for a field, resolving form:/store:/response: tokens in params and body
+     * A searchable field reruns its current search (an empty one until the user types)
+     */
+    function fetchOptions(fieldName: string, config: DataSourceConfig): Promise<SelectOption[]> {
+        if (config.search) {
+            return runSearch(fieldName, config, searches.get(fieldName)?.query ?? '')
+        }
+
+        return load(fieldName, config)
+    }
+
+    /**
+     * Searches a searchable field's options after the configured debounce
+     * Queries shorter than minChars clear the options right away
+     */
+    function search(fieldName: string, config: DataSourceConfig, query: string): void {
+        if (!config.search) return
+
+        const debounced = getDebouncer(fieldName, config.search)
+        debounced.cancel()
+
+        if (query.length < (config.search.minChars ?? 1)) {
+            runSearch(fieldName, config, query)
+            return
+        }
+
+        debounced(config, query)
+    }
+
+    /**
+     * Loads the next page of a searchable field's options and appends it
+     */
+    function loadMore(fieldName: string, config: DataSourceConfig): Promise<SelectOption[]> {
+        const next = searches.get(fieldName)?.next
+        if (!config.search || !next || pending.has(fieldName)) {
+            return Promise.resolve(state.options[fieldName] || [])
+        }
+
+        return load(fieldName, config, next, true)
+    }
+
+    /**
+     * Remembers the option picked for a field so its label survives later searches
+     */
+    function selectOption(fieldName: string, value: any): void {
+        const option = (state.options[fieldName] || []).find(o => String(o.value) === String(value))
+        if (option) {
+            state.selectedOptions[fieldName] = option
+        } else if (value === undefined || value === null || value === '') {
+            delete state.selectedOptions[fieldName]
+        }
+    }
+
+    /**
+     * Starts a new search from the first page (no request below minChars)
+     */
+    function runSearch(fieldName: string, config: DataSourceConfig, query: string): Promise<SelectOption[]> {
+        const searchConfig = config.search!
+        searches.set(fieldName, { query, next: null })
+        state.hasMore[fieldName] = false
+
+        if (query.length < (searchConfig.minChars ?? 1)) {
+            cancel(fieldName)
+            state.options[fieldName] = []
+            state.errors[fieldName] = ''
+            onChange()
+            return Promise.resolve([])
+        }
+
+        return load(fieldName, config, getFirstPageParams(searchConfig, query))
+    }
+
+    /**
+     * Requests one page of options; `extraParams` (search text, cursor, page) are added to the query
+     * A request for different params aborts the one in flight; an identical one is reused
+     */
+    function load(
+        fieldName: string,
+        config: DataSourceConfig,
+        extraParams?: Record<string, any>,
+        append = false
+    ): Promise<SelectOption[]> {
+        const resolvedParams = config.params ? resolveTokensInObject(config.params, getState()) : undefined
+        const params = extraParams ? { ...resolvedParams, ...extraParams } : resolvedParams
+        const body = config.body ? resolveTokensInObject(config.body, getState()) : undefined
+        const key = JSON.stringify({ endpoint: config.endpoint, method: config.method || 'GET', params, body })
+
+        // Check cache first
+        if (config.cache?.enabled) {
+            const cached = getCachedData(key, config.cache.ttl || 300)
+            if (cached) {
+                abortRequest(fieldName)
+                applyPage(fieldName, cached, append)
+                state.errors[fieldName] = ''
+                onChange()
+                return Promise.resolve(state.options[fieldName] || [])
+            }
+        }
+
+        const inFlight = pending.get(fieldName)
+        if (inFlight?.key === key) {
+            return inFlight.promise
+        }
+
+        // Parent or search text changed while loading - the older response is stale
+        inFlight?.controller.abort()
+
+        const controller = new AbortController()
+        // Searching must not disable the input the user is typing into
+        setLoading(fieldName, true, !config.search)
+        state.errors[fieldName] = ''
+        onChange()
+
+        const promise = getApiClient()
+            .request({
+                url: config.endpoint,
+                method: config.method || 'GET',
+                params,
+                data: body,
+                headers: config.headers,
+                signal: controller.signal,
+            })
+            .then(response => {
+                if (controller.signal.aborted) {
+                    return pending.get(fieldName)?.promise ?? []
+                }
+
+                const page = mapPage(response.data, config, extraParams)
+                applyPage(fieldName, page, append)
+
+                // Cache the result
+                if (config.cache?.enabled) {
+                    setCachedData(key, page)
+                }
+
+                return state.options[fieldName] || []
+            })
+            .catch((error: any): SelectOption[] | Promise<SelectOption[]> => {
+                if (controller.signal.aborted) {
+                    // Superseded - defer to the newer request
+                    return pending.get(fieldName)?.promise ?? []
+                }
+
+                const errorMessage =
+                    error.response?.data?.message ||
+                    error.message ||
+                    'Failed to load options'
+
+                state.errors[fieldName] = errorMessage
+                console.error(`Data source error for ${fieldName}:`, error)
+
+                return []
+            })
+            .finally(() => {
+                if (pending.get(fieldName)?.controller === controller) {
+                    pending.delete(fieldName)
+                    setLoading(fieldName, false)
+                    onChange()
+                }
+            })
+
+        pending.set(fieldName, { key, controller, promise })
+        return promise
+    }
+
+    /**
+     * Stores a loaded page, replacing the options or appending to them
+     */
+    function applyPage(fieldName: string, page: OptionPage, append: boolean) {
+        state.options[fieldName] = append
+            ? [...(state.options[fieldName] || []), ...page.options]
+            : page.options
+
+        const current = searches.get(fieldName)
+        if (current) {
+            current.next = page.next
+            state.hasMore[fieldName] = Boolean(page.next)
+        }
+    }
+
+    /**
+     * Gets the debounced search runner for a field
+     */
+    function getDebouncer(fieldName: string, searchConfig: DataSourceSearchConfig) {
+        let debounced = debouncers.get(fieldName)
+        if (!debounced) {
+            debounced = debounce(
+                (config: DataSourceConfig, query: string) => { runSearch(fieldName, config, query) },
+                searchConfig.debounce ?? DATA_SOURCE_SEARCH_DEBOUNCE
+            )
+            debouncers.set(fieldName, debounced)
+        }
+        return debounced
+    }
+
+    /**
+     * Reloads a dependent field's options after its parent changed (dependency.reloadOnParentChange)
+     * Stale options (and a search for the old parent) are dropped right away; with an empty parent
+     * there is nothing to load
+     */
+    function reloadForParent(field: FieldDefinition): Promise<SelectOption[]> {
+        const dependency = field.dependency
+        if (!field.dataSource || !dependency || dependency.reloadOnParentChange === false) {
+            return Promise.resolve(state.options[field.name] || [])
+        }
+
+        clearOptions(field.name)
+
+        const parentValue = getState().values[dependency.parent]
+        if (parentValue === undefined || parentValue === null || parentValue === '') {
+            return Promise.resolve([])
+        }
+
+        return fetchOptions(field.name, field.dataSource)
+    }
+
+    /**
+     * Retries fetching options after an error
+     */
+    function retryFetch(fieldName: string, config: DataSourceConfig): Promise<SelectOption[]> {
+        state.errors[fieldName] = ''
+        return fetchOptions(fieldName, config)
+    }
+
+    /**
+     * Cancels the request in flight (and a pending search) for a field
+     */
+    function cancel(fieldName: string) {
+        debouncers.get(fieldName)?.cancel()
+        abortRequest(fieldName)
+    }
+
+    /**
+     * Aborts the request in flight for a field
+     */
+    function abortRequest(fieldName: string) {
+        pending.get(fieldName)?.controller.abort()
+        pending.delete(fieldName)
+        setLoading(fieldName, false)
+    }
+
+    /**
+     * Clears options for a field (cancelling its request in flight)
+     */
+    function clearOptions(fieldName: string) {
+        cancel(fieldName)
+        searches.delete(fieldName)
+        state.options[fieldName] = []
+        state.errors[fieldName] = ''
+        state.hasMore[fieldName] = false
+        onChange()
+    }
+
+    /**
+     * Aborts every request in flight and every pending search
+     */
+    function dispose() {
+        debouncers.forEach(debounced => debounced.cancel())
+        Array.from(pending.keys()).forEach(cancel)
+    }
+
+    /**
+     * Keeps the loader's flag and formState.fieldLoading (set by parent changes) in sync
+     * Non-blocking loads (searches) only clear formState.fieldLoading
+     */
+    function setLoading(fieldName: string, loading: boolean, blockField = true) {
+        state.loading[fieldName] = loading
+
+        const formState = getState()
+        formState.fieldLoading = formState.fieldLoading || {}
+        formState.fieldLoading[fieldName] = loading && blockField
+    }
+
+    return {
+        state,
+        fetchOptions,
+        search,
+        loadMore,
+        selectOption,
+        reloadForParent,
+        retryFetch,
+        cancel,
+        clearOptions,
+        dispose,
+    }
+}
+
+/**
+ * Maps a response to a page of select options using the `from` path and `to` keys
+ * `extraParams` are the search/pagination params the page was requested with
+ */
+function mapPage(responseData: any, config: DataSourceConfig, extraParams?: Record<string, any>): OptionPage {
+    // Extract options from response using 'from' path
+    const data = config.from ? getNestedValue(responseData, config.from) : responseData
+
+    if (!Array.isArray(data)) {
+        throw new Error(`Expected array at path "${config.from || 'root'}", got ${typeof data}`)
+    }
+
+    // Support nested properties like 'name.common'
+    const options = data.map((item: any) => ({
+        value: String(getNestedValue(item, config.to.value)),
+        label: String(getNestedValue(item, config.to.label)),
+    }))
+
+    return { options, next: getNextPageParams(responseData, config, options.length, extraParams) }
+}
+
+/**
+ * Builds the params for the first page of a search
+ */
+function getFirstPageParams(search: DataSourceSearchConfig, query: string): Record<string, any> {
+    const params: Record<string, any> = { [search.param]: query }
+    const pagination = search.pagination
+
+    if (pagination?.type === 'page') {
+        params[pagination.param] = pagination.firstPage ?? 1
+    }
+    if (pagination?.pageSizeParam && pagination.pageSize) {
+        params[pagination.pageSizeParam] = pagination.pageSize
+    }
+
+    return params
+}
+
+/**
+ * Builds the params for the page after this one, or null when this was the last page
+ */
+function getNextPageParams(
+    responseData: any,
+    config: DataSourceConfig,
+    count: number,
+    extraParams: Record<string, any> = {}
+): Record<string, any> | null {
+    const pagination = config.search?.pagination
+    if (!pagination) return null
+
+    if (pagination.type === 'cursor') {
+        const cursor = pagination.cursorFrom ? getNestedValue(responseData, pagination.cursorFrom) : undefined
+        if (cursor === undefined || cursor === null || cursor === '') return null
+        return { ...extraParams, [pagination.param]: cursor }
+    }
+
+    if (count === 0 || (pagination.pageSize && count < pagination.pageSize)) return null
+    const page = Number(extraParams[pagination.param] ?? pagination.firstPage ?? 1)
+    return { ...extraParams, [pagination.param]: page + 1 }
+}
+
+/**
+ * Gets cached data if still valid
+ */
+function getCachedData(key: string, ttl: number): OptionPage | null {
+    const cached = cache.get(key)
+    if (!cached) return null
+
+    const isExpired = Date.now() - cached.timestamp > ttl * 1000
+    if (isExpired) {
+        cache.delete(key)
+        return null
+    }
+
+    return cached.data
+}
+
+/**
+ * Stores data in cache
+ */
+function setCachedData(key: string, data: OptionPage) {
+    cache.set(key, {
+        data,
+        timestamp: Date.now(),
+    })
+}
+
+/**
+ * Gets nested value from object using dot notation
+ */
+function getNestedValue(obj: any, path: string): any {
+    return path.split('.').reduce((current, key) => {
+        return current?.[key]
+    }, obj)
+}
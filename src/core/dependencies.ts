@@ -0,0 +1,101 @@
+// Dependencies - Parent/child field rules (reset, reload, disable until parent is set)
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { FieldDefinition, FormState, StepConfig } from '@/types/formConfig'
+import type { DataSourceLoader } from '@/core/dataSource'
+import { getEmptyValue } from '@/services/fieldType.service'
+import { isConditionMet } from '@/core/conditions'
+
+/**
+ * Applies a changed value to every field depending on it, on any step
+ * Each child is reset and its options reloaded; a child whose value the reset changed
+ * passes the change on to its own children (country → state → city).
+ * The form engine's setValue and the Vue renderer both call this after a user edit.
+ */
+export function applyValueChange(
+    fieldName: string,
+    fields: FieldDefinition[],
+    state: FormState,
+    dataSources?: Pick<DataSourceLoader, 'reloadForParent'>,
+    visited: Set<string> = new Set()
+): void {
+    visited.add(fieldName)
+
+    fields
+        .filter(field => field.dependency?.parent === fieldName && !visited.has(field.name))
+        .forEach(field => {
+            const previous = state.values[field.name]
+            applyParentChange(field, state)
+            dataSources?.reloadForParent(field)
+
+            if (state.values[field.name] !== previous) {
+                applyValueChange(field.name, fields, state, dataSources, visited)
+            }
+        })
+}
+
+/**
+ * Applies a parent value change to a dependent field
+ * Resets the child (unless resetOnChange is false) and flags a dataSource reload
+ * (the data source loader's reloadForParent refetches and clears the flag)
+ */
+export function applyParentChange(field: FieldDefinition, state: FormState): void {
+    const dependency = field.dependency
+    if (!dependency) return
+
+    // Reset child field value if configured (default true)
+    if (dependency.resetOnChange !== false) {
+        resetFieldValue(field, state)
+    }
+
+    // Update field loading state if it has dataSource
+    if (field.dataSource && dependency.reloadOnParentChange !== false) {
+        state.fieldLoading = state.fieldLoading || {}
+        state.fieldLoading[field.name] = true
+    }
+}
+
+/**
+ * Resets a field's value to its default or the empty value of its type
+ */
+export function resetFieldValue(field: FieldDefinition, state: FormState): void {
+    if (field.defaultValue !== undefined) {
+        state.values[field.name] = field.defaultValue
+    } else {
+        // Reset to the empty value of the field type (built-in or registered)
+        state.values[field.name] = getEmptyValue(field.type)
+    }
+
+    // Clear errors for this field
+    if (state.errors[field.name]) {
+        delete state.errors[field.name]
+    }
+
+    // Mark as untouched
+    state.touched[field.name] = false
+}
+
+/**
+ * Checks if a field should be disabled: its own `disabled` flag or rule, or an unset parent
+ * Pass the form's steps so the rule reads fields hidden by showIf as empty
+ */
+export function isFieldDisabled(field: FieldDefinition, state: FormState, steps?: StepConfig[]): boolean {
+    const disabled = isConditionMet(field.disabled, state, steps)
+
+    if (!field.dependency?.parent) {
+        return disabled
+    }
+
+    const dependency = field.dependency
+    const disableUntilParent = dependency.disableUntilParent !== false
+
+    if (!disableUntilParent) {
+        return disabled
+    }
+
+    const parentValue = state.values[dependency.parent]
+    const hasParentValue =
+        parentValue !== undefined && parentValue !== null && parentValue !== ''
+
+    return !hasParentValue || disabled
+}
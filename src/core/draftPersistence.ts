@@ -0,0 +1,258 @@
+// Draft Persistence - Autosaves form progress and offers to resume it
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { FormConfig, FormState } from '@/types/formConfig'
+import type { DraftStorageAdapter, FormDraft } from '@/types/persistence'
+import { DRAFT_AUTOSAVE_DEBOUNCE } from '@/config/constants'
+import { createDraftStorage } from '@/services/draft.service'
+import { debounce } from '@/utils/debounce'
+
+export interface DraftState {
+    /** Draft found on load, waiting for the user to resume it or start over */
+    pendingDraft: FormDraft | null
+    lastSavedAt: string | null
+}
+
+export interface DraftPersistenceOptions {
+    getConfig: () => FormConfig
+    getState: () => FormState
+    /** Draft state, mutated in place (pass a reactive object to observe it) */
+    state?: DraftState
+    /** Called after the draft state changes */
+    onChange?: () => void
+}
+
+export type DraftPersistence = ReturnType<typeof createDraftPersistence>
+
+export function createDraftPersistence(options: DraftPersistenceOptions) {
+    const { getConfig, getState, onChange = () => {} } = options
+    const state: DraftState = options.state ?? { pendingDraft: null, lastSavedAt: null }
+
+    const getPersistence = () => getConfig().persistence
+    const getStorageKey = () => getPersistence()?.key || `form-draft:${getConfig().id}`
+    const getDraftVersion = () => getPersistence()?.version || getConfig().metadata.version
+
+    // Autosave starts once the user has decided what to do with an existing draft,
+    // so an untouched form never overwrites it
+    let autosaveEnabled = false
+    let dirty = false
+    let storage: DraftStorageAdapter | null = null
+    // Saved content of the last seen state, so changes to errors or loading flags don't autosave
+    let lastContent: string | null = null
+
+    function getStorage(): DraftStorageAdapter | null {
+        const persistence = getPersistence()
+        if (!persistence) return null
+
+        if (!storage) {
+            try {
+                storage = createDraftStorage(persistence)
+            } catch (error) {
+                console.error('Draft storage unavailable:', error)
+                return null
+            }
+        }
+        return storage
+    }
+
+    /**
+     * Checks if a stored draft belongs to this draft version and is recent enough
+     */
+    function isUsableDraft(draft: FormDraft): boolean {
+        if (draft.version !== getDraftVersion()) return false
+
+        const maxAge = getPersistence()?.maxAge
+        if (maxAge !== undefined && Date.now() - Date.parse(draft.savedAt) > maxAge) return false
+
+        return typeof draft.values === 'object' && draft.values !== null
+    }
+
+    /**
+     * Loads the stored draft; outdated drafts are removed
+     * Resolves to the draft awaiting a resume/start-over decision, if any
+     */
+    async function checkForDraft(): Promise<FormDraft | null> {
+        const adapter = getStorage()
+        if (!adapter) return null
+
+        try {
+            const draft = await adapter.load(getStorageKey())
+
+            if (draft && isUsableDraft(draft)) {
+                state.pendingDraft = draft
+                onChange()
+                return draft
+            }
+
+            if (draft) {
+                await adapter.clear(getStorageKey())
+            }
+        } catch (error) {
+            console.error('Failed to load draft:', error)
+        }
+
+        enableAutosave()
+        return null
+    }
+
+    /**
+     * Restores the pending draft into the form state
+     * Values are written directly rather than as user edits, so no dependency reset runs
+     * and dependent fields keep their restored values
+     */
+    function resumeDraft(): FormDraft | null {
+        const draft = state.pendingDraft
+        if (!draft) return null
+
+        const formState = getState()
+        formState.values = { ...formState.values, ...draft.values }
+        formState.touched = { ...(draft.touched || {}) }
+        formState.currentStep = draft.currentStep ?? 0
+        formState.errors = {}
+
+        state.pendingDraft = null
+        enableAutosave()
+        onChange()
+        return draft
+    }
+
+    /**
+     * Drops the pending draft and starts with a fresh form
+     */
+    async function discardDraft(): Promise<void> {
+        state.pendingDraft = null
+        enableAutosave()
+        onChange()
+        await clearDraft()
+    }
+
+    function enableAutosave(): void {
+        autosaveEnabled = true
+        lastContent = getContent()
+    }
+
+    /**
+     * Builds a draft from the current state, leaving out excluded, password and file fields
+     */
+    function createSnapshot(): FormDraft {
+        const formState = getState()
+        const excluded = new Set(getPersistence()?.exclude || [])
+        getConfig().steps.forEach(step => {
+            step.fields.forEach(field => {
+                // Passwords must not be stored; picked files cannot be serialized
+                if (field.type === 'password' || field.type === 'file') excluded.add(field.name)
+            })
+        })
+
+        const values = Object.fromEntries(
+            Object.entries(formState.values).filter(([name]) => !excluded.has(name))
+        )
+
+        // JSON round trip strips reactivity (IndexedDB cannot clone proxies)
+        return JSON.parse(JSON.stringify({
+            version: getDraftVersion(),
+            savedAt: new Date().toISOString(),
+            values,
+            touched: formState.touched,
+            currentStep: formState.currentStep ?? 0,
+        }))
+    }
+
+    /**
+     * The parts of a draft that change with user input (values, touched state and step)
+     */
+    function getContent(): string {
+        const { values, touched, currentStep } = createSnapshot()
+        return JSON.stringify({ values, touched, currentStep })
+    }
+
+    /**
+     * Saves the current state immediately
+     */
+    async function saveDraft(): Promise<void> {
+        const adapter = getStorage()
+        if (!adapter || !autosaveEnabled) return
+
+        dirty = false
+        const draft = createSnapshot()
+
+        try {
+            await adapter.save(getStorageKey(), draft)
+            state.lastSavedAt = draft.savedAt
+            onChange()
+        } catch (error) {
+            console.error('Failed to save draft:', error)
+        }
+    }
+
+    /**
+     * Removes the stored draft
+     */
+    async function clearDraft(): Promise<void> {
+        autosaveDebounced.cancel()
+        dirty = false
+
+        try {
+            await getStorage()?.clear(getStorageKey())
+            state.lastSavedAt = null
+            onChange()
+        } catch (error) {
+            console.error('Failed to clear draft:', error)
+        }
+    }
+
+    const autosaveDebounced = debounce(() => {
+        void saveDraft()
+    }, getPersistence()?.debounce ?? DRAFT_AUTOSAVE_DEBOUNCE)
+
+    let cleared = false
+
+    /**
+     * Reacts to a form state change: autosaves edited values, touched state or step,
+     * and removes the draft once the form is submitted successfully
+     */
+    function handleStateChange(): void {
+        if (!getPersistence()) return
+
+        if (getState().submitState === 'success') {
+            // A successful submission makes the draft obsolete
+            if (!cleared) {
+                cleared = true
+                void clearDraft()
+            }
+            return
+        }
+        cleared = false
+
+        if (!autosaveEnabled) return
+
+        const content = getContent()
+        if (content === lastContent) return
+
+        lastContent = content
+        dirty = true
+        autosaveDebounced()
+    }
+
+    /**
+     * Saves a pending autosave now (e.g., when the page is being left)
+     */
+    function flushDraft(): void {
+        if (dirty && getState().submitState !== 'success') {
+            autosaveDebounced.cancel()
+            void saveDraft()
+        }
+    }
+
+    return {
+        state,
+        isEnabled: (): boolean => Boolean(getPersistence()),
+        checkForDraft,
+        resumeDraft,
+        discardDraft,
+        saveDraft,
+        clearDraft,
+        handleStateChange,
+        flushDraft,
+    }
+}
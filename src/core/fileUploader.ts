@@ -0,0 +1,302 @@
+// File Uploader - Tracks per-file upload progress with cancel/retry
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { FormConfig, FormState } from '@/types/formConfig'
+import type { FileUploadProgress } from '@/types/components'
+import { uploadFile } from '@/services/upload.service'
+import { isFileLike } from '@/utils/file'
+import { getNestedValue } from '@/utils/payloadBuilder'
+
+export interface UploadEntry extends FileUploadProgress {
+    /** Uploaded file ID (preUpload mode) */
+    id?: any
+    controller?: AbortController
+    request?: Promise<any>
+}
+
+export interface FileUploaderOptions {
+    getConfig: () => FormConfig
+    getState: () => FormState
+    /** Upload state keyed by the picked File object; pass a reactive Map to observe it */
+    uploads?: Map<Blob, UploadEntry>
+    /** Called after upload state changes */
+    onChange?: () => void
+}
+
+export type FileUploader = ReturnType<typeof createFileUploader>
+
+export function createFileUploader(options: FileUploaderOptions) {
+    const { getConfig, getState, onChange = () => {} } = options
+    const uploads = options.uploads ?? new Map<Blob, UploadEntry>()
+
+    const getUploadConfig = () => getConfig().submitConfig?.fileUpload
+    const isPreUpload = (): boolean => getUploadConfig()?.mode === 'preUpload'
+
+    /**
+     * Value paths holding files: file fields ("resume") and file fields in repeater rows
+     * ("items.0.attachment"), limited to the given top-level fields when set
+     */
+    function getFilePaths(visibleFields?: Set<string>): string[] {
+        return getConfig().steps.flatMap(step => step.fields)
+            .filter(field => !visibleFields || visibleFields.has(field.name))
+            .flatMap(field => {
+                if (field.type === 'file') return [field.name]
+                if (field.type !== 'repeater') return []
+
+                const rows = getState().values[field.name]
+                const rowFileFields = (field.fields || []).filter(rowField => rowField.type === 'file')
+                if (!Array.isArray(rows)) return []
+
+                return rows.flatMap((_, rowIndex) =>
+                    rowFileFields.map(rowField => `${field.name}.${rowIndex}.${rowField.name}`))
+            })
+    }
+
+    function getFiles(path: string): Blob[] {
+        const value = getNestedValue(getState().values, path)
+        return (Array.isArray(value) ? value : [value]).filter(isFileLike)
+    }
+
+    /**
+     * Upload state for each file at a value path (a field name or "items.0.attachment"), in file order
+     */
+    function getUploadStates(path: string): (FileUploadProgress | undefined)[] {
+        return getFiles(path).map(file => {
+            const entry = uploads.get(file)
+            return entry && { status: entry.status, progress: entry.progress, error: entry.error }
+        })
+    }
+
+    /**
+     * Uploads a file to the pre-upload endpoint, reusing a finished or in-flight upload
+     */
+    function startUpload(file: Blob): Promise<any> {
+        const existing = uploads.get(file)
+        if (existing?.status === 'done') return Promise.resolve(existing.id)
+        if (existing?.status === 'uploading' && existing.request) return existing.request
+
+        const controller = new AbortController()
+        uploads.set(file, { status: 'uploading', progress: 0, controller })
+        onChange()
+
+        // Read back through the map so updates go through the reactive proxy
+        const entry = () => uploads.get(file)
+
+        const request = uploadFile(file, getUploadConfig()!, {
+            signal: controller.signal,
+            onProgress: progress => {
+                const current = entry()
+                if (current?.controller === controller) {
+                    current.progress = progress
+                    onChange()
+                }
+            },
+        })
+            .then(id => {
+                const current = entry()
+                if (current?.controller === controller) {
+                    Object.assign(current, { status: 'done', progress: 100, id, controller: undefined })
+                    onChange()
+                }
+                return id
+            })
+            .catch(error => {
+                const current = entry()
+                if (current?.controller === controller) {
+                    Object.assign(current, controller.signal.aborted
+                        ? { status: 'cancelled', progress: 0, controller: undefined }
+                        : { status: 'error', error: error?.message || 'Upload failed', controller: undefined })
+                    onChange()
+                }
+                throw error
+            })
+
+        entry()!.request = request
+        // Failures are reported through the entry; awaiting callers see the rejection
+        request.catch(() => {})
+        return request
+    }
+
+    /**
+     * Cancels a file's upload
+     * In multipart mode the files travel in the submit request, so the whole submission is aborted
+     */
+    function cancelUpload(path: string, index: number): void {
+        const file = getFiles(path)[index]
+        const entry = file && uploads.get(file)
+        if (entry?.status !== 'uploading') return
+
+        if (isPreUpload()) {
+            entry.controller?.abort()
+        } else {
+            submitController?.abort()
+        }
+    }
+
+    /**
+     * Retries a failed or cancelled upload
+     * In multipart mode the file is marked pending and goes out with the next submit
+     */
+    function retryUpload(path: string, index: number): void {
+        const file = getFiles(path)[index]
+        if (!file) return
+
+        if (isPreUpload()) {
+            startUpload(file).catch(() => {})
+        } else {
+            uploads.delete(file)
+            onChange()
+        }
+    }
+
+    /**
+     * Waits for the uploads of every visible file field, in repeater rows too (starting any not yet uploaded)
+     * Resolves to the values to submit in their place: uploaded IDs per file field, in file order,
+     * and copies of repeater rows holding their IDs
+     * @throws Error naming the first file that failed or was cancelled
+     */
+    async function resolveUploadedIds(visibleFields?: Set<string>): Promise<Record<string, any>> {
+        const ids: Record<string, any> = {}
+
+        await Promise.all(getFilePaths(visibleFields).map(async path => {
+            const files = getFiles(path)
+            const results = await Promise.allSettled(files.map(file => {
+                // Cancelled uploads stay cancelled until the user retries them
+                return uploads.get(file)?.status === 'cancelled'
+                    ? Promise.reject(new Error('cancelled'))
+                    : startUpload(file)
+            }))
+
+            const failedIndex = results.findIndex(result => result.status === 'rejected')
+            if (failedIndex !== -1) {
+                const file = files[failedIndex]
+                const name = file instanceof File ? file.name : 'file'
+                const status = uploads.get(file!)?.status
+                throw new Error(status === 'cancelled'
+                    ? `Upload of "${name}" was cancelled. Retry or remove it to submit.`
+                    : `Upload of "${name}" failed. Retry or remove it to submit.`)
+            }
+
+            setUploadedIds(ids, path, results.map(result => (result as PromiseFulfilledResult<any>).value))
+        }))
+
+        return ids
+    }
+
+    /**
+     * Puts a path's uploaded IDs into the submitted values, copying the repeater rows it sits in
+     */
+    function setUploadedIds(ids: Record<string, any>, path: string, fileIds: any[]): void {
+        const [fieldName, rowIndex, rowFieldName] = path.split('.')
+        if (rowFieldName === undefined) {
+            ids[fieldName!] = fileIds
+            return
+        }
+
+        ids[fieldName!] ??= getState().values[fieldName!].map((row: Record<string, any>) => ({ ...row }))
+        ids[fieldName!][Number(rowIndex)][rowFieldName] = fileIds
+    }
+
+    // Controller of the multipart submit request currently in flight
+    let submitController: AbortController | null = null
+
+    /**
+     * Tracks a multipart submit request: returns its abort signal and a progress callback
+     * Files are appended in order, so the request's byte count is split across them
+     * (form text parts are small enough to ignore)
+     */
+    function trackMultipartRequest(visibleFields?: Set<string>) {
+        const files = getFilePaths(visibleFields).flatMap(getFiles)
+
+        const controller = new AbortController()
+        submitController = controller
+        files.forEach(file => uploads.set(file, { status: 'uploading', progress: 0 }))
+        onChange()
+
+        const total = files.reduce((sum, file) => sum + file.size, 0)
+        const update = (loaded: number) => {
+            let offset = 0
+            files.forEach(file => {
+                const entry = uploads.get(file)
+                if (entry && file.size > 0) {
+                    entry.progress = Math.max(0, Math.min(100, Math.round(((loaded - offset) / file.size) * 100)))
+                }
+                offset += file.size
+            })
+            onChange()
+        }
+
+        let finished = false
+        const finish = (status: 'done' | 'error', error?: string) => {
+            if (finished) return
+            finished = true
+
+            const cancelled = controller.signal.aborted
+            files.forEach(file => {
+                const entry = uploads.get(file)
+                if (!entry) return
+                if (status === 'done') {
+                    Object.assign(entry, { status: 'done', progress: 100 })
+                } else {
+                    Object.assign(entry, cancelled ? { status: 'cancelled', progress: 0 } : { status: 'error', error })
+                }
+            })
+            if (submitController === controller) submitController = null
+            onChange()
+        }
+
+        return {
+            signal: controller.signal,
+            onUploadProgress: (event: { loaded: number; total?: number }) => {
+                // Scale to file bytes when the request total (with boundaries) is known
+                update(event.total ? (event.loaded / event.total) * total : event.loaded)
+            },
+            finish,
+        }
+    }
+
+    /**
+     * Reconciles upload state with the picked files (call after file values change)
+     * Removed files are dropped (and aborted); in preUpload mode new files start
+     * uploading right away, so submitting only waits for the rest
+     */
+    function syncFiles(): void {
+        const current = new Set(getFilePaths().flatMap(getFiles))
+
+        uploads.forEach((entry, file) => {
+            if (!current.has(file)) {
+                entry.controller?.abort()
+                uploads.delete(file)
+            }
+        })
+
+        if (isPreUpload()) {
+            current.forEach(file => {
+                if (!uploads.has(file)) startUpload(file).catch(() => {})
+            })
+        }
+
+        onChange()
+    }
+
+    /**
+     * Aborts every upload in flight
+     */
+    function dispose(): void {
+        uploads.forEach(entry => entry.controller?.abort())
+        submitController?.abort()
+    }
+
+    return {
+        isPreUpload,
+        getFiles,
+        getFilePaths,
+        getUploadStates,
+        cancelUpload,
+        retryUpload,
+        resolveUploadedIds,
+        trackMultipartRequest,
+        syncFiles,
+        dispose,
+    }
+}
@@ -0,0 +1,503 @@
+// Form Engine - Framework-agnostic form runtime with a subscribe API
+// Drives values, validation, visibility, dependencies, steps, drafts and submission from a FormConfig
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { FieldDefinition, FormConfig, FormState } from '@/types/formConfig'
+import type { SelectOption } from '@/types/components'
+import type { I18nContext, LocalizedText, MessageParams } from '@/types/i18n'
+import type { TransitionHandlers } from '@/services/transition.service'
+import { getEmptyValue, getFieldType } from '@/services/fieldType.service'
+import { createInitialRows } from '@/utils/repeater'
+import { getFieldVisibility, getVisibleFieldNames, isFieldRequired } from '@/core/conditions'
+import { applyValueChange, isFieldDisabled } from '@/core/dependencies'
+import { applyComputedValues } from '@/core/computed'
+import { createAsyncValidator } from '@/core/asyncValidator'
+import { createFormValidator } from '@/core/validator'
+import { createStepNavigator, type MultiStepState, type StepStatus } from '@/core/stepNavigator'
+import { createFileUploader } from '@/core/fileUploader'
+import { createFormSubmitter, type SubmissionState } from '@/core/submitter'
+import { createDataSourceLoader, type DataSourceState } from '@/core/dataSource'
+import { createDraftPersistence, type DraftState } from '@/core/draftPersistence'
+import { getLocale as getPageLocale, onLocaleChange, resolveText, translate } from '@/services/i18n.service'
+
+export interface FormEngineOptions {
+    /** Form state to drive (mutated in place); a fresh state is created when omitted */
+    state?: FormState
+    /** Overrides for submit state transition handlers (navigate, showMessage, ...) */
+    handlers?: Partial<TransitionHandlers>
+    /** Locale this form is shown in; without one it follows the page-wide locale */
+    locale?: string
+}
+
+export interface FormEngineSnapshot {
+    state: FormState
+    /** Fields with a server-side check in flight (field name → boolean) */
+    validating: Record<string, boolean>
+    steps: MultiStepState
+    submission: SubmissionState
+    /** Options, loading flags and errors of fields with a dataSource */
+    dataSources: DataSourceState
+    /** Saved draft awaiting a resume/start-over decision (config.persistence) */
+    draft: DraftState
+    /** Locale messages are shown in */
+    locale: string
+}
+
+export type FormEngineListener = (snapshot: FormEngineSnapshot) => void
+
+export type FormEngine = ReturnType<typeof createFormEngine>
+
+/**
+ * Initial values for every field: defaultValue, repeater minimum rows, or a custom type's empty value
+ */
+export function getInitialValues(config: FormConfig): Record<string, any> {
+    const values: Record<string, any> = {}
+
+    config.steps.forEach(step => {
+        step.fields.forEach(field => {
+            if (field.defaultValue !== undefined) {
+                values[field.name] = field.defaultValue
+            } else if (field.type === 'repeater') {
+                values[field.name] = createInitialRows(field)
+            } else if (getFieldType(field.type)) {
+                values[field.name] = getEmptyValue(field.type)
+            }
+        })
+    })
+
+    return values
+}
+
+/**
+ * Creates a form engine for a config
+ * Validation runs against the current step's fields, as in the rendered form. Each step
+ * loads its options when it is shown, and a saved draft is looked up on creation
+ */
+export function createFormEngine(config: FormConfig, options: FormEngineOptions = {}) {
+    const state: FormState = options.state ?? {
+        values: {},
+        errors: {},
+        touched: {},
+        submitState: 'idle',
+        currentStep: 0,
+        visibility: {},
+        fieldLoading: {},
+    }
+    Object.assign(state.values, { ...getInitialValues(config), ...state.values })
+
+    // This form's locale and config catalogs; nothing is registered page-wide
+    const i18n: I18nContext = { locale: options.locale, messages: config.messages }
+
+    const listeners = new Set<FormEngineListener>()
+
+    const getConfig = () => config
+    const getState = () => state
+    const getAllFields = (): FieldDefinition[] => config.steps.flatMap(step => step.fields)
+    const getStepFields = (): FieldDefinition[] => config.steps[state.currentStep || 0]?.fields || []
+
+    const validating: Record<string, boolean> = {}
+    const stepStatus: StepStatus = { isValidating: false, stepError: null }
+    const submission: SubmissionState = {
+        error: null,
+        response: null,
+        transitionMessage: null,
+        serverErrorFields: [],
+    }
+
+    const getSteps = () => config.steps
+
+    const asyncValidator = createAsyncValidator({ getFields: getStepFields, getState, getSteps, i18n, validating, onChange: notify })
+    const validator = createFormValidator({
+        getFields: getStepFields,
+        getState,
+        getSteps,
+        getGlobalRules: () => config.globalValidation,
+        i18n,
+        asyncValidator,
+        onChange: notify,
+    })
+    const steps = createStepNavigator({
+        getConfig,
+        getState,
+        validateFields: validator.validateFields,
+        i18n,
+        status: stepStatus,
+        onChange: notify,
+    })
+    const uploads = createFileUploader({ getConfig, getState, onChange: notify })
+    const dataSources = createDataSourceLoader({ getState, onChange: notify })
+    const drafts = createDraftPersistence({ getConfig, getState, onChange: notify })
+    const submitter = createFormSubmitter({
+        getConfig,
+        getState,
+        handlers: { nextStep: () => void next(), ...options.handlers },
+        state: submission,
+        uploads,
+        onChange: notify,
+    })
+
+    // Step whose options were last loaded (set once the engine is set up)
+    let shownStep: number | null = null
+
+    // Start on the first visible step if the initial one is hidden by showIf
+    if (!steps.getVisibleStepIndexes().includes(steps.getCurrentStep())) {
+        steps.reset()
+    }
+    refreshDerivedState()
+
+    shownStep = steps.getCurrentStep()
+    void loadOptions()
+    void drafts.checkForDraft()
+
+    // Hosts without a window (servers, tests) save drafts through saveDraft themselves
+    const flushDraft = () => drafts.flushDraft()
+    if (typeof window !== 'undefined') {
+        window.addEventListener('pagehide', flushDraft)
+    }
+
+    /**
+     * Re-evaluates computed fields, then state.visibility for every field
+     */
+    function refreshDerivedState(): void {
+        applyComputedValues(getAllFields(), state)
+        state.visibility = getFieldVisibility(getAllFields(), state, config.steps)
+    }
+
+    function getSnapshot(): FormEngineSnapshot {
+        return {
+            state,
+            validating,
+            steps: steps.getStepState(),
+            submission,
+            dataSources: dataSources.state,
+            draft: drafts.state,
+            locale: getLocale(),
+        }
+    }
+
+    /**
+     * Refreshes derived state, loads a newly shown step's options, autosaves and calls every listener
+     */
+    function notify(): void {
+        refreshDerivedState()
+
+        // Next, Previous, goToStep, a resumed draft and a nextStep transition all land here
+        if (shownStep !== null && steps.getCurrentStep() !== shownStep) {
+            shownStep = steps.getCurrentStep()
+            void loadOptions()
+        }
+
+        drafts.handleStateChange()
+        const snapshot = getSnapshot()
+        listeners.forEach(listener => listener(snapshot))
+    }
+
+    /**
+     * Registers a listener called after every state change
+     * @returns Function that removes the listener
+     */
+    function subscribe(listener: FormEngineListener): () => void {
+        listeners.add(listener)
+        return () => {
+            listeners.delete(listener)
+        }
+    }
+
+    /**
+     * Sets a field value, resetting dependent fields, reloading their options and scheduling server-side checks
+     * Computed fields are derived from other values, so setting one has no effect
+     */
+    function setValue(fieldName: string, value: any): void {
+        if (getAllFields().find(field => field.name === fieldName)?.compute) return
+
+        const previous = state.values[fieldName]
+        state.values[fieldName] = value
+        state.touched[fieldName] = true
+        dataSources.selectOption(fieldName, value)
+
+        if (value !== previous) {
+            applyValueChange(fieldName, getAllFields(), state, dataSources)
+            uploads.syncFiles()
+        }
+
+        validator.scheduleAsyncValidation(fieldName)
+        notify()
+    }
+
+    /**
+     * Replaces a repeater's rows after an add, remove or reorder
+     * Row indexes shift, so the repeater's row errors are cleared
+     */
+    function setRows(fieldName: string, rows: Record<string, any>[]): void {
+        Object.keys(state.errors).forEach(key => {
+            if (key === fieldName || key.startsWith(`${fieldName}.`)) {
+                delete state.errors[key]
+            }
+        })
+
+        setValue(fieldName, rows)
+    }
+
+    /**
+     * Sets one value inside a repeater row
+     */
+    function setRowValue(fieldName: string, rowIndex: number, rowFieldName: string, value: any): void {
+        const rows = [...(state.values[fieldName] || [])]
+        rows[rowIndex] = { ...rows[rowIndex], [rowFieldName]: value }
+        setValue(fieldName, rows)
+    }
+
+    /**
+     * Marks a field touched and validates it (as on blur)
+     */
+    async function blur(fieldName: string): Promise<boolean> {
+        state.touched[fieldName] = true
+        return validator.validateFieldImmediate(fieldName)
+    }
+
+    /**
+     * Validates the current step's fields and cross-field rules
+     */
+    /**
+     * Marks a repeater touched and validates one of its rows (as on blur inside the row)
+     */
+    function blurRow(fieldName: string, rowIndex: number): Promise<boolean> {
+        state.touched[fieldName] = true
+        return validator.validateRow(fieldName, rowIndex)
+    }
+
+    function validate(): Promise<boolean> {
+        return validator.validateAll()
+    }
+
+    function next(): Promise<boolean> {
+        return steps.goToNext()
+    }
+
+    function previous(): boolean {
+        return steps.goToPrevious()
+    }
+
+    function goToStep(stepIndex: number): boolean {
+        return steps.goToStep(stepIndex)
+    }
+
+    /**
+     * Loads options for the current step's fields with a dataSource
+     */
+    function loadOptions(): Promise<SelectOption[][]> {
+        return Promise.all(getStepFields()
+            .filter(field => field.dataSource)
+            .map(field => dataSources.fetchOptions(field.name, field.dataSource!)))
+    }
+
+    /**
+     * Searches a searchable field's options (debounced; results arrive through subscribe)
+     */
+    function searchOptions(fieldName: string, query: string): void {
+        const field = getAllFields().find(f => f.name === fieldName)
+        if (field?.dataSource) {
+            dataSources.search(fieldName, field.dataSource, query)
+        }
+    }
+
+    /**
+     * Appends the next page of a searchable field's options
+     */
+    function loadMoreOptions(fieldName: string): Promise<SelectOption[]> {
+        const field = getAllFields().find(f => f.name === fieldName)
+        return field?.dataSource
+            ? dataSources.loadMore(fieldName, field.dataSource)
+            : Promise.resolve([])
+    }
+
+    /**
+     * Reloads a field's options after a failed load
+     */
+    function retryOptions(fieldName: string): Promise<SelectOption[]> {
+        const field = getAllFields().find(f => f.name === fieldName)
+        return field?.dataSource
+            ? dataSources.retryFetch(fieldName, field.dataSource)
+            : Promise.resolve([])
+    }
+
+    /**
+     * Validates the final step and submits visible fields to the configured endpoint
+     * On a non-final step this moves to the next step instead; when the server rejects
+     * fields, the form moves to the first step holding one of them
+     */
+    async function submit(): Promise<boolean> {
+        if (!steps.isLastStep()) {
+            await next()
+            return false
+        }
+
+        if (!(await validate()) || !(await steps.validateStepRule())) {
+            return false
+        }
+
+        const success = await submitter.submitForm(getVisibleFieldNames(config.steps, state))
+        if (!success) {
+            showFirstServerError()
+        }
+        return success
+    }
+
+    /**
+     * Moves to the first visible step containing a field the server rejected
+     */
+    function showFirstServerError(): void {
+        if (submission.serverErrorFields.length === 0) return
+
+        const erroredFields = new Set(submission.serverErrorFields.map(key => key.split('.')[0]))
+        const stepIndex = steps.getVisibleStepIndexes().find(index =>
+            config.steps[index]?.fields.some(field => erroredFields.has(field.name))
+        )
+
+        if (stepIndex !== undefined && stepIndex !== steps.getCurrentStep()) {
+            steps.goToStep(stepIndex)
+        }
+    }
+
+    /**
+     * Hides the message raised by a showMessage transition
+     */
+    function dismissMessage(): void {
+        submission.transitionMessage = null
+        notify()
+    }
+
+    /**
+     * Restores the pending draft, landing on the step the user left off
+     * Options of the restored step are reloaded for the restored values (a dependent
+     * select's params resolve from its restored parent); other steps load when shown
+     */
+    function resumeDraft(): boolean {
+        if (!drafts.resumeDraft()) return false
+
+        // The saved step may have been hidden since (e.g., by step-level showIf)
+        if (!steps.getVisibleStepIndexes().includes(steps.getCurrentStep())) {
+            steps.reset()
+        }
+
+        uploads.syncFiles()
+        shownStep = steps.getCurrentStep()
+        void loadOptions()
+        notify()
+        return true
+    }
+
+    /**
+     * Looks up a field by name; definitions (e.g. repeater row fields) are used as given
+     */
+    function findField(field: string | FieldDefinition): FieldDefinition | undefined {
+        return typeof field === 'string' ? getAllFields().find(f => f.name === field) : field
+    }
+
+    function cancelAsyncChecks(): void {
+        getAllFields().forEach(field => asyncValidator.cancel(field.name))
+    }
+
+    /**
+     * Restores initial values and clears errors, touched state and submission results
+     */
+    function reset(): void {
+        cancelAsyncChecks()
+        state.values = getInitialValues(config)
+        state.errors = {}
+        state.touched = {}
+        steps.reset()
+        submitter.resetSubmission()
+        uploads.syncFiles()
+        notify()
+    }
+
+    function getLocale(): string {
+        return i18n.locale ?? getPageLocale()
+    }
+
+    /**
+     * Switches this form's locale; without one the form follows the page-wide locale
+     */
+    function setLocale(locale: string | undefined): void {
+        if (locale === i18n.locale) return
+        i18n.locale = locale
+        revalidateShownErrors()
+        notify()
+    }
+
+    /**
+     * Re-validates the current step's fields showing errors, so their messages follow a locale switch
+     */
+    function revalidateShownErrors(): void {
+        const fieldNames = getStepFields().map(field => field.name).filter(name => state.errors[name]?.length)
+        if (fieldNames.length > 0) {
+            validator.validateFields(fieldNames)
+        }
+    }
+
+    const stopLocaleListener = onLocaleChange(() => {
+        if (i18n.locale) return
+        revalidateShownErrors()
+        notify()
+    })
+
+    /**
+     * Aborts uploads, option requests and server-side checks in flight and removes all listeners
+     */
+    function destroy(): void {
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('pagehide', flushDraft)
+        }
+        drafts.flushDraft()
+        stopLocaleListener()
+        cancelAsyncChecks()
+        uploads.dispose()
+        dataSources.dispose()
+        listeners.clear()
+    }
+
+    return {
+        state,
+        subscribe,
+        getSnapshot,
+        setValue,
+        setRows,
+        setRowValue,
+        blur,
+        blurRow,
+        validate,
+        next,
+        previous,
+        goToStep,
+        loadOptions,
+        searchOptions,
+        loadMoreOptions,
+        retryOptions,
+        submit,
+        dismissMessage,
+        reset,
+        getLocale,
+        setLocale,
+        translate: (key: string, params?: MessageParams): string => translate(key, params, i18n),
+        resolveText: (text: LocalizedText | undefined, params?: MessageParams): string => resolveText(text, params, i18n),
+        resumeDraft,
+        discardDraft: drafts.discardDraft,
+        saveDraft: drafts.saveDraft,
+        destroy,
+        isFieldVisible: (fieldName: string): boolean => state.visibility?.[fieldName] ?? true,
+        isFieldDisabled: (field: string | FieldDefinition): boolean => {
+            const definition = findField(field)
+            return definition ? isFieldDisabled(definition, state, config.steps) : false
+        },
+        isFieldRequired: (field: string | FieldDefinition): boolean => {
+            const definition = findField(field)
+            return definition ? isFieldRequired(definition, state, config.steps) : false
+        },
+        getFieldError: validator.getFieldError,
+        getOptions: (fieldName: string): SelectOption[] => dataSources.state.options[fieldName] || [],
+        getUploadStates: uploads.getUploadStates,
+        cancelUpload: uploads.cancelUpload,
+        retryUpload: uploads.retryUpload,
+    }
+}
@@ -0,0 +1,29 @@
+// Headless form core - no Vue dependency, usable from any framework or plain scripts
+// Based on specs/001-form-config-generator/data-model.md
+
+export * from '@/core/formEngine'
+export * from '@/core/conditions'
+export * from '@/core/dependencies'
+export * from '@/core/computed'
+export * from '@/core/asyncValidator'
+export * from '@/core/validator'
+export * from '@/core/stepNavigator'
+export * from '@/core/fileUploader'
+export * from '@/core/submitter'
+export * from '@/core/dataSource'
+export * from '@/core/draftPersistence'
+
+// Localized text and message catalogs, for renderers built on the core
+export {
+    registerMessages,
+    setLocale,
+    getLocale,
+    setFallbackLocale,
+    onLocaleChange,
+    translate,
+    resolveText,
+    formatMessage,
+    getValidationMessage,
+    isRtlLocale,
+    type LocaleListener,
+} from '@/services/i18n.service'
@@ -0,0 +1,269 @@
+// Step Navigator - Multi-step navigation with step-level showIf and validation
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { FormConfig, FormState, StepConfig } from '@/types/formConfig'
+import type { I18nContext } from '@/types/i18n'
+import { isFieldRequired, isStepVisible } from '@/core/conditions'
+import { runStepValidation } from '@/services/validation.service'
+
+export interface MultiStepState {
+    currentStep: number
+    /** 1-based position of the current step among visible steps */
+    currentStepNumber: number
+    totalSteps: number
+    /** Indexes (into config.steps) of the steps whose showIf passes */
+    visibleStepIndexes: number[]
+    isFirstStep: boolean
+    isLastStep: boolean
+    canProceed: boolean
+    isValidating: boolean
+    stepError: string | null
+}
+
+/** Navigation state not kept in FormState */
+export interface StepStatus {
+    /** True while the current step is being validated (async checks included) */
+    isValidating: boolean
+    /** Step-scoped error from stepValidation, shown as a banner on the step */
+    stepError: string | null
+}
+
+export interface StepNavigatorOptions {
+    getConfig: () => FormConfig
+    getState: () => FormState
+    /** Validates the given fields (the current step's) */
+    validateFields: (fieldIds: string[]) => Promise<boolean>
+    /** The form's locale and catalogs for stepValidation messages */
+    i18n?: I18nContext
+    /** Pass a reactive object to observe it */
+    status?: StepStatus
+    /** Called after navigation or step status changes */
+    onChange?: () => void
+}
+
+export type StepNavigator = ReturnType<typeof createStepNavigator>
+
+export function createStepNavigator(options: StepNavigatorOptions) {
+    const { getConfig, getState, validateFields, i18n, onChange = () => {} } = options
+    const status = options.status ?? { isValidating: false, stepError: null }
+
+    function getCurrentStep(): number {
+        return getState().currentStep ?? 0
+    }
+
+    function setCurrentStep(value: number): void {
+        getState().currentStep = value
+    }
+
+    /**
+     * Indexes (into config.steps) of steps whose showIf currently passes
+     */
+    function getVisibleStepIndexes(): number[] {
+        return getConfig().steps
+            .map((step, index) => (isStepVisible(step, getState(), getConfig().steps) ? index : -1))
+            .filter((index) => index !== -1)
+    }
+
+    function getVisibleSteps(): StepConfig[] {
+        return getVisibleStepIndexes().map((index) => getConfig().steps[index]!)
+    }
+
+    function getTotalSteps(): number {
+        return getVisibleStepIndexes().length
+    }
+
+    function getCurrentStepConfig(): StepConfig | undefined {
+        return getConfig().steps[getCurrentStep()] || getConfig().steps[0]
+    }
+
+    /**
+     * 0-based position of the current step among visible steps
+     */
+    function getCurrentVisibleIndex(): number {
+        const visibleStepIndexes = getVisibleStepIndexes()
+        const position = visibleStepIndexes.indexOf(getCurrentStep())
+        if (position !== -1) return position
+
+        // Current step was hidden by a later answer: count the visible steps before it
+        return visibleStepIndexes.filter((index) => index < getCurrentStep()).length
+    }
+
+    function getCurrentStepNumber(): number {
+        return Math.min(getCurrentVisibleIndex() + 1, getTotalSteps())
+    }
+
+    function isFirstStep(): boolean {
+        return findPreviousVisibleStep() === -1
+    }
+
+    function isLastStep(): boolean {
+        return findNextVisibleStep() === -1
+    }
+
+    function getCurrentStepFieldIds(): string[] {
+        return getCurrentStepConfig()?.fields.map((field) => field.name) || []
+    }
+
+    function canProceed(): boolean {
+        const state = getState()
+
+        // Check if current step fields are all valid
+        const hasErrors = getCurrentStepFieldIds().some((fieldId) => {
+            const errors = state.errors[fieldId]
+            return errors && errors.length > 0
+        })
+
+        // Check if all required fields in current step are touched and filled
+        const allRequiredFilled = getCurrentStepConfig()?.fields
+            .filter((field) => isFieldRequired(field, state, getConfig().steps))
+            .every((field) => {
+                const value = state.values[field.name]
+                return value !== undefined && value !== null && value !== ''
+            }) ?? true
+
+        return !hasErrors && allRequiredFilled
+    }
+
+    function getStepState(): MultiStepState {
+        return {
+            currentStep: getCurrentStep(),
+            currentStepNumber: getCurrentStepNumber(),
+            totalSteps: getTotalSteps(),
+            visibleStepIndexes: getVisibleStepIndexes(),
+            isFirstStep: isFirstStep(),
+            isLastStep: isLastStep(),
+            canProceed: canProceed(),
+            isValidating: status.isValidating,
+            stepError: status.stepError,
+        }
+    }
+
+    /**
+     * Finds the next visible step index after the current one (-1 if none)
+     */
+    function findNextVisibleStep(): number {
+        return getVisibleStepIndexes().find((index) => index > getCurrentStep()) ?? -1
+    }
+
+    /**
+     * Finds the closest visible step index before the current one (-1 if none)
+     */
+    function findPreviousVisibleStep(): number {
+        const previous = getVisibleStepIndexes().filter((index) => index < getCurrentStep())
+        return previous.length > 0 ? previous[previous.length - 1]! : -1
+    }
+
+    /**
+     * Validates the current step: per-field checks (including async ones) first, then stepValidation
+     */
+    async function validateStep(): Promise<boolean> {
+        status.stepError = null
+        setValidating(true)
+
+        try {
+            const fieldsValid = await validateFields(getCurrentStepFieldIds())
+            if (!fieldsValid) {
+                return false
+            }
+
+            return await checkStepRule()
+        } finally {
+            setValidating(false)
+        }
+    }
+
+    /**
+     * Runs only the current step's stepValidation rule (e.g., before final submit)
+     */
+    async function validateStepRule(): Promise<boolean> {
+        setValidating(true)
+
+        try {
+            return await checkStepRule()
+        } finally {
+            setValidating(false)
+        }
+    }
+
+    async function checkStepRule(): Promise<boolean> {
+        const step = getCurrentStepConfig()
+        if (!step?.stepValidation) {
+            return true
+        }
+
+        status.stepError = await runStepValidation(step, getState(), i18n)
+        return status.stepError === null
+    }
+
+    function setValidating(value: boolean): void {
+        status.isValidating = value
+        onChange()
+    }
+
+    async function goToNext(): Promise<boolean> {
+        const nextStep = findNextVisibleStep()
+        if (nextStep === -1 || status.isValidating) {
+            return false
+        }
+
+        // Validate current step before proceeding
+        const isValid = await validateStep()
+        if (!isValid) {
+            return false
+        }
+
+        // Skip over any steps hidden by showIf
+        setCurrentStep(nextStep)
+        onChange()
+        return true
+    }
+
+    function goToPrevious(): boolean {
+        const previousStep = findPreviousVisibleStep()
+        if (previousStep === -1) {
+            return false
+        }
+
+        status.stepError = null
+        setCurrentStep(previousStep)
+        onChange()
+        return true
+    }
+
+    function goToStep(stepIndex: number): boolean {
+        if (!getVisibleStepIndexes().includes(stepIndex)) {
+            return false
+        }
+
+        status.stepError = null
+        setCurrentStep(stepIndex)
+        onChange()
+        return true
+    }
+
+    function reset(): void {
+        status.stepError = null
+        setCurrentStep(getVisibleStepIndexes()[0] ?? 0)
+        onChange()
+    }
+
+    return {
+        status,
+        getCurrentStep,
+        getCurrentStepConfig,
+        getCurrentStepNumber,
+        getVisibleSteps,
+        getVisibleStepIndexes,
+        getTotalSteps,
+        isFirstStep,
+        isLastStep,
+        canProceed,
+        getStepState,
+        goToNext,
+        goToPrevious,
+        goToStep,
+        validateStep,
+        validateStepRule,
+        reset,
+    }
+}
@@ -0,0 +1,276 @@
+// Form Submitter - Handles API submission and state transitions
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { AxiosResponse } from 'axios'
+import type { FormConfig, FormState } from '@/types/formConfig'
+import type { StateTransition, SubmitConfig } from '@/types/submission'
+import { ApiError, getApiClient } from '@/services/api.service'
+import {
+    runTransitions,
+    selectTransitions,
+    type TransitionHandlers,
+    type TransitionOutcome,
+} from '@/services/transition.service'
+import { buildPayload, hasFiles, toFormData, transformPayload } from '@/utils/payloadBuilder'
+import { mapServerErrors } from '@/utils/errorFormatter'
+import { createFileUploader, type FileUploader } from '@/core/fileUploader'
+
+export interface TransitionMessage {
+    text: string
+    variant: NonNullable<StateTransition['variant']>
+}
+
+export interface SubmissionState {
+    error: string | null
+    response: any
+    /** Message raised by a showMessage transition (rendered as a toast by the host) */
+    transitionMessage: TransitionMessage | null
+    /** formState.errors keys populated from the last server validation response */
+    serverErrorFields: string[]
+}
+
+export interface FormSubmitterOptions {
+    getConfig: () => FormConfig
+    getState: () => FormState
+    handlers?: Partial<TransitionHandlers>
+    /** Submission state object, mutated in place (pass a reactive object to observe it) */
+    state?: SubmissionState
+    /** File upload tracking; defaults to a new uploader over the same config and state */
+    uploads?: Pick<FileUploader, 'isPreUpload' | 'resolveUploadedIds' | 'trackMultipartRequest'>
+    /** Called after submission state changes */
+    onChange?: () => void
+}
+
+export type FormSubmitter = ReturnType<typeof createFormSubmitter>
+
+export function createFormSubmitter(options: FormSubmitterOptions) {
+    const { getConfig, getState, handlers = {}, onChange = () => {} } = options
+    const state: SubmissionState = options.state ?? {
+        error: null,
+        response: null,
+        transitionMessage: null,
+        serverErrorFields: [],
+    }
+    const fileUploads = options.uploads ?? createFileUploader({ getConfig, getState, onChange })
+
+    /**
+     * Submits the form to configured endpoint
+     */
+    const submitForm = async (visibleFields?: Set<string>): Promise<boolean> => {
+        const submitConfig = getConfig().submitConfig
+        if (!submitConfig) {
+            console.warn('No submit configuration provided')
+            return false
+        }
+
+        state.error = null
+        state.response = null
+        state.transitionMessage = null
+        state.serverErrorFields = []
+        getState().submitState = 'submitting'
+        onChange()
+
+        // Pre-uploaded files are submitted by the IDs the upload endpoint returned
+        let values = getState().values
+        if (fileUploads.isPreUpload()) {
+            try {
+                values = { ...values, ...(await fileUploads.resolveUploadedIds(visibleFields)) }
+            } catch (error: any) {
+                state.error = error.message
+                getState().submitState = 'error'
+                onChange()
+                return false
+            }
+        }
+
+        let multipartRequest: ReturnType<typeof fileUploads.trackMultipartRequest> | undefined
+        let response: AxiosResponse
+
+        try {
+            // Build submission payload
+            const allFields = getConfig().steps.flatMap(step => step.fields)
+            const payload = buildPayload(values, allFields, visibleFields)
+
+            // Apply include/exclude/rename/expression transforms
+            const finalPayload = transformPayload(
+                payload,
+                submitConfig.transformPayload,
+                getState().values
+            )
+
+            // Resolve headers with tokens
+            const headers = resolveHeaders(
+                submitConfig.headers || {},
+                getState().values
+            )
+
+            // Files that were not pre-uploaded go out as multipart/form-data
+            if (hasFiles(finalPayload)) {
+                multipartRequest = fileUploads.trackMultipartRequest(visibleFields)
+            }
+
+            // Make API request
+            response = await getApiClient().request({
+                method: submitConfig.method || 'POST',
+                url: submitConfig.endpoint,
+                ...(multipartRequest
+                    ? {
+                        data: toFormData(finalPayload),
+                        // Overrides the client's JSON default; the browser adds the boundary
+                        headers: { ...headers, 'Content-Type': 'multipart/form-data' },
+                        signal: multipartRequest.signal,
+                        onUploadProgress: multipartRequest.onUploadProgress,
+                        timeout: 0,
+                    }
+                    : { data: finalPayload, headers }),
+            })
+            multipartRequest?.finish('done')
+        } catch (error: any) {
+            if (multipartRequest?.signal.aborted) {
+                multipartRequest.finish('error')
+                state.error = 'Submission cancelled'
+                getState().submitState = 'idle'
+                onChange()
+                return false
+            }
+            multipartRequest?.finish('error', error.message)
+
+            state.error = error.message || 'Form submission failed'
+            getState().submitState = 'error'
+            console.error('Form submission error:', error)
+
+            // Error transitions can react to the HTTP status and read the error body
+            const apiError = error instanceof ApiError ? error : undefined
+
+            // Validation failures (422 by default) carry per-field messages
+            const errorStatuses = submitConfig.errorMapping?.statuses || [422]
+            if (apiError?.status !== undefined && errorStatuses.includes(apiError.status)) {
+                applyServerErrors(apiError.data)
+            }
+
+            // A failing error transition must not hide the error state from subscribers
+            try {
+                await handleStateTransitions(submitConfig, 'error', apiError?.status, apiError?.data)
+            } catch (transitionError) {
+                console.error('State transition failed after a failed submission:', transitionError)
+            }
+            onChange()
+
+            return false
+        }
+
+        state.response = response.data
+        getState().submitState = 'success'
+
+        // A failing success transition does not turn the accepted submission into an error
+        try {
+            await handleStateTransitions(submitConfig, 'success', response.status, response.data)
+        } catch (error) {
+            console.error('State transition failed after a successful submission:', error)
+        }
+        onChange()
+
+        return true
+    }
+
+    /**
+     * Resolves header tokens (form:*, store:*, response:*)
+     */
+    function resolveHeaders(
+        headers: Record<string, string>,
+        formValues: Record<string, any>
+    ): Record<string, string> {
+        const resolved: Record<string, string> = {}
+
+        for (const [key, value] of Object.entries(headers)) {
+            if (value.startsWith('form:')) {
+                // Resolve from form values
+                const fieldName = value.slice(5)
+                resolved[key] = formValues[fieldName] || ''
+            } else {
+                resolved[key] = value
+            }
+        }
+
+        return resolved
+    }
+
+    /**
+     * Writes server validation errors onto the fields they belong to
+     * Messages that match no field replace the generic submitError
+     */
+    function applyServerErrors(response: any, errorsPath?: string): void {
+        const mapping = getConfig().submitConfig?.errorMapping || {}
+        const allFields = getConfig().steps.flatMap(step => step.fields)
+        const { fieldErrors, unmapped } = mapServerErrors(
+            response,
+            errorsPath ? { ...mapping, path: errorsPath } : mapping,
+            allFields
+        )
+
+        const keys = Object.keys(fieldErrors)
+        if (keys.length > 0) {
+            getState().errors = { ...getState().errors, ...fieldErrors }
+            keys.forEach(key => {
+                getState().touched[key.split('.')[0]!] = true
+            })
+            state.serverErrorFields = [...new Set([...state.serverErrorFields, ...keys])]
+        }
+
+        if (unmapped.length > 0) {
+            state.error = unmapped.join(' ')
+        }
+    }
+
+    /**
+     * Runs the configured state transitions for a submission outcome
+     */
+    async function handleStateTransitions(
+        submitConfig: SubmitConfig,
+        outcome: TransitionOutcome,
+        status?: number,
+        response?: any
+    ): Promise<void> {
+        const transitions = selectTransitions(submitConfig.stateTransitions, outcome, status)
+        if (transitions.length === 0) return
+
+        await runTransitions(
+            transitions,
+            { formState: getState(), outcome, status, response },
+            {
+                navigate: target => {
+                    // Hosts without a window (servers, tests) provide their own handler
+                    if (typeof window !== 'undefined') window.location.href = target
+                },
+                showMessage: (text, variant) => {
+                    state.transitionMessage = { text, variant }
+                    onChange()
+                },
+                mapErrors: applyServerErrors,
+                nextStep: () => {
+                    // Handled by multi-step composable when the host provides it
+                },
+                ...handlers,
+            }
+        )
+    }
+
+    /**
+     * Resets submission state
+     */
+    const resetSubmission = () => {
+        state.error = null
+        state.response = null
+        state.transitionMessage = null
+        state.serverErrorFields = []
+        getState().submitState = 'idle'
+        onChange()
+    }
+
+    return {
+        state,
+        submitForm,
+        applyServerErrors,
+        resetSubmission,
+    }
+}
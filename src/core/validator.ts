@@ -0,0 +1,287 @@
+// Form Validator - Integrates Zod validation with form state
+// Based on specs/001-form-config-generator/data-model.md
+
+import { z } from 'zod'
+import type { FieldDefinition, FormState, GlobalValidationRule, StepConfig } from '@/types/formConfig'
+import type { I18nContext } from '@/types/i18n'
+import { buildZodSchema, validateGlobalRules } from '@/services/validation.service'
+import { getValidationMessage } from '@/services/i18n.service'
+import { formatZodErrors } from '@/utils/errorFormatter'
+import { debounce } from '@/utils/debounce'
+import { createAsyncValidator, type AsyncValidator } from '@/core/asyncValidator'
+
+export interface FormValidatorOptions {
+    /** Fields being validated (e.g. the current step's) */
+    getFields: () => FieldDefinition[]
+    getState: () => FormState
+    /** All steps of the form, so validateIf reads fields hidden by showIf as empty */
+    getSteps?: () => StepConfig[] | undefined
+    /** Cross-field (globalValidation) rules */
+    getGlobalRules?: () => GlobalValidationRule[] | undefined
+    /** The form's locale and catalogs for messages (read on each validation) */
+    i18n?: I18nContext
+    /** Server-side checks; created from the same options when omitted */
+    asyncValidator?: AsyncValidator
+    /** Called after validation changes errors */
+    onChange?: () => void
+}
+
+export type FormValidator = ReturnType<typeof createFormValidator>
+
+export function createFormValidator(options: FormValidatorOptions) {
+    const {
+        getFields,
+        getState,
+        getSteps = () => undefined,
+        getGlobalRules = () => undefined,
+        i18n,
+        onChange = () => {},
+    } = options
+
+    // Custom validator expressions read `form:` references from the live values
+    const getValues = () => getState().values
+    const buildSchema = (fields: FieldDefinition[]) => buildZodSchema(fields, getValues, getSteps(), i18n)
+
+    const asyncValidation = options.asyncValidator ?? createAsyncValidator({ getFields, getState, getSteps, i18n, onChange })
+
+    /**
+     * Validates all form fields
+     */
+    const validateAll = async (): Promise<boolean> => {
+        let valid = true
+
+        try {
+            buildSchema(getFields()).parse(getState().values)
+            getState().errors = {}
+        } catch (error) {
+            if (error instanceof z.ZodError) {
+                getState().errors = formatZodErrors(error.errors, i18n)
+            }
+            valid = false
+        }
+
+        const fieldNames = getFields().map(f => f.name)
+
+        // Server-side checks only run for fields that passed the synchronous rules
+        const asyncValid = await asyncValidation.validateAsync(fieldNames.filter(name => !getState().errors[name]))
+
+        // Cross-field rules add their messages on top of per-field errors
+        const globalValid = applyGlobalRules(fieldNames)
+        onChange()
+        return globalValid && valid && asyncValid
+    }
+
+    /**
+     * Validates a single field (immediate, for blur events)
+     */
+    const validateFieldImmediate = async (fieldName: string): Promise<boolean> => {
+        const field = getFields().find(f => f.name === fieldName)
+        if (!field) return true
+
+        let valid = true
+
+        try {
+            // Build schema for just this field
+            const fieldSchema = buildSchema([field])
+            fieldSchema.parse({ [fieldName]: getState().values[fieldName] })
+
+            // Clear errors for this field (and its repeater rows)
+            clearErrorsFor(fieldName)
+
+            // Keep the last server-side result visible (checks run on value change)
+            asyncValidation.reapplyResult(fieldName)
+        } catch (error) {
+            if (error instanceof z.ZodError) {
+                applyErrorsFor(fieldName, formatZodErrors(error.errors, i18n))
+            }
+            valid = false
+        }
+
+        const globalValid = applyGlobalRules([fieldName])
+        onChange()
+        return globalValid && valid
+    }
+
+    /**
+     * Validates a single field (debounced 300ms for input events)
+     */
+    const validateField = debounce(validateFieldImmediate, 300)
+
+    /**
+     * Validates specific fields (for step validation)
+     */
+    const validateFields = async (fieldNames: string[]): Promise<boolean> => {
+        const fieldsToValidate = getFields().filter(f => fieldNames.includes(f.name))
+        let valid = true
+
+        try {
+            const stepSchema = buildSchema(fieldsToValidate)
+            const stepValues = Object.fromEntries(
+                fieldNames.map(name => [name, getState().values[name]])
+            )
+
+            stepSchema.parse(stepValues)
+
+            // Clear errors for validated fields
+            fieldNames.forEach(name => clearErrorsFor(name))
+        } catch (error) {
+            if (error instanceof z.ZodError) {
+                const errors = formatZodErrors(error.errors, i18n)
+                // Only update errors for fields being validated
+                fieldNames.forEach(name => applyErrorsFor(name, errors))
+            }
+            valid = false
+        }
+
+        const asyncValid = await asyncValidation.validateAsync(fieldNames.filter(name => !getState().errors[name]))
+
+        const globalValid = applyGlobalRules(fieldNames)
+        onChange()
+        return globalValid && valid && asyncValid
+    }
+
+    /**
+     * Runs cross-field (globalValidation) rules that involve any of the given fields
+     * Messages are added only to fields in that set, so rules spanning steps report
+     * on the step being validated; a passing rule clears its message everywhere
+     */
+    function applyGlobalRules(fieldNames: string[]): boolean {
+        const rules = (getGlobalRules() || []).filter(rule =>
+            rule.fields.some(name => fieldNames.includes(name))
+        )
+        let valid = true
+
+        rules.forEach(rule => {
+            const errors = validateGlobalRules([rule], getState().values, i18n)
+
+            if (Object.keys(errors).length === 0) {
+                removeErrorMessage(
+                    rule.errorFields?.length ? rule.errorFields : rule.fields,
+                    getValidationMessage('custom', undefined, rule.errorMessage, i18n)
+                )
+                return
+            }
+
+            Object.entries(errors).forEach(([name, messages]) => {
+                if (!fieldNames.includes(name)) return
+
+                const existing = getState().errors[name] || []
+                getState().errors[name] = [...existing, ...messages.filter(m => !existing.includes(m))]
+                valid = false
+            })
+        })
+
+        return valid
+    }
+
+    /**
+     * Removes a specific message from the given fields' errors
+     */
+    function removeErrorMessage(fieldNames: string[], message: string) {
+        fieldNames.forEach(name => {
+            const remaining = getState().errors[name]?.filter(m => m !== message)
+            if (!remaining) return
+
+            if (remaining.length > 0) {
+                getState().errors[name] = remaining
+            } else {
+                delete getState().errors[name]
+            }
+        })
+    }
+
+    /**
+     * Validates a single repeater row (for blur events inside a row)
+     */
+    const validateRow = async (fieldName: string, rowIndex: number): Promise<boolean> => {
+        const field = getFields().find(f => f.name === fieldName)
+        if (!field || field.type !== 'repeater') return true
+
+        const rowPrefix = `${fieldName}.${rowIndex}`
+        const row = getState().values[fieldName]?.[rowIndex] ?? {}
+
+        try {
+            buildSchema(field.fields || []).parse(row)
+            clearErrorsFor(rowPrefix)
+            onChange()
+            return true
+        } catch (error) {
+            if (error instanceof z.ZodError) {
+                const rowErrors = formatZodErrors(error.errors, i18n)
+                const errors = Object.fromEntries(
+                    Object.entries(rowErrors).map(([key, messages]) => [`${rowPrefix}.${key}`, messages])
+                )
+                applyErrorsFor(rowPrefix, errors)
+            }
+            onChange()
+            return false
+        }
+    }
+
+    /**
+     * Removes errors for a field and any nested (repeater row) paths below it
+     */
+    function clearErrorsFor(path: string) {
+        Object.keys(getState().errors).forEach(key => {
+            if (key === path || key.startsWith(`${path}.`)) {
+                delete getState().errors[key]
+            }
+        })
+    }
+
+    /**
+     * Replaces errors for a field and its nested paths with freshly computed ones
+     */
+    function applyErrorsFor(path: string, errors: Record<string, string[]>) {
+        clearErrorsFor(path)
+        Object.entries(errors).forEach(([key, messages]) => {
+            if (key === path || key.startsWith(`${path}.`)) {
+                getState().errors[key] = messages
+            }
+        })
+    }
+
+    /**
+     * Clears all validation errors
+     */
+    const clearErrors = () => {
+        getState().errors = {}
+        onChange()
+    }
+
+    /**
+     * Clears error for specific field
+     */
+    const clearFieldError = (fieldName: string) => {
+        clearErrorsFor(fieldName)
+        onChange()
+    }
+
+    /**
+     * Checks if form has any errors
+     */
+    const hasErrors = (): boolean => {
+        return Object.keys(getState().errors).length > 0
+    }
+
+    /**
+     * Gets error message for a field
+     */
+    const getFieldError = (fieldName: string): string | undefined => {
+        return getState().errors[fieldName]?.[0]
+    }
+
+    return {
+        validateAll,
+        validateField,
+        validateFields,
+        validateRow,
+        validateFieldImmediate,
+        scheduleAsyncValidation: asyncValidation.scheduleValidation,
+        validating: asyncValidation.validating,
+        clearErrors,
+        clearFieldError,
+        hasErrors,
+        getFieldError,
+    }
+}
@@ -0,0 +1,178 @@
+// Dynamic Forms - Library entry point (public API)
+// Based on specs/001-form-config-generator/plan.md
+// Demo views, router and sample configs are not part of the library build
+
+import './assets/styles/library.css'
+import { DynamicForms } from '@/plugin'
+
+export default DynamicForms
+export { DynamicForms }
+export type { DynamicFormsOptions, ValidationMessages } from '@/plugin'
+
+// Components
+export { default as FormRenderer } from '@/components/form/FormRenderer.vue'
+export { default as FieldWrapper } from '@/components/form/FieldWrapper.vue'
+export { default as PayloadPreview } from '@/components/payload/PayloadPreview.vue'
+
+// Base inputs (building blocks for custom field types)
+export { default as BaseInput } from '@/components/base/BaseInput.vue'
+export { default as BaseTextarea } from '@/components/base/BaseTextarea.vue'
+export { default as BaseSelect } from '@/components/base/BaseSelect.vue'
+export { default as BaseCheckbox } from '@/components/base/BaseCheckbox.vue'
+export { default as BaseRadio } from '@/components/base/BaseRadio.vue'
+export { default as BaseToggle } from '@/components/base/BaseToggle.vue'
+export { default as BaseDatePicker } from '@/components/base/BaseDatePicker.vue'
+export { default as BaseFileUpload } from '@/components/base/BaseFileUpload.vue'
+export { default as BaseButton } from '@/components/base/BaseButton.vue'
+
+// Composables
+export { useFormValidation } from '@/composables/useFormValidation'
+export { useFormSubmission, type TransitionMessage } from '@/composables/useFormSubmission'
+export { useMultiStep } from '@/composables/useMultiStep'
+export {
+    useConditionalFields,
+    getVisibleFieldNames,
+    evaluateCondition,
+    isStepVisible,
+} from '@/composables/useConditionalFields'
+export { useFieldDependency } from '@/composables/useFieldDependency'
+export { useComputedFields } from '@/composables/useComputedFields'
+export { useDataSource } from '@/composables/useDataSource'
+export { useAsyncValidation } from '@/composables/useAsyncValidation'
+export { useDraftPersistence } from '@/composables/useDraftPersistence'
+export { useFileUpload } from '@/composables/useFileUpload'
+export { useI18n, provideI18n } from '@/composables/useI18n'
+
+// Services
+export { ApiError, getApiClient, setApiClient } from '@/services/api.service'
+export {
+    registerFieldType,
+    getFieldType,
+    getFieldTypeNames,
+    isKnownFieldType,
+    getEmptyValue,
+    type FieldTypeDefinition,
+} from '@/services/fieldType.service'
+export {
+    registerDraftStorage,
+    createDraftStorage,
+    createWebStorageAdapter,
+    createIndexedDBAdapter,
+    createRemoteAdapter,
+} from '@/services/draft.service'
+export {
+    buildZodSchema,
+    validateField,
+    validateGlobalRules,
+    validateRemote,
+    type RemoteValidationResult,
+} from '@/services/validation.service'
+export {
+    selectTransitions,
+    runTransitions,
+    type TransitionContext,
+    type TransitionHandlers,
+    type TransitionOutcome,
+} from '@/services/transition.service'
+export { uploadFile, type UploadOptions } from '@/services/upload.service'
+export {
+    registerMessages,
+    setLocale,
+    getLocale,
+    setFallbackLocale,
+    onLocaleChange,
+    translate,
+    resolveText,
+    formatMessage,
+    getValidationMessage,
+    isRtlLocale,
+    type LocaleListener,
+} from '@/services/i18n.service'
+export {
+    migrateConfig,
+    needsMigration,
+    registerConfigMigration,
+    compareVersions,
+    type ConfigMigration,
+    type ConfigMigrationResult,
+    type ConfigMigrationStep,
+} from '@/services/migration.service'
+
+// Utilities
+export {
+    validateConfig,
+    isFormConfig,
+    type ConfigValidationResult,
+    type ConfigValidationError,
+} from '@/utils/configParser'
+export { formConfigSchema, getFormConfigJsonSchema } from '@/utils/configSchema'
+export {
+    diffConfigs,
+    type ConfigChange,
+    type ConfigChangeKind,
+    type ConfigDiffResult,
+} from '@/utils/configDiff'
+export { buildPayload, transformPayload, toFormData, hasFiles } from '@/utils/payloadBuilder'
+export {
+    jsonSchemaToFormConfig,
+    buildPayloadSchema,
+    type JsonSchemaImportOptions,
+    type JsonSchemaImportResult,
+} from '@/utils/jsonSchema'
+export { mapServerErrors, formatZodErrors, type ServerErrorResult } from '@/utils/errorFormatter'
+export {
+    parseExpression,
+    evaluateExpression,
+    validateExpression,
+    getExpressionReferences,
+    ExpressionError,
+    type ExpressionContext,
+    type ExpressionNode,
+} from '@/utils/expression'
+export { DEFAULT_MESSAGES, DEFAULT_UI_MESSAGES, FIELD_TYPES, CURRENT_CONFIG_VERSION } from '@/config/constants'
+
+// Headless core (also published without Vue as the `/core` entry)
+export {
+    createFormEngine,
+    getInitialValues,
+    createFormValidator,
+    createAsyncValidator,
+    createStepNavigator,
+    createFileUploader,
+    createFormSubmitter,
+    createDataSourceLoader,
+    createDraftPersistence,
+    getFieldVisibility,
+    isFieldRequired,
+    isConditionMet,
+    createVisibilityResolver,
+    explainCondition,
+    explainFieldVisibility,
+    applyParentChange,
+    applyValueChange,
+    isFieldDisabled,
+    applyComputedValues,
+    type FormEngine,
+    type FormEngineOptions,
+    type FormEngineSnapshot,
+    type FormEngineListener,
+    type MultiStepState,
+    type SubmissionState,
+    type DataSourceState,
+    type DataSourceLoader,
+    type DraftState,
+    type DraftPersistence,
+    type VisibilityResolver,
+    type ConditionExplanation,
+    type FieldVisibilityExplanation,
+} from '@/core'
+
+// Types
+export type * from '@/types/formConfig'
+export type * from '@/types/validation'
+export type * from '@/types/conditional'
+export type * from '@/types/submission'
+export type * from '@/types/persistence'
+export type * from '@/types/components'
+export type * from '@/types/i18n'
+export type * from '@/types/jsonSchema'
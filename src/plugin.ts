@@ -0,0 +1,66 @@
+// Dynamic Forms Plugin - Installs the form engine into a Vue app
+// Based on specs/001-form-config-generator/plan.md
+
+import type { App, Plugin } from 'vue'
+import type { AxiosInstance } from 'axios'
+import FormRenderer from '@/components/form/FormRenderer.vue'
+import { DEFAULT_MESSAGES } from '@/config/constants'
+import { setApiClient } from '@/services/api.service'
+import { registerFieldType, type FieldTypeDefinition } from '@/services/fieldType.service'
+import { registerMessages, setFallbackLocale, setLocale } from '@/services/i18n.service'
+import type { MessageCatalog } from '@/types/i18n'
+
+export type ValidationMessages = Record<keyof typeof DEFAULT_MESSAGES, string>
+
+export interface DynamicFormsOptions {
+    /** Axios instance for every form request (submission, data sources, remote validation, uploads, drafts) */
+    apiClient?: AxiosInstance
+    /** Custom field types keyed by type name (see registerFieldType) */
+    fieldTypes?: Record<string, FieldTypeDefinition>
+    /** Overrides for the default validation messages ("{min}"/"{max}" are filled in) */
+    messages?: Partial<ValidationMessages>
+    /** Message catalogs per locale ("validation.*" and "ui.*" keys, plus keys used by configs) */
+    locales?: Record<string, MessageCatalog>
+    /** Active locale (default "en") */
+    locale?: string
+    /** Locale used for messages missing from the active one (default "en") */
+    fallbackLocale?: string
+    /** Registers <FormRenderer> as a global component (default true) */
+    registerComponents?: boolean
+}
+
+/**
+ * Vue plugin: app.use(DynamicForms, { apiClient, fieldTypes, messages, locales, locale })
+ * Configuration is global to the page, like the field type and draft storage registries
+ */
+export const DynamicForms: Plugin<[DynamicFormsOptions?]> = {
+    install(app: App, options: DynamicFormsOptions = {}) {
+        if (options.apiClient) {
+            setApiClient(options.apiClient)
+        }
+
+        Object.entries(options.fieldTypes || {}).forEach(([name, definition]) => {
+            registerFieldType(name, definition)
+        })
+
+        if (options.messages) {
+            Object.assign(DEFAULT_MESSAGES, options.messages)
+        }
+
+        Object.entries(options.locales || {}).forEach(([locale, messages]) => {
+            registerMessages(locale, messages)
+        })
+
+        if (options.fallbackLocale) {
+            setFallbackLocale(options.fallbackLocale)
+        }
+
+        if (options.locale) {
+            setLocale(options.locale)
+        }
+
+        if (options.registerComponents !== false) {
+            app.component('FormRenderer', FormRenderer)
+        }
+    },
+}
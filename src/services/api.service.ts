@@ -3,6 +3,22 @@
 
 import axios, { type AxiosInstance, type AxiosRequestConfig, type AxiosResponse } from 'axios'
 
+/**
+ * Error raised for failed API requests
+ * Keeps the HTTP status and response body so callers can react to them
+ */
+export class ApiError extends Error {
+    status?: number
+    data?: any
+
+    constructor(message: string, status?: number, data?: any) {
+        super(message)
+        this.name = 'ApiError'
+        this.status = status
+        this.data = data
+    }
+}
+
 /**
  * Create and configure Axios instance
  */
@@ -14,6 +30,15 @@ function createApiClient(): AxiosInstance {
         },
     })
 
+    installInterceptors(client)
+
+    return client
+}
+
+/**
+ * Adds the interceptors the form engine relies on (failed requests reject with ApiError)
+ */
+function installInterceptors(client: AxiosInstance): void {
     // Request interceptor
     client.interceptors.request.use(
         (config) => {
@@ -33,15 +58,30 @@ function createApiClient(): AxiosInstance {
         (error) => {
             // Transform error for consistent handling
             const message = error.response?.data?.message || error.message || 'API request failed'
-            return Promise.reject(new Error(message))
+            return Promise.reject(new ApiError(message, error.response?.status, error.response?.data))
         }
     )
+}
 
-    return client
+// Shared instance; host apps can swap in their own with setApiClient
+let apiClient = createApiClient()
+
+/**
+ * Gets the Axios instance used for all form requests
+ */
+export function getApiClient(): AxiosInstance {
+    return apiClient
 }
 
-// Export singleton instance
-export const apiClient = createApiClient()
+/**
+ * Replaces the Axios instance used for all form requests (submission, data sources,
+ * remote validation, uploads, drafts), e.g. one carrying the app's auth interceptors
+ * The form engine's error interceptor is added to the instance
+ */
+export function setApiClient(client: AxiosInstance): void {
+    installInterceptors(client)
+    apiClient = client
+}
 
 /**
  * Generic GET request
@@ -0,0 +1,145 @@
+// Draft Service - Storage adapters for draft autosave/resume
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { DraftStorageAdapter, FormDraft, PersistenceConfig } from '@/types/persistence'
+import { getApiClient } from '@/services/api.service'
+
+const INDEXED_DB_NAME = 'dynamic-form-drafts'
+const INDEXED_DB_STORE = 'drafts'
+
+type DraftStorageFactory = (config: PersistenceConfig) => DraftStorageAdapter
+
+const storageFactories = new Map<string, DraftStorageFactory>([
+    ['localStorage', () => createWebStorageAdapter(() => window.localStorage)],
+    ['sessionStorage', () => createWebStorageAdapter(() => window.sessionStorage)],
+    ['indexedDB', () => createIndexedDBAdapter()],
+    ['remote', config => createRemoteAdapter(config)],
+])
+
+/**
+ * Registers a custom draft storage adapter, usable as `persistence.storage: "<name>"`
+ */
+export function registerDraftStorage(name: string, factory: DraftStorageFactory): void {
+    storageFactories.set(name, factory)
+}
+
+/**
+ * Creates the adapter configured for a form
+ * @throws Error when the storage name is not registered
+ */
+export function createDraftStorage(config: PersistenceConfig): DraftStorageAdapter {
+    const factory = storageFactories.get(config.storage)
+    if (!factory) {
+        throw new Error(`Unknown draft storage "${config.storage}"`)
+    }
+    return factory(config)
+}
+
+/**
+ * Names of all registered draft storages
+ */
+export function getDraftStorageNames(): string[] {
+    return [...storageFactories.keys()]
+}
+
+/**
+ * localStorage / sessionStorage adapter (drafts stored as JSON)
+ */
+export function createWebStorageAdapter(getStorage: () => Storage): DraftStorageAdapter {
+    return {
+        async load(key) {
+            const raw = getStorage().getItem(key)
+            if (!raw) return null
+
+            try {
+                return JSON.parse(raw) as FormDraft
+            } catch {
+                // Corrupt drafts are dropped rather than blocking the form
+                getStorage().removeItem(key)
+                return null
+            }
+        },
+        async save(key, draft) {
+            getStorage().setItem(key, JSON.stringify(draft))
+        },
+        async clear(key) {
+            getStorage().removeItem(key)
+        },
+    }
+}
+
+/**
+ * IndexedDB adapter (one object store keyed by draft key)
+ */
+export function createIndexedDBAdapter(): DraftStorageAdapter {
+    let database: Promise<IDBDatabase> | null = null
+
+    function openDatabase(): Promise<IDBDatabase> {
+        if (!database) {
+            database = new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(INDEXED_DB_NAME, 1)
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(INDEXED_DB_STORE)
+                }
+                request.onsuccess = () => resolve(request.result)
+                request.onerror = () => {
+                    database = null
+                    reject(request.error)
+                }
+            })
+        }
+        return database
+    }
+
+    async function run<T>(mode: IDBTransactionMode, operation: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+        const db = await openDatabase()
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(INDEXED_DB_STORE, mode).objectStore(INDEXED_DB_STORE))
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => reject(request.error)
+        })
+    }
+
+    return {
+        async load(key) {
+            return (await run<FormDraft | undefined>('readonly', store => store.get(key))) ?? null
+        },
+        async save(key, draft) {
+            await run('readwrite', store => store.put(draft, key))
+        },
+        async clear(key) {
+            await run('readwrite', store => store.delete(key))
+        },
+    }
+}
+
+/**
+ * Remote adapter - GET loads, PUT saves and DELETE clears "<endpoint>/<key>"
+ * A 404 on load means there is no draft
+ */
+export function createRemoteAdapter(config: PersistenceConfig): DraftStorageAdapter {
+    if (!config.endpoint) {
+        throw new Error('Remote draft storage requires an endpoint')
+    }
+
+    const endpoint = config.endpoint.replace(/\/$/, '')
+    const url = (key: string) => `${endpoint}/${encodeURIComponent(key)}`
+
+    return {
+        async load(key) {
+            try {
+                const response = await getApiClient().get(url(key), { headers: config.headers })
+                return response.data || null
+            } catch (error: any) {
+                if (error?.status === 404) return null
+                throw error
+            }
+        },
+        async save(key, draft) {
+            await getApiClient().put(url(key), draft, { headers: config.headers })
+        },
+        async clear(key) {
+            await getApiClient().delete(url(key), { headers: config.headers })
+        },
+    }
+}
@@ -0,0 +1,83 @@
+// Field Type Registry - Custom field types with their component, value schema and empty value
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { Component } from 'vue'
+import type { ZodTypeAny } from 'zod'
+import type { FieldDefinition } from '@/types/formConfig'
+import { FIELD_TYPES } from '@/config/constants'
+
+export interface FieldTypeDefinition {
+    /**
+     * Component rendering the field; like the base inputs it receives modelValue, id,
+     * disabled, required and aria-* props (plus the field's `props`) and emits
+     * update:modelValue and blur
+     */
+    component: Component
+
+    /** Schema for the field value, or a factory receiving the field definition (default z.any()) */
+    zodSchema?: ZodTypeAny | ((field: FieldDefinition) => ZodTypeAny)
+
+    /** Value of an empty field, used for reset values; a function is called each time so objects aren't shared */
+    emptyValue?: any
+
+    /** Schema the field definition itself must match, checked by validateConfig (e.g. required props) */
+    configSchema?: ZodTypeAny
+}
+
+const fieldTypes = new Map<string, FieldTypeDefinition>()
+
+/**
+ * Registers a custom field type, usable as `"type": "<name>"` in configs
+ * @throws Error when the name is a built-in type
+ */
+export function registerFieldType(name: string, definition: FieldTypeDefinition): void {
+    if ((FIELD_TYPES as string[]).includes(name)) {
+        throw new Error(`"${name}" is a built-in field type and cannot be replaced`)
+    }
+    fieldTypes.set(name, definition)
+}
+
+/**
+ * Gets a registered custom field type
+ */
+export function getFieldType(name: string): FieldTypeDefinition | undefined {
+    return fieldTypes.get(name)
+}
+
+/**
+ * Names of all usable field types: built-in first, then registered
+ */
+export function getFieldTypeNames(): string[] {
+    return [...FIELD_TYPES, ...fieldTypes.keys()]
+}
+
+/**
+ * Checks if a field type is built-in or registered
+ */
+export function isKnownFieldType(name: string): boolean {
+    return (FIELD_TYPES as string[]).includes(name) || fieldTypes.has(name)
+}
+
+/**
+ * Gets the value of an empty field of a type
+ */
+export function getEmptyValue(type: string): any {
+    const custom = fieldTypes.get(type)
+    if (custom && 'emptyValue' in custom) {
+        return typeof custom.emptyValue === 'function' ? custom.emptyValue() : custom.emptyValue
+    }
+
+    switch (type) {
+        case 'checkbox':
+        case 'toggle':
+            return false
+        case 'multi-select':
+        case 'repeater':
+        case 'file':
+            return []
+        case 'number':
+            return undefined
+        default:
+            return ''
+    }
+}
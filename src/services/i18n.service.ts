@@ -0,0 +1,262 @@
+// I18n Service - Message catalogs, the active locale and localized config text
+// Page-wide catalogs and locale are the defaults; a form passes its own I18nContext to override them
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { I18nContext, LocalizedText, MessageCatalog, MessageParams } from '@/types/i18n'
+import {
+    DEFAULT_LOCALE,
+    DEFAULT_MESSAGES,
+    DEFAULT_UI_MESSAGES,
+    I18N_KEY_PREFIX,
+    RTL_LANGUAGES,
+} from '@/config/constants'
+
+export type LocaleListener = (locale: string) => void
+
+const catalogs = new Map<string, MessageCatalog>()
+const listeners = new Set<LocaleListener>()
+
+let currentLocale = DEFAULT_LOCALE
+let fallbackLocale = DEFAULT_LOCALE
+
+/**
+ * Adds messages for a locale, merged into any registered before
+ */
+export function registerMessages(locale: string, messages: MessageCatalog): void {
+    catalogs.set(locale, mergeCatalogs(catalogs.get(locale) || {}, messages))
+}
+
+/**
+ * Switches the page-wide locale (forms given their own locale keep it)
+ */
+export function setLocale(locale: string): void {
+    if (locale === currentLocale) return
+    currentLocale = locale
+    listeners.forEach(listener => listener(locale))
+}
+
+export function getLocale(): string {
+    return currentLocale
+}
+
+/**
+ * Sets the locale used for messages missing from the active one
+ */
+export function setFallbackLocale(locale: string): void {
+    fallbackLocale = locale
+}
+
+/**
+ * Subscribes to locale switches; returns an unsubscribe function
+ */
+export function onLocaleChange(listener: LocaleListener): () => void {
+    listeners.add(listener)
+    return () => {
+        listeners.delete(listener)
+    }
+}
+
+/**
+ * Looks up a catalog message and fills in its params
+ * Tries the locale ("fr-CA"), its language ("fr"), the fallback locale, then the built-in
+ * English messages; at each locale a form's own catalogs come before the registered ones.
+ * An unknown key is returned as-is
+ * @param context Locale, or a form's locale and catalogs (page-wide locale by default)
+ */
+export function translate(key: string, params?: MessageParams, context: string | I18nContext = {}): string {
+    const { locale, messages } = toContext(context)
+    const message = getLocaleChain(locale)
+        .flatMap(candidate => [messages?.[candidate], catalogs.get(candidate)])
+        .map(catalog => (catalog ? lookupMessage(catalog, key) : undefined))
+        .find(candidate => candidate !== undefined)
+        ?? lookupMessage({ validation: DEFAULT_MESSAGES, ui: DEFAULT_UI_MESSAGES }, key)
+
+    return message === undefined ? key : formatMessage(message, params, locale)
+}
+
+/**
+ * Resolves config text (plain string, "i18n:" key or locale map) for the active locale
+ * @param context Locale, or a form's locale and catalogs (page-wide locale by default)
+ */
+export function resolveText(
+    text: LocalizedText | undefined,
+    params?: MessageParams,
+    context: string | I18nContext = {}
+): string {
+    if (text === undefined || text === null) return ''
+
+    const { locale } = toContext(context)
+    if (typeof text === 'string') {
+        return text.startsWith(I18N_KEY_PREFIX)
+            ? translate(text.slice(I18N_KEY_PREFIX.length), params, context)
+            : formatMessage(text, params, locale)
+    }
+
+    const match = getLocaleChain(locale).find(candidate => text[candidate] !== undefined)
+    const value = match ? text[match] : Object.values(text)[0]
+    return value === undefined ? '' : formatMessage(value, params, locale)
+}
+
+/**
+ * Gets a validation message: the config's own message when given, else the catalog's
+ * "validation.<key>" message
+ */
+export function getValidationMessage(
+    key: keyof typeof DEFAULT_MESSAGES,
+    params?: MessageParams,
+    customMessage?: LocalizedText,
+    context: I18nContext = {}
+): string {
+    return customMessage ? resolveText(customMessage, params, context) : translate(`validation.${key}`, params, context)
+}
+
+/**
+ * Checks if a locale is written right to left
+ */
+export function isRtlLocale(locale: string = currentLocale): boolean {
+    return RTL_LANGUAGES.includes(getLanguage(locale))
+}
+
+/**
+ * Fills "{name}" placeholders and "{name, plural, one {…} other {…}}" forms
+ * Plural forms pick "=N" for an exact count, else the locale's plural category, else "other";
+ * "#" inside a form stands for the count. Unknown placeholders are left as they are.
+ */
+export function formatMessage(message: string, params: MessageParams = {}, locale: string = currentLocale): string {
+    let result = ''
+    let index = 0
+
+    while (index < message.length) {
+        const open = message.indexOf('{', index)
+        const close = open === -1 ? -1 : findClosingBrace(message, open)
+        if (close === -1) {
+            result += message.slice(index)
+            break
+        }
+
+        result += message.slice(index, open) + formatPlaceholder(message.slice(open + 1, close), params, locale)
+        index = close + 1
+    }
+
+    return result
+}
+
+/**
+ * Formats the inside of one placeholder ("min" or "min, plural, one {…} other {…}")
+ */
+function formatPlaceholder(body: string, params: MessageParams, locale: string): string {
+    const firstComma = body.indexOf(',')
+    const name = (firstComma === -1 ? body : body.slice(0, firstComma)).trim()
+    const value = params[name]
+
+    if (firstComma === -1) {
+        return value === undefined ? `{${body}}` : String(value)
+    }
+
+    const secondComma = body.indexOf(',', firstComma + 1)
+    const type = body.slice(firstComma + 1, secondComma === -1 ? undefined : secondComma).trim()
+    if (type !== 'plural' || secondComma === -1 || value === undefined) {
+        return `{${body}}`
+    }
+
+    const forms = parsePluralForms(body.slice(secondComma + 1))
+    const count = Number(value)
+    const form = forms[`=${count}`] ?? forms[getPluralCategory(count, locale)] ?? forms.other ?? ''
+
+    return formatMessage(form.replace(/#/g, String(value)), params, locale)
+}
+
+/**
+ * Parses plural forms ("one {# item} other {# items}") into selector → text
+ */
+function parsePluralForms(text: string): Record<string, string> {
+    const forms: Record<string, string> = {}
+    let index = 0
+
+    while (index < text.length) {
+        const open = text.indexOf('{', index)
+        const close = open === -1 ? -1 : findClosingBrace(text, open)
+        if (close === -1) break
+
+        const selector = text.slice(index, open).trim()
+        if (selector) {
+            forms[selector] = text.slice(open + 1, close)
+        }
+        index = close + 1
+    }
+
+    return forms
+}
+
+/**
+ * Finds the brace closing the one at `open`, or -1
+ */
+function findClosingBrace(text: string, open: number): number {
+    let depth = 0
+    for (let index = open; index < text.length; index++) {
+        if (text[index] === '{') depth++
+        if (text[index] === '}' && --depth === 0) return index
+    }
+    return -1
+}
+
+/**
+ * Gets the plural category of a count ("one", "few", "other", …) in a locale
+ */
+function getPluralCategory(count: number, locale: string): string {
+    try {
+        return new Intl.PluralRules(locale).select(count)
+    } catch {
+        // Unknown locale tag
+        return new Intl.PluralRules(DEFAULT_LOCALE).select(count)
+    }
+}
+
+/**
+ * Fills in the page-wide locale for a context (a bare locale string is a context without catalogs)
+ */
+function toContext(context: string | I18nContext): I18nContext & { locale: string } {
+    return typeof context === 'string'
+        ? { locale: context }
+        : { locale: context.locale ?? currentLocale, messages: context.messages }
+}
+
+/**
+ * Locales to try for a message, most specific first
+ */
+function getLocaleChain(locale: string): string[] {
+    return Array.from(new Set([locale, getLanguage(locale), fallbackLocale, getLanguage(fallbackLocale)]))
+}
+
+/**
+ * Gets the language part of a locale tag ("pt-BR" → "pt")
+ */
+function getLanguage(locale: string): string {
+    return locale.split(/[-_]/)[0]!.toLowerCase()
+}
+
+/**
+ * Looks up a message by flat ("validation.required" as one key) or nested key
+ */
+function lookupMessage(catalog: Record<string, any>, key: string): string | undefined {
+    if (typeof catalog[key] === 'string') return catalog[key]
+
+    const value = key.split('.').reduce<any>((current, part) => current?.[part], catalog)
+    return typeof value === 'string' ? value : undefined
+}
+
+/**
+ * Deep-merges two catalogs; messages in `source` win
+ */
+function mergeCatalogs(target: MessageCatalog, source: MessageCatalog): MessageCatalog {
+    const result: MessageCatalog = { ...target }
+
+    Object.entries(source).forEach(([key, value]) => {
+        const existing = result[key]
+        result[key] = typeof value === 'object' && typeof existing === 'object'
+            ? mergeCatalogs(existing, value)
+            : value
+    })
+
+    return result
+}
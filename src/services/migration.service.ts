@@ -0,0 +1,187 @@
+// Migration Service - Upgrades older configs to the current config schema version
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { FormConfig } from '@/types/formConfig'
+import { CURRENT_CONFIG_VERSION } from '@/config/constants'
+
+export interface ConfigMigration {
+    /** Schema version the migration upgrades configs to */
+    version: string
+
+    /** One-line summary of the format change */
+    description: string
+
+    /**
+     * Rewrites a config (a private copy, free to mutate) to the new format
+     * Calls `log` once per change made, e.g. 'submitConfig.transformPayload.include: field "email" → payload path "user.email"'
+     */
+    migrate: (config: any, log: (change: string) => void) => void
+}
+
+export interface ConfigMigrationStep {
+    version: string
+    description: string
+    changes: string[]
+}
+
+export interface ConfigMigrationResult {
+    /** The upgraded config (the input is left untouched) */
+    config: FormConfig
+
+    fromVersion: string
+    toVersion: string
+
+    /** Migrations applied, oldest first */
+    steps: ConfigMigrationStep[]
+}
+
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/
+
+const migrations: ConfigMigration[] = [
+    {
+        version: '1.1.0',
+        description: 'showMessage transitions carry their text in "message"; transformPayload paths address the payload',
+        migrate: migrateTo110,
+    },
+]
+
+/**
+ * Registers a migration, applied to configs older than its version
+ * @throws Error when the version is not "major.minor.patch" or is newer than the current schema version
+ */
+export function registerConfigMigration(migration: ConfigMigration): void {
+    if (!VERSION_PATTERN.test(migration.version)) {
+        throw new Error(`Invalid migration version "${migration.version}"`)
+    }
+    if (compareVersions(migration.version, CURRENT_CONFIG_VERSION) > 0) {
+        throw new Error(`Migration version ${migration.version} is newer than the current config version ${CURRENT_CONFIG_VERSION}`)
+    }
+
+    migrations.push(migration)
+    migrations.sort((a, b) => compareVersions(a.version, b.version))
+}
+
+/**
+ * Upgrades a config to the current schema version, one migration at a time
+ * Every migration newer than metadata.version runs in version order, then
+ * metadata.version is set to the current version.
+ * @throws Error when the version is missing, malformed or newer than the current one
+ */
+export function migrateConfig(config: any): ConfigMigrationResult {
+    const fromVersion = config?.metadata?.version
+    if (typeof fromVersion !== 'string' || !VERSION_PATTERN.test(fromVersion)) {
+        throw new Error(`Cannot migrate config: metadata.version "${fromVersion}" is not a version like "${CURRENT_CONFIG_VERSION}"`)
+    }
+    if (compareVersions(fromVersion, CURRENT_CONFIG_VERSION) > 0) {
+        throw new Error(`Cannot migrate config: version ${fromVersion} is newer than the supported version ${CURRENT_CONFIG_VERSION}`)
+    }
+
+    const upgraded = structuredClone(config)
+    const steps: ConfigMigrationStep[] = []
+
+    migrations
+        .filter(migration => compareVersions(fromVersion, migration.version) < 0)
+        .forEach(migration => {
+            const changes: string[] = []
+            migration.migrate(upgraded, change => changes.push(change))
+            upgraded.metadata.version = migration.version
+            steps.push({ version: migration.version, description: migration.description, changes })
+        })
+
+    upgraded.metadata.version = CURRENT_CONFIG_VERSION
+
+    return { config: upgraded, fromVersion, toVersion: CURRENT_CONFIG_VERSION, steps }
+}
+
+/**
+ * Whether a config's version is older than the current schema version
+ */
+export function needsMigration(config: any): boolean {
+    const version = config?.metadata?.version
+    return typeof version === 'string' &&
+        VERSION_PATTERN.test(version) &&
+        compareVersions(version, CURRENT_CONFIG_VERSION) < 0
+}
+
+/**
+ * Checks for a "major.minor.patch" version
+ */
+export function isValidConfigVersion(version: unknown): boolean {
+    return typeof version === 'string' && VERSION_PATTERN.test(version)
+}
+
+/**
+ * Compares two "major.minor.patch" versions (negative when a is older)
+ */
+export function compareVersions(a: string, b: string): number {
+    const left = a.split('.').map(Number)
+    const right = b.split('.').map(Number)
+
+    for (let index = 0; index < 3; index++) {
+        const difference = (left[index] ?? 0) - (right[index] ?? 0)
+        if (difference !== 0) return difference
+    }
+    return 0
+}
+
+/**
+ * 1.0.0 → 1.1.0
+ * - showMessage transitions took their text from `target`; it now lives in `message`
+ * - transformPayload include/exclude/rename listed field names; they are now payload
+ *   paths, so fields with a submitField are rewritten to that path
+ */
+function migrateTo110(config: any, log: (change: string) => void): void {
+    const transitions = config.submitConfig?.stateTransitions
+    if (transitions && typeof transitions === 'object') {
+        const chains: [string, any][] = [
+            ['onSuccess', transitions.onSuccess],
+            ['onError', transitions.onError],
+            ...Object.entries(transitions.onStatus || {}).map(([status, chain]): [string, any] => [`onStatus.${status}`, chain]),
+        ]
+
+        chains.forEach(([key, chain]) => {
+            const list = Array.isArray(chain) ? chain : [chain]
+            list.forEach((transition: any, index: number) => {
+                if (transition?.action !== 'showMessage' || transition.message || !transition.target) return
+
+                const path = `submitConfig.stateTransitions.${key}${Array.isArray(chain) ? `[${index}]` : ''}`
+                transition.message = transition.target
+                delete transition.target
+                log(`${path}: moved the showMessage text from "target" to "message"`)
+            })
+        })
+    }
+
+    const transform = config.submitConfig?.transformPayload
+    if (!transform || typeof transform !== 'object') return
+
+    const submitPaths = new Map<string, string>()
+    const steps: any[] = Array.isArray(config.steps) ? config.steps : []
+    steps.forEach(step => {
+        (Array.isArray(step?.fields) ? step.fields : []).forEach((field: any) => {
+            if (field?.name && field.submitField && field.submitField !== field.name) {
+                submitPaths.set(field.name, field.submitField)
+            }
+        })
+    })
+
+    for (const key of ['include', 'exclude'] as const) {
+        if (!Array.isArray(transform[key])) continue
+
+        transform[key] = transform[key].map((name: any) => {
+            const path = submitPaths.get(name)
+            if (!path) return name
+            log(`submitConfig.transformPayload.${key}: field "${name}" → payload path "${path}"`)
+            return path
+        })
+    }
+
+    if (transform.rename && typeof transform.rename === 'object') {
+        transform.rename = Object.fromEntries(Object.entries(transform.rename).map(([name, target]) => {
+            const path = submitPaths.get(name)
+            if (!path) return [name, target]
+            log(`submitConfig.transformPayload.rename: field "${name}" → payload path "${path}"`)
+            return [path, target]
+        }))
+    }
+}
@@ -4,6 +4,9 @@
 
 import type { FormState } from '@/types/formConfig'
 
+// A token inside a larger string: prefix and dot path ("response:order.id")
+const TOKEN_PATTERN = /\b(form|store|response):([A-Za-z0-9_$]+(?:\.[A-Za-z0-9_$]+)*)/
+
 /**
  * Resolves tokens in string values
  * Supports:
@@ -47,6 +50,53 @@ export function resolveToken(
     }
 }
 
+/**
+ * Resolves tokens embedded in a larger string
+ * Example: "/orders/response:id" with response { id: 42 } => "/orders/42"
+ * Unresolved tokens become empty strings
+ */
+export function resolveTokensInString(
+    template: string,
+    formState: FormState,
+    responseData?: Record<string, any>,
+    storeData?: Record<string, any>
+): string {
+    return replaceTokens(template, value => value, formState, responseData, storeData)
+}
+
+/**
+ * Resolves tokens embedded in a URL, URL-encoding each value substituted into a path or query segment
+ * Example: "/search?q=form:query" with query "a/b?c" => "/search?q=a%2Fb%3Fc"
+ * Those values cannot add path segments, query parameters or a scheme to the URL.
+ * A target that is a single token ("response:redirectUrl") is a whole URL and is used as is.
+ */
+export function resolveTokensInUrl(
+    template: string,
+    formState: FormState,
+    responseData?: Record<string, any>,
+    storeData?: Record<string, any>
+): string {
+    if (new RegExp(`^${TOKEN_PATTERN.source}$`).test(template.trim())) {
+        const value = resolveToken(template.trim(), formState, responseData, storeData)
+        return value === undefined || value === null ? '' : String(value)
+    }
+
+    return replaceTokens(template, encodeURIComponent, formState, responseData, storeData)
+}
+
+function replaceTokens(
+    template: string,
+    format: (value: string) => string,
+    formState: FormState,
+    responseData?: Record<string, any>,
+    storeData?: Record<string, any>
+): string {
+    return template.replace(new RegExp(TOKEN_PATTERN.source, 'g'), token => {
+        const value = resolveToken(token, formState, responseData, storeData)
+        return value === undefined || value === null ? '' : format(String(value))
+    })
+}
+
 /**
  * Resolves all tokens in an object recursively
  */
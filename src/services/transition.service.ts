@@ -0,0 +1,144 @@
+// State Transition Service - Runs submitConfig.stateTransitions after a submission
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { FormState } from '@/types/formConfig'
+import type { StateTransition, StateTransitions } from '@/types/submission'
+import { getApiClient } from '@/services/api.service'
+import { resolveTokensInObject, resolveTokensInString, resolveTokensInUrl } from '@/services/token.service'
+
+export type TransitionOutcome = 'success' | 'error'
+
+export interface TransitionContext {
+    formState: FormState
+    outcome: TransitionOutcome
+    /** HTTP status of the submission response, when known */
+    status?: number
+    /** Response body (success data or error body) for response:* tokens */
+    response?: any
+}
+
+/**
+ * Side effects the engine delegates to the host (renderer, router, ...)
+ */
+export interface TransitionHandlers {
+    navigate: (target: string) => void
+    showMessage: (message: string, variant: NonNullable<StateTransition['variant']>) => void
+    nextStep: () => void
+    /** Maps server field errors found at `errorsPath` (or the configured default) in the response */
+    mapErrors: (response: any, errorsPath?: string) => void
+}
+
+/**
+ * Picks the transitions for a submission outcome
+ * Exact status keys ("409") win over status classes ("4xx"), which win over onSuccess/onError
+ */
+export function selectTransitions(
+    transitions: StateTransitions | undefined,
+    outcome: TransitionOutcome,
+    status?: number
+): StateTransition[] {
+    if (!transitions) return []
+
+    if (status !== undefined && transitions.onStatus) {
+        const byStatus =
+            transitions.onStatus[String(status)] ?? transitions.onStatus[`${String(status)[0]}xx`]
+        if (byStatus) return toList(byStatus)
+    }
+
+    return toList(outcome === 'success' ? transitions.onSuccess : transitions.onError)
+}
+
+/**
+ * Runs transitions in order as a chain
+ * A callApi step's response becomes the `response:` data for the steps after it
+ */
+export async function runTransitions(
+    transitions: StateTransition[],
+    context: TransitionContext,
+    handlers: TransitionHandlers
+): Promise<void> {
+    let response = context.response
+
+    for (const transition of transitions) {
+        // Apply delay if specified
+        if (transition.delay) {
+            await new Promise(resolve => setTimeout(resolve, transition.delay))
+        }
+
+        const resolve = (template: string) => resolveTokensInString(template, context.formState, response)
+        const resolveUrl = (template: string) => resolveTokensInUrl(template, context.formState, response)
+
+        switch (transition.action) {
+            case 'navigate':
+                if (transition.target) {
+                    const url = resolveUrl(transition.target)
+                    if (!isSafeUrl(url)) {
+                        console.error(`State transition navigate target "${url}" is not an http(s) URL or relative path`)
+                        break
+                    }
+                    handlers.navigate(url)
+                }
+                break
+
+            case 'showMessage':
+                if (transition.message) {
+                    handlers.showMessage(
+                        resolve(transition.message),
+                        transition.variant || (context.outcome === 'success' ? 'success' : 'error')
+                    )
+                }
+                break
+
+            case 'callApi':
+                if (transition.target) {
+                    const url = resolveUrl(transition.target)
+                    if (!isSafeUrl(url)) {
+                        console.error(`State transition API call "${url}" is not an http(s) URL or relative path`)
+                        return
+                    }
+
+                    try {
+                        const result = await getApiClient().request({
+                            url,
+                            method: transition.method || 'GET',
+                            data: transition.body
+                                ? resolveTokensInObject(transition.body, context.formState, response)
+                                : undefined,
+                        })
+                        response = result.data
+                    } catch (error) {
+                        // A failed follow-up call stops the chain
+                        console.error('State transition API call failed:', error)
+                        return
+                    }
+                }
+                break
+
+            case 'mapErrors':
+                handlers.mapErrors(response, transition.errorsPath)
+                break
+
+            case 'nextStep':
+                handlers.nextStep()
+                break
+        }
+    }
+}
+
+/**
+ * Accepts http(s) URLs and relative paths; rejects other schemes ("javascript:")
+ * and protocol-relative URLs ("//evil.com") that leave the site
+ */
+function isSafeUrl(url: string): boolean {
+    // Browsers ignore tabs and newlines in URLs ("java\tscript:")
+    const normalized = url.replace(/[\u0000-\u001F\u007F]/g, '').trim()
+    if (/^[/\\]{2}/.test(normalized)) return false
+
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(normalized)
+    return !scheme || ['http', 'https'].includes(scheme[1]!.toLowerCase())
+}
+
+function toList(transition: StateTransition | StateTransition[] | undefined): StateTransition[] {
+    if (!transition) return []
+    return Array.isArray(transition) ? transition : [transition]
+}
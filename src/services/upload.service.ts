@@ -0,0 +1,42 @@
+// Upload Service - Sends single files to a pre-upload endpoint
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { FileUploadConfig } from '@/types/submission'
+import { getApiClient } from '@/services/api.service'
+import { getNestedValue } from '@/utils/payloadBuilder'
+
+export interface UploadOptions {
+    /** Called with the uploaded percentage (0-100) */
+    onProgress?: (progress: number) => void
+    /** Aborts the upload */
+    signal?: AbortSignal
+}
+
+/**
+ * Uploads one file as multipart/form-data and returns the ID from the response
+ * @throws ApiError when the request fails; axios CanceledError when aborted
+ */
+export async function uploadFile(file: Blob, config: FileUploadConfig, options: UploadOptions = {}): Promise<any> {
+    if (!config.endpoint) {
+        throw new Error('File pre-upload requires an endpoint')
+    }
+
+    const formData = new FormData()
+    formData.append(config.fileField || 'file', file, file instanceof File ? file.name : 'blob')
+
+    const response = await getApiClient().post(config.endpoint, formData, {
+        // Overrides the client's JSON default; the browser adds the multipart boundary
+        headers: { ...config.headers, 'Content-Type': 'multipart/form-data' },
+        signal: options.signal,
+        // Uploads can far outlast the default request timeout
+        timeout: 0,
+        onUploadProgress: event => {
+            if (event.total) {
+                options.onProgress?.(Math.round((event.loaded / event.total) * 100))
+            }
+        },
+    })
+
+    const id = getNestedValue(response.data ?? {}, config.idPath || 'id')
+    return id !== undefined ? id : response.data
+}
@@ -2,43 +2,94 @@
 // Based on specs/001-form-config-generator/data-model.md
 
 import { z, type ZodSchema, type ZodTypeAny } from 'zod'
-import type { FieldDefinition } from '@/types/formConfig'
-import type { ValidationRule } from '@/types/validation'
-import { DEFAULT_MESSAGES } from '@/config/constants'
+import type { CrossFieldValidator, FieldDefinition, FormState, GlobalValidationRule, StepConfig } from '@/types/formConfig'
+import type { RemoteValidationConfig, ValidationRule } from '@/types/validation'
+import type { I18nContext } from '@/types/i18n'
+import { getApiClient } from '@/services/api.service'
+import { getValidationMessage, resolveText } from '@/services/i18n.service'
+import { resolveTokensInObject } from '@/services/token.service'
+import { getEmptyValue, getFieldType, type FieldTypeDefinition } from '@/services/fieldType.service'
+import { getNestedValue } from '@/utils/payloadBuilder'
+import { evaluateExpression } from '@/utils/expression'
+import { isValidationActive } from '@/core/conditions'
+import { compareDateValues, isValidDateValue, resolveDateBound, type DateFieldType } from '@/utils/date'
+import { formatFileSize, isFileLike, matchesAccept } from '@/utils/file'
+
+export interface RemoteValidationResult {
+    valid: boolean
+    message?: string
+}
 
 /**
  * Builds a Zod schema from field definitions
+ * `getValues` supplies the form values that `form:` references in custom
+ * validator expressions read at validation time. With the form's `steps`,
+ * validateIf rules read fields hidden by showIf as empty. Messages are in the
+ * `i18n` context's locale (the page-wide one by default)
  */
-export function buildZodSchema(fields: FieldDefinition[]): ZodSchema {
+export function buildZodSchema(
+    fields: FieldDefinition[],
+    getValues: () => Record<string, any> = () => ({}),
+    steps?: StepConfig[],
+    i18n?: I18nContext
+): ZodSchema {
     const shape: Record<string, ZodTypeAny> = {}
 
     fields.forEach(field => {
         let fieldSchema: ZodTypeAny
 
+        // Registered field types bring their own value schema
+        const customType = getFieldType(field.type)
+        if (customType) {
+            fieldSchema = buildCustomTypeSchema(field, customType, getValues, i18n)
+            shape[field.name] = applyValidateIf(
+                field,
+                field.validation?.required ? fieldSchema : fieldSchema.optional(),
+                getValues,
+                steps
+            )
+            return
+        }
+
         // Base schema based on field type
         switch (field.type) {
             case 'number':
                 fieldSchema = z.number()
                 break
             case 'email':
-                fieldSchema = z.string().email(DEFAULT_MESSAGES.email)
+                fieldSchema = z.string().email(getValidationMessage('email', undefined, field.validation?.emailMessage, i18n))
                 break
             case 'url':
-                fieldSchema = z.string().url(DEFAULT_MESSAGES.url)
+                fieldSchema = z.string().url(getValidationMessage('url', undefined, field.validation?.urlMessage, i18n))
                 break
             case 'checkbox':
                 fieldSchema = z.boolean()
                 break
+            case 'toggle':
+                // A toggle always has a value; untouched means off
+                fieldSchema = z.boolean().default(false)
+                break
+            case 'file':
+                fieldSchema = buildFileSchema(field, i18n)
+                break
             case 'multi-select':
                 fieldSchema = z.array(z.string())
                 break
+            case 'repeater':
+                fieldSchema = buildRepeaterSchema(field, getValues, steps, i18n)
+                break
             default:
                 fieldSchema = z.string()
         }
 
-        // Apply validation rules
-        if (field.validation) {
-            fieldSchema = applyValidationRules(fieldSchema, field.validation, field.type)
+        // Apply validation rules (repeater rows carry their own rules; files are checked per file)
+        if (field.validation && field.type !== 'repeater' && field.type !== 'file') {
+            fieldSchema = applyValidationRules(fieldSchema, field.validation, field.type, getValues, i18n)
+        }
+
+        // Date/time values are checked for format and bounds
+        if (field.type === 'date' || field.type === 'time' || field.type === 'datetime') {
+            fieldSchema = applyDateRules(fieldSchema, field.type, field.validation, i18n)
         }
 
         // Make field optional if not required
@@ -46,19 +97,189 @@ export function buildZodSchema(fields: FieldDefinition[]): ZodSchema {
             fieldSchema = fieldSchema.optional()
         }
 
-        shape[field.name] = fieldSchema
+        shape[field.name] = applyValidateIf(field, fieldSchema, getValues, steps)
     })
 
     return z.object(shape)
 }
 
+/**
+ * Makes a field's rules conditional on validateIf
+ * The condition is checked against the current values each time the schema parses,
+ * so one schema serves every state of the form
+ */
+function applyValidateIf(
+    field: FieldDefinition,
+    schema: ZodTypeAny,
+    getValues: () => Record<string, any>,
+    steps?: StepConfig[]
+): ZodTypeAny {
+    if (!field.validation?.validateIf) return schema
+
+    return z.lazy(() => (isValidationActive(field, { values: getValues() }, steps) ? schema : z.any()))
+}
+
+/**
+ * Builds the schema for a registered field type
+ * String and number schemas take the standard rules; other values get the
+ * required (not empty) and custom expression checks
+ */
+function buildCustomTypeSchema(
+    field: FieldDefinition,
+    definition: FieldTypeDefinition,
+    getValues: () => Record<string, any>,
+    i18n?: I18nContext
+): ZodTypeAny {
+    const schema = typeof definition.zodSchema === 'function'
+        ? definition.zodSchema(field)
+        : definition.zodSchema ?? z.any()
+
+    const validation = field.validation
+    if (!validation) return schema
+
+    if (schema instanceof z.ZodString || schema instanceof z.ZodNumber) {
+        return applyValidationRules(schema, validation, field.type, getValues, i18n)
+    }
+
+    let result = schema
+    if (validation.required) {
+        const emptyValue = getEmptyValue(field.type)
+        result = result.refine(
+            (val: any) => !isEmptyValue(val) && JSON.stringify(val) !== JSON.stringify(emptyValue),
+            { message: getValidationMessage('required', undefined, validation.requiredMessage, i18n) }
+        )
+    }
+
+    return validation.custom ? applyCustomValidator(result, validation.custom, getValues, i18n) : result
+}
+
+/**
+ * Builds an array schema for a repeater field, validating every row
+ * against the nested field definitions
+ */
+function buildRepeaterSchema(
+    field: FieldDefinition,
+    getValues: () => Record<string, any>,
+    steps?: StepConfig[],
+    i18n?: I18nContext
+): ZodTypeAny {
+    let schema = z.array(buildZodSchema(field.fields || [], getValues, steps, i18n))
+
+    const minItems = field.minItems ?? (field.validation?.required ? 1 : undefined)
+    if (minItems !== undefined) {
+        schema = schema.min(
+            minItems,
+            getValidationMessage('minItems', { min: minItems }, field.validation?.requiredMessage, i18n)
+        )
+    }
+
+    if (field.maxItems !== undefined) {
+        schema = schema.max(
+            field.maxItems,
+            getValidationMessage('maxItems', { max: field.maxItems }, undefined, i18n)
+        )
+    }
+
+    return schema
+}
+
+/**
+ * Builds the schema for a file field: a list of files checked for count, type and size
+ */
+function buildFileSchema(field: FieldDefinition, i18n?: I18nContext): ZodTypeAny {
+    const validation = field.validation || {}
+    let schema = z.array(z.any())
+
+    if (validation.required) {
+        schema = schema.min(1, getValidationMessage('required', undefined, validation.requiredMessage, i18n))
+    }
+
+    if (validation.maxFiles !== undefined) {
+        schema = schema.max(
+            validation.maxFiles,
+            getValidationMessage('maxFiles', { max: validation.maxFiles }, validation.maxFilesMessage, i18n)
+        )
+    }
+
+    return schema.superRefine((files, ctx) => {
+        files.forEach(file => {
+            if (!isFileLike(file)) return
+
+            const name = file instanceof File ? file.name : ''
+            if (validation.accept && !matchesAccept({ name, type: file.type }, validation.accept)) {
+                ctx.addIssue({
+                    code: z.ZodIssueCode.custom,
+                    message: getValidationMessage('accept', undefined, validation.acceptMessage, i18n),
+                })
+            }
+
+            if (validation.maxFileSize !== undefined && file.size > validation.maxFileSize) {
+                ctx.addIssue({
+                    code: z.ZodIssueCode.custom,
+                    message: getValidationMessage(
+                        'maxFileSize',
+                        { max: formatFileSize(validation.maxFileSize) },
+                        validation.maxFileSizeMessage,
+                        i18n
+                    ),
+                })
+            }
+        })
+    })
+}
+
+/**
+ * Checks date/time/datetime values for format and min/max bounds
+ * Empty values pass; emptiness is the job of the "required" rule
+ */
+function applyDateRules(
+    schema: ZodTypeAny,
+    type: DateFieldType,
+    validation: ValidationRule = {},
+    i18n?: I18nContext
+): ZodTypeAny {
+    return schema.superRefine((value: any, ctx) => {
+        if (value === undefined || value === null || value === '') return
+
+        if (typeof value !== 'string' || !isValidDateValue(value, type)) {
+            ctx.addIssue({
+                code: z.ZodIssueCode.custom,
+                message: getValidationMessage(type === 'time' ? 'time' : 'date', undefined, undefined, i18n),
+            })
+            return
+        }
+
+        if (validation.minDate) {
+            const min = resolveDateBound(validation.minDate, type)
+            if (compareDateValues(value, min) < 0) {
+                ctx.addIssue({
+                    code: z.ZodIssueCode.custom,
+                    message: getValidationMessage('minDate', { min }, validation.minDateMessage, i18n),
+                })
+            }
+        }
+
+        if (validation.maxDate) {
+            const max = resolveDateBound(validation.maxDate, type)
+            if (compareDateValues(value, max) > 0) {
+                ctx.addIssue({
+                    code: z.ZodIssueCode.custom,
+                    message: getValidationMessage('maxDate', { max }, validation.maxDateMessage, i18n),
+                })
+            }
+        }
+    })
+}
+
 /**
  * Applies validation rules to a Zod schema
  */
 function applyValidationRules(
     schema: ZodTypeAny,
     validation: ValidationRule,
-    fieldType: string
+    fieldType: string,
+    getValues: () => Record<string, any>,
+    i18n?: I18nContext
 ): ZodTypeAny {
     let result = schema
 
@@ -66,10 +287,10 @@ function applyValidationRules(
     if (validation.required) {
         if (fieldType === 'checkbox') {
             result = result.refine((val: boolean) => val === true, {
-                message: validation.requiredMessage || DEFAULT_MESSAGES.required,
+                message: getValidationMessage('required', undefined, validation.requiredMessage, i18n),
             })
         } else if (fieldType === 'text' || schema instanceof z.ZodString) {
-            result = (result as z.ZodString).min(1, validation.requiredMessage || DEFAULT_MESSAGES.required)
+            result = (result as z.ZodString).min(1, getValidationMessage('required', undefined, validation.requiredMessage, i18n))
         }
     }
 
@@ -78,20 +299,20 @@ function applyValidationRules(
         if (validation.minLength) {
             result = (result as z.ZodString).min(
                 validation.minLength,
-                validation.minLengthMessage || DEFAULT_MESSAGES.minLength.replace('{min}', String(validation.minLength))
+                getValidationMessage('minLength', { min: validation.minLength }, validation.minLengthMessage, i18n)
             )
         }
 
         if (validation.maxLength) {
             result = (result as z.ZodString).max(
                 validation.maxLength,
-                validation.maxLengthMessage || DEFAULT_MESSAGES.maxLength.replace('{max}', String(validation.maxLength))
+                getValidationMessage('maxLength', { max: validation.maxLength }, validation.maxLengthMessage, i18n)
             )
         }
 
         if (validation.pattern) {
             const regex = new RegExp(validation.pattern)
-            result = (result as z.ZodString).regex(regex, validation.patternMessage || DEFAULT_MESSAGES.pattern)
+            result = (result as z.ZodString).regex(regex, getValidationMessage('pattern', undefined, validation.patternMessage, i18n))
         }
     }
 
@@ -100,51 +321,273 @@ function applyValidationRules(
         if (validation.min !== undefined) {
             result = (result as z.ZodNumber).min(
                 validation.min,
-                validation.minMessage || DEFAULT_MESSAGES.min.replace('{min}', String(validation.min))
+                getValidationMessage('min', { min: validation.min }, validation.minMessage, i18n)
             )
         }
 
         if (validation.max !== undefined) {
             result = (result as z.ZodNumber).max(
                 validation.max,
-                validation.maxMessage || DEFAULT_MESSAGES.max.replace('{max}', String(validation.max))
+                getValidationMessage('max', { max: validation.max }, validation.maxMessage, i18n)
             )
         }
     }
 
-    // Custom validation
+    // Custom validation (sandboxed expression; `value` is the field value)
     if (validation.custom) {
-        result = result.refine(
-            (val: any) => {
-                try {
-                    // Execute custom validation function
-                    const fn = new Function('value', validation.custom!)
-                    return fn(val)
-                } catch {
-                    return false
-                }
-            },
-            {
-                message: validation.customMessage || DEFAULT_MESSAGES.custom,
-            }
-        )
+        result = applyCustomValidator(result, validation.custom, getValues, i18n)
     }
 
     return result
 }
 
+/**
+ * Adds a custom validator expression check to a schema
+ */
+function applyCustomValidator(
+    schema: ZodTypeAny,
+    custom: NonNullable<ValidationRule['custom']>,
+    getValues: () => Record<string, any>,
+    i18n?: I18nContext
+): ZodTypeAny {
+    const { validator, message } = custom
+    return schema.refine(
+        (val: any) => {
+            try {
+                return Boolean(evaluateExpression(validator, {
+                    values: getValues(),
+                    variables: { value: val },
+                }))
+            } catch (error) {
+                console.error('Custom validator error:', error)
+                return false
+            }
+        },
+        {
+            message: getValidationMessage('custom', undefined, message, i18n),
+        }
+    )
+}
+
 /**
  * Validates a single field value
  */
-export function validateField(value: any, field: FieldDefinition): string[] {
+export function validateField(
+    value: any,
+    field: FieldDefinition,
+    values: Record<string, any> = {},
+    i18n?: I18nContext
+): string[] {
     try {
-        const schema = buildZodSchema([field])
+        const schema = buildZodSchema([field], () => values, undefined, i18n)
         schema.parse({ [field.name]: value })
         return []
     } catch (error) {
         if (error instanceof z.ZodError) {
             return error.errors.map(err => err.message)
         }
-        return ['Validation failed']
+        return [getValidationMessage('custom', undefined, undefined, i18n)]
     }
 }
+
+/**
+ * Evaluates cross-field (globalValidation) rules against form values
+ * Returns a field-keyed error map; each failing rule attaches its message
+ * to its errorFields (or all listed fields)
+ */
+export function validateGlobalRules(
+    rules: GlobalValidationRule[],
+    values: Record<string, any>,
+    i18n?: I18nContext
+): Record<string, string[]> {
+    const errors: Record<string, string[]> = {}
+
+    rules.forEach(rule => {
+        const ruleValues = rule.fields.map(name => values[name])
+
+        if (evaluateCrossFieldRule(rule.validator, ruleValues)) {
+            return
+        }
+
+        const targets = rule.errorFields && rule.errorFields.length > 0 ? rule.errorFields : rule.fields
+        targets.forEach(name => {
+            errors[name] = [...(errors[name] || []), getValidationMessage('custom', undefined, rule.errorMessage, i18n)]
+        })
+    })
+
+    return errors
+}
+
+/**
+ * Evaluates a single cross-field validator
+ * Comparison validators pass while any value is still empty; emptiness is
+ * the job of the field-level "required" rule
+ */
+function evaluateCrossFieldRule(validator: CrossFieldValidator, values: any[]): boolean {
+    const filled = values.filter(value => !isEmptyValue(value))
+
+    switch (validator) {
+        case 'requiredTogether':
+            return filled.length === 0 || filled.length === values.length
+
+        case 'atLeastOne':
+            return filled.length > 0
+
+        case 'mutuallyExclusive':
+            return filled.length <= 1
+
+        case 'equals':
+            if (filled.length < values.length) return true
+            return values.every(value => isSameValue(value, values[0]))
+
+        case 'notEquals':
+            if (filled.length < values.length) return true
+            return values.every((value, index) =>
+                values.slice(index + 1).every(other => !isSameValue(value, other))
+            )
+
+        default:
+            if (filled.length < values.length) return true
+            return compareConsecutive(validator, values)
+    }
+}
+
+/**
+ * Applies an ordered comparison to each consecutive pair of values
+ * date* validators compare date, time and datetime values in their input format
+ */
+function compareConsecutive(validator: CrossFieldValidator, values: any[]): boolean {
+    const isDate = validator.startsWith('date')
+
+    // Unparseable values are reported by field-level validation instead
+    const parseable = isDate
+        ? values.every(isDateLikeValue)
+        : values.every(value => !Number.isNaN(Number(value)))
+    if (!parseable) {
+        return true
+    }
+
+    for (let i = 0; i < values.length - 1; i++) {
+        const order = isDate
+            ? compareDateValues(String(values[i]), String(values[i + 1]))
+            : Number(values[i]) - Number(values[i + 1])
+
+        switch (validator) {
+            case 'greaterThan':
+            case 'dateAfter':
+                if (!(order > 0)) return false
+                break
+            case 'greaterThanOrEqual':
+            case 'dateAfterOrEqual':
+                if (!(order >= 0)) return false
+                break
+            case 'lessThan':
+            case 'dateBefore':
+                if (!(order < 0)) return false
+                break
+            case 'lessThanOrEqual':
+            case 'dateBeforeOrEqual':
+                if (!(order <= 0)) return false
+                break
+        }
+    }
+
+    return true
+}
+
+/**
+ * Whether a value is in the input format of a date, time or datetime field
+ */
+function isDateLikeValue(value: any): boolean {
+    return typeof value === 'string' &&
+        (['date', 'time', 'datetime'] as DateFieldType[]).some(type => isValidDateValue(value, type))
+}
+
+function isEmptyValue(value: any): boolean {
+    return (
+        value === undefined ||
+        value === null ||
+        value === '' ||
+        (Array.isArray(value) && value.length === 0)
+    )
+}
+
+function isSameValue(a: any, b: any): boolean {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => item === b[index])
+    }
+    return a === b
+}
+
+/**
+ * Runs a server-side validation request
+ * Params and body are token-resolved against the current form state; the
+ * response is valid when `validPath` is truthy (or on any 2xx without one)
+ */
+export async function validateRemote(
+    config: RemoteValidationConfig,
+    formState: FormState,
+    signal?: AbortSignal
+): Promise<RemoteValidationResult> {
+    const response = await getApiClient().request({
+        url: config.endpoint,
+        method: config.method || 'GET',
+        params: config.params ? resolveTokensInObject(config.params, formState) : undefined,
+        data: config.body ? resolveTokensInObject(config.body, formState) : undefined,
+        headers: config.headers,
+        signal,
+    })
+
+    const valid = config.validPath ? Boolean(getNestedValue(response.data, config.validPath)) : true
+    const message = config.messagePath ? getNestedValue(response.data, config.messagePath) : undefined
+
+    return {
+        valid,
+        message: typeof message === 'string' && message ? message : undefined,
+    }
+}
+
+/**
+ * Runs a step's stepValidation rule (cross-field validator, then remote check)
+ * Returns the error message to show, or null when the step may proceed
+ */
+export async function runStepValidation(
+    step: StepConfig,
+    formState: FormState,
+    i18n?: I18nContext
+): Promise<string | null> {
+    const rule = step.stepValidation
+    if (!rule) return null
+
+    if (rule.validator) {
+        const errors = validateGlobalRules(
+            [{
+                id: step.id,
+                fields: rule.fields || step.fields.map(field => field.name),
+                validator: rule.validator,
+                errorMessage: rule.errorMessage,
+            }],
+            formState.values,
+            i18n
+        )
+
+        if (Object.keys(errors).length > 0) {
+            return resolveText(rule.errorMessage, undefined, i18n)
+        }
+    }
+
+    if (rule.remote) {
+        try {
+            const result = await validateRemote(rule.remote, formState)
+            if (!result.valid) {
+                return result.message || resolveText(rule.errorMessage, undefined, i18n)
+            }
+        } catch (error) {
+            // A failed check blocks progression rather than letting unverified data through
+            console.error(`Step validation request failed for ${step.id}:`, error)
+            return resolveText(rule.errorMessage, undefined, i18n)
+        }
+    }
+
+    return null
+}
@@ -10,6 +10,8 @@ export interface BaseInputProps {
     label?: string;
     placeholder?: string;
     disabled?: boolean;
+    /** Shows the value without allowing edits (e.g., computed fields) */
+    readonly?: boolean;
     error?: string;
     helpText?: string;
     required?: boolean;
@@ -20,6 +22,8 @@ export interface BaseTextareaProps {
     label?: string;
     placeholder?: string;
     disabled?: boolean;
+    /** Shows the value without allowing edits (e.g., computed fields) */
+    readonly?: boolean;
     error?: string;
     helpText?: string;
     required?: boolean;
@@ -30,6 +34,7 @@ export interface BaseTextareaProps {
 export interface BaseSelectProps {
     modelValue: string | string[];
     options: SelectOption[];
+    id?: string;
     label?: string;
     placeholder?: string;
     disabled?: boolean;
@@ -39,6 +44,18 @@ export interface BaseSelectProps {
     multiple?: boolean;
     loading?: boolean;
     onRetry?: () => void;
+    ariaInvalid?: 'true' | 'false';
+    ariaDescribedby?: string;
+    /** Typeahead mode: options come from `onSearch` as the user types */
+    searchable?: boolean;
+    /** Characters to type before `onSearch` is called */
+    minChars?: number;
+    /** More options can be loaded with `onLoadMore` */
+    hasMore?: boolean;
+    /** Option for the current value, so its label shows when it is not in `options` */
+    selectedOption?: SelectOption;
+    onSearch?: (query: string) => void;
+    onLoadMore?: () => void;
 }
 
 export interface SelectOption {
@@ -55,6 +72,54 @@ export interface BaseCheckboxProps {
     helpText?: string;
 }
 
+export interface BaseDatePickerProps {
+    modelValue?: string;
+    mode?: 'date' | 'time' | 'datetime';
+    id?: string;
+    min?: string;
+    max?: string;
+    placeholder?: string;
+    disabled?: boolean;
+    /** Shows the value without allowing edits (e.g., computed fields) */
+    readonly?: boolean;
+    required?: boolean;
+    ariaInvalid?: 'true' | 'false';
+    ariaDescribedby?: string;
+}
+
+export interface BaseToggleProps {
+    modelValue?: boolean;
+    label?: string;
+    id?: string;
+    disabled?: boolean;
+    required?: boolean;
+    ariaInvalid?: 'true' | 'false';
+    ariaDescribedby?: string;
+}
+
+export interface FileUploadProgress {
+    status: 'pending' | 'uploading' | 'done' | 'error' | 'cancelled';
+    /** Percentage (0-100) */
+    progress: number;
+    error?: string;
+}
+
+export interface BaseFileUploadProps {
+    modelValue?: File[];
+    /** Upload state per file, in modelValue order */
+    uploads?: (FileUploadProgress | undefined)[];
+    id?: string;
+    /** Accepted MIME types or extensions */
+    accept?: string[];
+    multiple?: boolean;
+    /** Maximum size per file (bytes), shown as a hint */
+    maxFileSize?: number;
+    disabled?: boolean;
+    required?: boolean;
+    ariaInvalid?: 'true' | 'false';
+    ariaDescribedby?: string;
+}
+
 export interface BaseRadioProps {
     modelValue: string | number;
     options: RadioOption[];
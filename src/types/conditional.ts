@@ -6,21 +6,40 @@ export type ConditionalOperator =
     | 'contains' | 'notContains'
     | 'greaterThan' | 'lessThan' | 'greaterThanOrEqual' | 'lessThanOrEqual'
     | 'isEmpty' | 'isNotEmpty'
-    | 'in' | 'notIn';
-
+    | 'in' | 'notIn'
+    | 'matches' | 'between'
+    | 'dateAfter' | 'dateAfterOrEqual' | 'dateBefore' | 'dateBeforeOrEqual';
+
+/**
+ * A condition on a field, a group of conditions, or both
+ * A rule with `field` holds when its comparison holds and every `and` rule holds,
+ * or when any `or` rule holds. A group (no `field`) holds when every `and` rule
+ * holds and, if `or` is given, at least one `or` rule holds. `not` negates
+ * whatever the rest of the rule evaluates to. Groups nest to any depth.
+ * Fields that are currently hidden (by their own showIf or their step's) read as empty.
+ */
 export interface ConditionalRule {
-    /** Field name to check */
-    field: string;
-
-    /** Comparison operator */
-    operator: ConditionalOperator;
-
-    /** Value to compare against (not needed for isEmpty/isNotEmpty) */
+    /** Field name to check; may be on any step (omit for a pure and/or/not group) */
+    field?: string;
+
+    /** Comparison operator (required with `field`) */
+    operator?: ConditionalOperator;
+
+    /**
+     * Value to compare against (not needed for isEmpty/isNotEmpty)
+     * - `in`/`notIn`: array of values; `between`: [min, max] (numbers or dates, inclusive)
+     * - `matches`: regular expression source
+     * - date operators: ISO date/time or "today"
+     * - "form:fieldName" compares against another field's value
+     */
     value?: any;
 
     /** Multiple conditions with AND/OR logic */
     and?: ConditionalRule[];
     or?: ConditionalRule[];
+
+    /** Negated condition */
+    not?: ConditionalRule;
 }
 
 export interface DependencyConfig {
@@ -67,4 +86,47 @@ export interface DataSourceConfig {
         enabled: boolean;
         ttl?: number; // Time to live in seconds
     };
+
+    /** Server-side search (typeahead) instead of loading every option up front */
+    search?: DataSourceSearchConfig;
+}
+
+export interface DataSourceSearchConfig {
+    /** Query parameter that carries the search text */
+    param: string;
+
+    /** Characters to type before searching */
+    minChars?: number; // Default: 1 (0 loads the first page right away)
+
+    /** Delay after the last keystroke before searching (milliseconds) */
+    debounce?: number; // Default: 300
+
+    /** Loads further pages as the option list is scrolled */
+    pagination?: DataSourcePaginationConfig;
+}
+
+/**
+ * Infinite-scroll pagination for searchable data sources
+ * - `cursor`: the next cursor is read from `cursorFrom` in each response and sent as `param`;
+ *   there are no more pages once it is empty
+ * - `page`: `param` is a page number starting at `firstPage`; there are no more pages once
+ *   a page comes back empty or shorter than `pageSize`
+ */
+export interface DataSourcePaginationConfig {
+    type: 'cursor' | 'page';
+
+    /** Query parameter carrying the cursor or page number */
+    param: string;
+
+    /** Path to the next cursor in the response (dot notation, cursor pagination) */
+    cursorFrom?: string;
+
+    /** Number of the first page (page pagination) */
+    firstPage?: number; // Default: 1
+
+    /** Query parameter carrying the page size, sent with every page */
+    pageSizeParam?: string;
+
+    /** Options per page */
+    pageSize?: number;
 }
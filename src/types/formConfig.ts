@@ -18,17 +18,23 @@ export interface FormConfig {
 
     /** Global form-level validation rules (cross-field validation) */
     globalValidation?: GlobalValidationRule[];
+
+    /** Draft autosave/resume (values, current step and touched state) */
+    persistence?: PersistenceConfig;
+
+    /** Message catalogs per locale for "i18n:" keys in this config (read by this form only, before the registered ones) */
+    messages?: Record<string, MessageCatalog>;
 }
 
 export interface FormMetadata {
     /** Display title for the form */
-    title: string;
+    title: LocalizedText;
 
     /** Optional description/instructions */
-    description?: string;
+    description?: LocalizedText;
 
-    /** Schema version for backward compatibility */
-    version: string; // e.g., "1.0.0"
+    /** Config schema version ("major.minor.patch"); older configs are upgraded with migrateConfig */
+    version: string; // e.g., "1.1.0"
 
     /** Tags for categorization */
     tags?: string[];
@@ -39,10 +45,10 @@ export interface StepConfig {
     id: string;
 
     /** Display title for step (shown in step indicator) */
-    title: string;
+    title: LocalizedText;
 
     /** Optional description/instructions for this step */
-    description?: string;
+    description?: LocalizedText;
 
     /** Fields to display in this step */
     fields: FieldDefinition[];
@@ -55,17 +61,33 @@ export interface StepConfig {
 }
 
 export interface StepValidationRule {
-    /** Custom validation function (async supported) */
-    validator?: string;
+    /** Cross-field validator applied to `fields` (same vocabulary as globalValidation) */
+    validator?: CrossFieldValidator;
+
+    /** Fields checked by `validator` (defaults to all fields in this step) */
+    fields?: string[];
+
+    /** Server-side check, run once field and validator checks pass */
+    remote?: RemoteValidationConfig;
 
     /** Error message to show if step validation fails */
-    errorMessage: string;
+    errorMessage: LocalizedText;
 }
 
-export type FieldType =
+export type BuiltInFieldType =
     | 'text' | 'email' | 'password' | 'number' | 'tel' | 'url'
     | 'textarea' | 'select' | 'multi-select' | 'checkbox' | 'radio'
-    | 'date' | 'time' | 'datetime' | 'toggle' | 'file';
+    | 'date' | 'time' | 'datetime' | 'toggle' | 'file'
+    | 'repeater';
+
+/**
+ * Field types added with registerFieldType
+ * Augment this interface to use them in typed configs:
+ *   declare module '@/types/formConfig' { interface CustomFieldTypes { 'rich-text': true } }
+ */
+export interface CustomFieldTypes {}
+
+export type FieldType = BuiltInFieldType | Extract<keyof CustomFieldTypes, string>;
 
 export interface FieldDefinition {
     /** Unique field name (used as key in form values and payload) */
@@ -75,17 +97,23 @@ export interface FieldDefinition {
     type: FieldType;
 
     /** Display label */
-    label: string;
+    label: LocalizedText;
 
     /** Placeholder text */
-    placeholder?: string;
+    placeholder?: LocalizedText;
 
     /** Help text displayed below field */
-    helpText?: string;
+    helpText?: LocalizedText;
 
     /** Default value */
     defaultValue?: any;
 
+    /**
+     * Derived value: an expression over `form:` references ("form:price * form:quantity"),
+     * re-evaluated when the fields it reads change. Computed fields render read-only.
+     */
+    compute?: string;
+
     /** Validation rules */
     validation?: ValidationRule;
 
@@ -104,13 +132,33 @@ export interface FieldDefinition {
     /** Mapping to different key in submission payload */
     submitField?: string; // Supports dot notation: "user.profile.name"
 
-    /** Disable field (computed or static) */
-    disabled?: boolean;
+    /** Disable field: static, or while a condition holds ("disabled unless hasAccount") */
+    disabled?: boolean | ConditionalRule;
 
     /** CSS classes for custom styling */
     className?: string;
+
+    /** Row fields for repeater fields (each row holds one value per nested field) */
+    fields?: FieldDefinition[];
+
+    /** Minimum number of rows for repeater fields */
+    minItems?: number;
+
+    /** Maximum number of rows for repeater fields */
+    maxItems?: number;
 }
 
+/**
+ * Declarative cross-field validators
+ * Ordered comparisons apply left to right across `fields`:
+ * ["endDate", "startDate"] with "dateAfter" means endDate is after startDate
+ */
+export type CrossFieldValidator =
+    | 'equals' | 'notEquals'
+    | 'greaterThan' | 'greaterThanOrEqual' | 'lessThan' | 'lessThanOrEqual'
+    | 'dateAfter' | 'dateAfterOrEqual' | 'dateBefore' | 'dateBeforeOrEqual'
+    | 'requiredTogether' | 'atLeastOne' | 'mutuallyExclusive';
+
 export interface GlobalValidationRule {
     /** Rule identifier */
     id: string;
@@ -118,17 +166,22 @@ export interface GlobalValidationRule {
     /** Fields involved in cross-field validation */
     fields: string[];
 
-    /** Validation function */
-    validator: string;
+    /** Cross-field validator to apply */
+    validator: CrossFieldValidator;
 
     /** Error message */
-    errorMessage: string;
+    errorMessage: LocalizedText;
+
+    /** Fields that receive the error message (defaults to all listed fields) */
+    errorFields?: string[];
 }
 
 // Import types from other modules
-import type { ValidationRule } from './validation'
+import type { ValidationRule, RemoteValidationConfig } from './validation'
 import type { ConditionalRule, DependencyConfig, DataSourceConfig } from './conditional'
 import type { SubmitConfig } from './submission'
+import type { PersistenceConfig } from './persistence'
+import type { LocalizedText, MessageCatalog } from './i18n'
 
 /** Form state management interface for reactive form data */
 export interface FormState {
@@ -0,0 +1,32 @@
+// Internationalization Type Definitions
+// Based on specs/001-form-config-generator/data-model.md
+
+/**
+ * Text shown to users, in one of three forms:
+ * - a plain string, used as-is ("Email")
+ * - a catalog key with the "i18n:" prefix ("i18n:fields.email.label"), looked up in the registered catalogs
+ * - a map of locale → text ({ "en": "Email", "fr": "Courriel" }), picked by the active locale
+ * Messages may contain "{name}" placeholders and plural forms:
+ * "{count, plural, =0 {no items} one {# item} other {# items}}"
+ */
+export type LocalizedText = string | Record<string, string>;
+
+/** Messages for one locale; nested objects form dot-separated keys ("validation.required") */
+export interface MessageCatalog {
+    [key: string]: string | MessageCatalog;
+}
+
+/** Values filled into message placeholders */
+export type MessageParams = Record<string, string | number>;
+
+/**
+ * One form's locale and catalogs; what it leaves out comes from the page-wide locale
+ * and the registered catalogs
+ */
+export interface I18nContext {
+    /** Locale the form is shown in (defaults to the page-wide locale) */
+    locale?: string;
+
+    /** Catalogs per locale that only this form reads (its config's messages), tried before the registered ones */
+    messages?: Record<string, MessageCatalog>;
+}
@@ -0,0 +1,51 @@
+// JSON Schema Type Definitions
+// The subset of JSON Schema (draft 2020-12, draft-07 compatible) read and written by utils/jsonSchema
+
+export type JsonSchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null';
+
+export interface JsonSchema {
+    $schema?: string;
+    $id?: string;
+
+    /** Local reference ("#/$defs/address" or "#/definitions/address") */
+    $ref?: string;
+    $defs?: Record<string, JsonSchema>;
+    definitions?: Record<string, JsonSchema>;
+
+    type?: JsonSchemaType | JsonSchemaType[];
+    title?: string;
+    description?: string;
+    default?: any;
+    examples?: any[];
+    readOnly?: boolean;
+
+    /** Objects */
+    properties?: Record<string, JsonSchema>;
+    required?: string[];
+    additionalProperties?: boolean | JsonSchema;
+
+    /** Arrays */
+    items?: JsonSchema;
+    minItems?: number;
+    maxItems?: number;
+
+    /** Allowed values; `oneOf` entries with `const` and `title` give enum values labels */
+    enum?: any[];
+    const?: any;
+    oneOf?: JsonSchema[];
+    anyOf?: JsonSchema[];
+
+    /** Every member must hold; members are merged on import */
+    allOf?: JsonSchema[];
+
+    /** Strings */
+    format?: string;
+    pattern?: string;
+    minLength?: number;
+    maxLength?: number;
+
+    /** Numbers */
+    minimum?: number;
+    maximum?: number;
+    exclusiveMinimum?: number;
+}
@@ -0,0 +1,51 @@
+// Draft Persistence Type Definitions
+// Based on specs/001-form-config-generator/data-model.md
+
+export type DraftStorage = 'localStorage' | 'sessionStorage' | 'indexedDB' | 'remote';
+
+export interface PersistenceConfig {
+    /** Storage adapter (built-in, or a name registered with registerDraftStorage) */
+    storage: DraftStorage | (string & {});
+
+    /** Storage key (defaults to "form-draft:<form id>") */
+    key?: string;
+
+    /** Delay between a change and the autosave (milliseconds, default 1000) */
+    debounce?: number;
+
+    /** Drafts older than this are discarded (milliseconds) */
+    maxAge?: number;
+
+    /**
+     * Version of the form's content; bump it to discard drafts saved before a change
+     * (defaults to metadata.version, so drafts also expire when the config is migrated)
+     */
+    version?: string;
+
+    /** Fields never written to a draft (password fields are always excluded) */
+    exclude?: string[];
+
+    /** Remote adapter: draft endpoint; GET loads, PUT saves and DELETE clears "<endpoint>/<key>" */
+    endpoint?: string;
+
+    /** Remote adapter: request headers */
+    headers?: Record<string, string>;
+}
+
+export interface FormDraft {
+    /** Draft version of the config the draft was saved with (persistence.version, else metadata.version) */
+    version: string;
+
+    /** ISO timestamp of the last save */
+    savedAt: string;
+
+    values: Record<string, any>;
+    touched: Record<string, boolean>;
+    currentStep: number;
+}
+
+export interface DraftStorageAdapter {
+    load(key: string): Promise<FormDraft | null>;
+    save(key: string, draft: FormDraft): Promise<void>;
+    clear(key: string): Promise<void>;
+}
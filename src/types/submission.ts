@@ -12,29 +12,104 @@ export interface SubmitConfig {
     headers?: Record<string, string>;
 
     /** State transitions based on API response */
-    stateTransitions?: {
-        onSuccess?: StateTransition;
-        onError?: StateTransition;
-    };
+    stateTransitions?: StateTransitions;
 
     /** Transform payload before submission */
-    transformPayload?: {
-        include?: string[]; // Only include these fields
-        exclude?: string[]; // Exclude these fields
-        rename?: Record<string, string>; // Rename fields
-    };
+    transformPayload?: PayloadTransform;
+
+    /** Maps server-side validation errors (422 by default) back onto form fields */
+    errorMapping?: ServerErrorMapping;
+
+    /** How file field values are sent (multipart by default when the payload contains files) */
+    fileUpload?: FileUploadConfig;
+}
+
+/**
+ * File upload modes:
+ * - "multipart": the payload is sent as multipart/form-data, files included
+ * - "preUpload": each file is uploaded to `endpoint` as soon as it is picked and the
+ *   returned ID replaces it in the JSON payload
+ */
+export interface FileUploadConfig {
+    mode: 'multipart' | 'preUpload';
+
+    /** preUpload: endpoint receiving one file per multipart request */
+    endpoint?: string;
+
+    /** preUpload: form-data key of the file part (default "file") */
+    fileField?: string;
+
+    /** preUpload: response path to the uploaded file's ID (default "id"; the whole body if missing) */
+    idPath?: string;
+
+    /** preUpload: request headers for the upload endpoint */
+    headers?: Record<string, string>;
+}
+
+export interface ServerErrorMapping {
+    /** Response path to the errors: an object keyed by payload path, or an array of entries (default "errors") */
+    path?: string;
+
+    /** How error keys address the payload: "user.email" / "items[0].qty" or "/user/email" (default "dotPath") */
+    keyFormat?: 'dotPath' | 'jsonPointer';
+
+    /** For array entries: property holding the key (default "field") */
+    keyProperty?: string;
+
+    /** For array entries: property holding the message (default "message") */
+    messageProperty?: string;
+
+    /** HTTP statuses that carry field errors (default [422]) */
+    statuses?: number[];
+}
+
+/**
+ * Declarative payload transform, applied include → exclude → rename → expression
+ * Paths are payload dot paths; "*" or "[]" matches one key/array index, "**" any depth
+ */
+export interface PayloadTransform {
+    include?: string[]; // Only include these paths (e.g., "user.*", "items[].id")
+    exclude?: string[]; // Exclude these paths (e.g., "meta.**", "items[].tempId")
+    rename?: Record<string, string>; // Move paths (e.g., { "user.first": "user.givenName" })
+    /** Sandboxed expression returning the final payload (e.g., "merge(payload, { source: 'web' })") */
+    expression?: string;
+}
+
+/**
+ * Transitions run after submission; a list runs in order as a chain
+ * Per-status entries ("409", or a class like "4xx") take precedence over onSuccess/onError
+ */
+export interface StateTransitions {
+    onSuccess?: StateTransition | StateTransition[];
+    onError?: StateTransition | StateTransition[];
+    onStatus?: Record<string, StateTransition | StateTransition[]>;
 }
 
 export interface StateTransition {
     /** Action to perform */
-    action: 'navigate' | 'nextStep' | 'showMessage' | 'callApi';
+    action: 'navigate' | 'nextStep' | 'showMessage' | 'callApi' | 'mapErrors';
 
-    /** Target for action (URL for navigate, message for showMessage, endpoint for callApi) */
+    /**
+     * Target for action (URL for navigate, endpoint for callApi)
+     * Supports embedded tokens: "/orders/response:id"
+     */
     target?: string;
 
-    /** Success/error message */
+    /** Success/error message (supports embedded tokens) */
     message?: string;
 
+    /** Toast style for showMessage (defaults to success, or error after a failed submission) */
+    variant?: 'success' | 'error' | 'warning' | 'info';
+
+    /** HTTP method for callApi (defaults to GET) */
+    method?: 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE';
+
+    /** Request body for callApi (supports tokens) */
+    body?: Record<string, any>;
+
+    /** Response path holding field errors for mapErrors (defaults to errorMapping.path) */
+    errorsPath?: string;
+
     /** Delay before action (milliseconds) */
     delay?: number;
 }
@@ -2,50 +2,110 @@
 // Based on specs/001-form-config-generator/data-model.md
 
 import type { ConditionalRule } from './conditional'
+import type { LocalizedText } from './i18n'
 
 export interface ValidationRule {
     /** Field is required */
     required?: boolean;
-    requiredMessage?: string;
+    requiredMessage?: LocalizedText;
 
     /** Minimum length (for strings) */
     minLength?: number;
-    minLengthMessage?: string;
+    minLengthMessage?: LocalizedText;
 
     /** Maximum length (for strings) */
     maxLength?: number;
-    maxLengthMessage?: string;
+    maxLengthMessage?: LocalizedText;
 
     /** Minimum value (for numbers) */
     min?: number;
-    minMessage?: string;
+    minMessage?: LocalizedText;
 
     /** Maximum value (for numbers) */
     max?: number;
-    maxMessage?: string;
+    maxMessage?: LocalizedText;
 
     /** Regex pattern */
     pattern?: string | RegExp;
-    patternMessage?: string;
+    patternMessage?: LocalizedText;
 
     /** Email validation */
     email?: boolean;
-    emailMessage?: string;
+    emailMessage?: LocalizedText;
 
     /** URL validation */
     url?: boolean;
-    urlMessage?: string;
+    urlMessage?: LocalizedText;
+
+    /** Earliest allowed value for date/time/datetime fields (ISO value or "today") */
+    minDate?: string;
+    minDateMessage?: LocalizedText;
+
+    /** Latest allowed value for date/time/datetime fields (ISO value or "today") */
+    maxDate?: string;
+    maxDateMessage?: LocalizedText;
+
+    /** Accepted file types: MIME types ("application/pdf", "image/*") or extensions (".pdf") */
+    accept?: string[];
+    acceptMessage?: LocalizedText;
+
+    /** Maximum size per file (bytes) */
+    maxFileSize?: number;
+    maxFileSizeMessage?: LocalizedText;
+
+    /** Maximum number of files */
+    maxFiles?: number;
+    maxFilesMessage?: LocalizedText;
 
     /** Custom validator function */
     custom?: {
-        validator: string; // Function name or code
-        message: string;
+        /** Sandboxed expression; truthy means valid (e.g., "value != form:username") */
+        validator: string;
+        message: LocalizedText;
+        /** @deprecated Use `remote` for asynchronous (server-side) checks */
         async?: boolean;
     };
 
-    /** Conditional validation (only validate if condition met) */
+    /** Asynchronous server-side check (e.g., username availability) */
+    remote?: AsyncValidationConfig;
+
+    /**
+     * Conditional validation: the rules above (required included) only apply while
+     * the condition holds, e.g. required if country = US
+     */
     validateIf?: ConditionalRule;
 }
 
+export interface RemoteValidationConfig {
+    /** API endpoint that performs the check */
+    endpoint: string;
+
+    /** HTTP method */
+    method?: 'GET' | 'POST';
+
+    /** Query parameters (supports token resolution) */
+    params?: Record<string, any>;
+
+    /** Request body for POST requests (supports token resolution) */
+    body?: Record<string, any>;
+
+    /** Headers to include in request */
+    headers?: Record<string, string>;
+
+    /** Path to a value in the response (dot notation) that is truthy when valid; defaults to any 2xx response */
+    validPath?: string; // e.g., "data.available"
+
+    /** Path to a server-provided error message in the response (dot notation) */
+    messagePath?: string;
+}
+
+export interface AsyncValidationConfig extends RemoteValidationConfig {
+    /** Error message when the server reports the value as invalid */
+    message?: LocalizedText;
+
+    /** Milliseconds to wait after the last change before checking */
+    debounce?: number; // Default: 500
+}
+
 // Re-export Zod's ZodIssue type for error handling
 export type { ZodIssue } from 'zod'
@@ -0,0 +1,64 @@
+// Computed Field Helpers - Evaluates `compute` expressions in dependency order
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { FieldDefinition } from '@/types/formConfig'
+import { evaluateExpression, getExpressionReferences } from '@/utils/expression'
+
+/**
+ * Orders computed fields so each one is evaluated after the computed fields it reads
+ * Fields in a cycle (reported by configParser) keep their config order
+ */
+export function getComputeOrder(fields: FieldDefinition[]): FieldDefinition[] {
+    const computedFields = new Map(fields.filter(field => field.compute).map(field => [field.name, field]))
+    const ordered: FieldDefinition[] = []
+    const visited = new Set<string>()
+
+    function visit(field: FieldDefinition): void {
+        if (visited.has(field.name)) return
+        visited.add(field.name)
+
+        getReferences(field).forEach(name => {
+            const dependency = computedFields.get(name)
+            if (dependency) visit(dependency)
+        })
+
+        ordered.push(field)
+    }
+
+    computedFields.forEach(visit)
+    return ordered
+}
+
+/**
+ * Evaluates a computed field against form values
+ * Invalid expressions and non-finite numbers (e.g. division by zero) yield undefined
+ */
+export function computeFieldValue(field: FieldDefinition, values: Record<string, any>): any {
+    try {
+        const value = evaluateExpression(field.compute!, { values })
+        return typeof value === 'number' && !Number.isFinite(value) ? undefined : value
+    } catch {
+        return undefined
+    }
+}
+
+/**
+ * Returns a copy of the values with every computed field re-evaluated
+ */
+export function computeValues(fields: FieldDefinition[], values: Record<string, any>): Record<string, any> {
+    const result = { ...values }
+
+    getComputeOrder(fields).forEach(field => {
+        result[field.name] = computeFieldValue(field, result)
+    })
+
+    return result
+}
+
+function getReferences(field: FieldDefinition): string[] {
+    try {
+        return getExpressionReferences(field.compute!)
+    } catch {
+        return []
+    }
+}
@@ -0,0 +1,529 @@
+// Config Diff - Breaking and non-breaking changes between two FormConfig versions
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { FieldDefinition, FormConfig } from '@/types/formConfig'
+import type { SubmitConfig } from '@/types/submission'
+import type { ValidationRule } from '@/types/validation'
+import { resolveText } from '@/services/i18n.service'
+import { compareDateValues } from '@/utils/date'
+
+export type ConfigChangeKind =
+    | 'fieldRemoved' | 'fieldRenamed' | 'fieldAdded' | 'typeChanged' | 'submitFieldChanged'
+    | 'validationTightened' | 'validationLoosened' | 'optionsRemoved' | 'optionsAdded'
+    | 'endpointChanged' | 'payloadTransformChanged'
+
+export interface ConfigChange {
+    kind: ConfigChangeKind;
+
+    /**
+     * Breaking changes reject data the old config accepted, or move it elsewhere:
+     * removed fields, payload path and value type changes, tighter rules, new
+     * required fields and a different submission endpoint
+     */
+    breaking: boolean;
+
+    /** Field name ("contacts[].phone" for repeater row fields); the new name for renamed fields */
+    field?: string;
+
+    /** Location in the config: the new config, or the old one for removals */
+    path: string;
+
+    message: string;
+
+    before?: any;
+    after?: any;
+}
+
+export interface ConfigDiffResult {
+    /** Changes in config order: breaking and non-breaking alike */
+    changes: ConfigChange[];
+
+    hasBreakingChanges: boolean;
+}
+
+interface FieldEntry {
+    field: FieldDefinition;
+
+    /** "email", or "contacts[].phone" for repeater row fields */
+    name: string;
+
+    /** Parent repeater name for row fields */
+    parent?: string;
+
+    /** Where the value lands in the payload (see buildPayload) */
+    payloadPath: string;
+
+    /** Location in the config ("steps[0].fields[2]") */
+    path: string;
+}
+
+type RuleDirection = 'higher' | 'lower' | 'later' | 'earlier'
+
+// Numeric and date rules, and which direction makes them stricter
+const BOUND_RULES: { key: keyof ValidationRule; label: string; stricter: RuleDirection }[] = [
+    { key: 'minLength', label: 'minimum length', stricter: 'higher' },
+    { key: 'maxLength', label: 'maximum length', stricter: 'lower' },
+    { key: 'min', label: 'minimum value', stricter: 'higher' },
+    { key: 'max', label: 'maximum value', stricter: 'lower' },
+    { key: 'minDate', label: 'earliest date', stricter: 'later' },
+    { key: 'maxDate', label: 'latest date', stricter: 'earlier' },
+    { key: 'maxFileSize', label: 'maximum file size', stricter: 'lower' },
+    { key: 'maxFiles', label: 'maximum number of files', stricter: 'lower' },
+]
+
+/**
+ * Compares two versions of a config and classifies every change to its contract
+ * Fields are matched by name; a field that disappears while a new one takes its
+ * payload path (or its type and label) is reported as renamed. Labels, layout and
+ * other presentation changes are not reported.
+ */
+export function diffConfigs(oldConfig: FormConfig, newConfig: FormConfig): ConfigDiffResult {
+    const changes: ConfigChange[] = []
+    const oldFields = collectFields(oldConfig)
+    const newFields = collectFields(newConfig)
+
+    const removed = [...oldFields.values()].filter(entry => !newFields.has(entry.name))
+    const added = [...newFields.values()].filter(entry => !oldFields.has(entry.name))
+    const renames = matchRenames(removed, added)
+
+    newFields.forEach(entry => {
+        const renamedFrom = renames.get(entry.name)
+        const previous = oldFields.get(entry.name) ?? renamedFrom
+
+        if (!previous) {
+            const required = getRequiredLevel(entry.field) === 'always'
+            changes.push({
+                kind: 'fieldAdded',
+                breaking: required,
+                field: entry.name,
+                path: entry.path,
+                message: required
+                    ? `New required field "${entry.name}"`
+                    : `New optional field "${entry.name}"`,
+                after: entry.payloadPath,
+            })
+            return
+        }
+
+        if (renamedFrom) {
+            const moved = renamedFrom.payloadPath !== entry.payloadPath
+            changes.push({
+                kind: 'fieldRenamed',
+                breaking: moved,
+                field: entry.name,
+                path: entry.path,
+                message: moved
+                    ? `Field "${renamedFrom.name}" was renamed to "${entry.name}" and moved from payload path "${renamedFrom.payloadPath}" to "${entry.payloadPath}"`
+                    : `Field "${renamedFrom.name}" was renamed to "${entry.name}" (payload path "${entry.payloadPath}" is unchanged)`,
+                before: renamedFrom.name,
+                after: entry.name,
+            })
+        } else if (previous.payloadPath !== entry.payloadPath) {
+            changes.push({
+                kind: 'submitFieldChanged',
+                breaking: true,
+                field: entry.name,
+                path: `${entry.path}.submitField`,
+                message: `Payload path of "${entry.name}" changed from "${previous.payloadPath}" to "${entry.payloadPath}"`,
+                before: previous.payloadPath,
+                after: entry.payloadPath,
+            })
+        }
+
+        changes.push(...diffField(previous, entry))
+    })
+
+    removed
+        .filter(entry => ![...renames.values()].includes(entry))
+        .forEach(entry => changes.push({
+            kind: 'fieldRemoved',
+            breaking: true,
+            field: entry.name,
+            path: entry.path,
+            message: `Field "${entry.name}" was removed (payload path "${entry.payloadPath}")`,
+            before: entry.payloadPath,
+        }))
+
+    changes.push(...diffSubmitConfig(oldConfig, newConfig))
+
+    return { changes, hasBreakingChanges: changes.some(change => change.breaking) }
+}
+
+/**
+ * Fields of every step, repeater row fields included, keyed by name
+ */
+function collectFields(config: FormConfig): Map<string, FieldEntry> {
+    const entries = new Map<string, FieldEntry>()
+
+    config.steps.forEach((step, stepIndex) => {
+        step.fields.forEach((field, fieldIndex) => {
+            const path = `steps[${stepIndex}].fields[${fieldIndex}]`
+            const payloadPath = field.submitField || field.name
+            entries.set(field.name, { field, name: field.name, payloadPath, path })
+
+            if (field.type !== 'repeater') return
+
+            // Row paths follow buildPayload: relative to the repeater unless they contain "[]"
+            const rowFields = field.fields || []
+            rowFields.forEach((rowField, rowIndex) => {
+                const name = `${field.name}[].${rowField.name}`
+                entries.set(name, {
+                    field: rowField,
+                    name,
+                    parent: field.name,
+                    payloadPath: rowField.submitField?.includes('[]')
+                        ? rowField.submitField
+                        : `${payloadPath}[].${rowField.submitField || rowField.name}`,
+                    path: `${path}.fields[${rowIndex}]`,
+                })
+            })
+        })
+    })
+
+    return entries
+}
+
+/**
+ * Pairs removed fields with the added field replacing them (new name → old entry)
+ * The same payload path is the strongest signal; the same type and label within the
+ * same parent is the fallback. Top-level fields are paired first so the row fields of
+ * a renamed repeater can follow it.
+ */
+function matchRenames(removed: FieldEntry[], added: FieldEntry[]): Map<string, FieldEntry> {
+    const renames = new Map<string, FieldEntry>()
+    const candidates = [...added]
+
+    const sameParent = (entry: FieldEntry, candidate: FieldEntry): boolean =>
+        candidate.parent === entry.parent ||
+        (!!candidate.parent && renames.get(candidate.parent)?.name === entry.parent)
+
+    const take = (entry: FieldEntry, matches: (candidate: FieldEntry) => boolean): boolean => {
+        const index = candidates.findIndex(candidate => sameParent(entry, candidate) && matches(candidate))
+        const match = candidates[index]
+        if (!match) return false
+
+        candidates.splice(index, 1)
+        renames.set(match.name, entry)
+        return true
+    }
+
+    const topLevel = removed.filter(entry => !entry.parent)
+    const rowFields = removed.filter(entry => entry.parent)
+
+    for (const group of [topLevel, rowFields]) {
+        const unmatched = group.filter(entry => !take(entry, candidate => candidate.payloadPath === entry.payloadPath))
+        unmatched.forEach(entry => {
+            const label = resolveText(entry.field.label)
+            take(entry, candidate => candidate.field.type === entry.field.type && !!label && resolveText(candidate.field.label) === label)
+        })
+    }
+
+    return renames
+}
+
+/**
+ * Type, validation and option changes of a field present in both versions
+ */
+function diffField(before: FieldEntry, after: FieldEntry): ConfigChange[] {
+    const changes: ConfigChange[] = []
+    const name = after.name
+    const change = (kind: ConfigChangeKind, breaking: boolean, path: string, message: string, from?: any, to?: any) =>
+        changes.push({ kind, breaking, field: name, path: `${after.path}${path}`, message, before: from, after: to })
+
+    if (before.field.type !== after.field.type) {
+        const loosened = isLooserType(before.field.type, after.field.type)
+        change('typeChanged', !loosened, '.type', `Field "${name}" changed type from ${before.field.type} to ${after.field.type}`, before.field.type, after.field.type)
+    }
+
+    const oldRules = before.field.validation || {}
+    const newRules = after.field.validation || {}
+
+    const oldRequired = getRequiredLevel(before.field)
+    const newRequired = getRequiredLevel(after.field)
+    if (oldRequired !== newRequired) {
+        const tightened = REQUIRED_LEVELS.indexOf(newRequired) > REQUIRED_LEVELS.indexOf(oldRequired)
+        change(
+            tightened ? 'validationTightened' : 'validationLoosened',
+            tightened,
+            '.validation.required',
+            `Field "${name}" is now ${describeRequired(newRequired)} (was ${describeRequired(oldRequired)})`,
+            oldRequired,
+            newRequired,
+        )
+    }
+
+    BOUND_RULES.forEach(({ key, label, stricter }) => {
+        const from = oldRules[key] as number | string | undefined
+        const to = newRules[key] as number | string | undefined
+        if (from === to) return
+
+        const tightened = from === undefined || (to !== undefined && isStricter(from, to, stricter))
+        change(
+            tightened ? 'validationTightened' : 'validationLoosened',
+            tightened,
+            `.validation.${key}`,
+            to === undefined
+                ? `Field "${name}" no longer has a ${label} (was ${from})`
+                : `${capitalize(label)} of "${name}" ${from === undefined ? 'set to' : 'changed from ' + from + ' to'} ${to}`,
+            from,
+            to,
+        )
+    })
+
+    for (const key of ['minItems', 'maxItems'] as const) {
+        const from = before.field[key]
+        const to = after.field[key]
+        if (from === to) continue
+
+        const tightened = from === undefined || (to !== undefined && isStricter(from, to, key === 'minItems' ? 'higher' : 'lower'))
+        const label = key === 'minItems' ? 'minimum rows' : 'maximum rows'
+        change(
+            tightened ? 'validationTightened' : 'validationLoosened',
+            tightened,
+            `.${key}`,
+            to === undefined
+                ? `Field "${name}" no longer has ${label} (was ${from})`
+                : `${capitalize(label)} of "${name}" ${from === undefined ? 'set to' : 'changed from ' + from + ' to'} ${to}`,
+            from,
+            to,
+        )
+    }
+
+    // Any new pattern can reject values the old one accepted
+    const oldPattern = toPatternSource(oldRules.pattern)
+    const newPattern = toPatternSource(newRules.pattern)
+    if (oldPattern !== newPattern) {
+        const loosened = newPattern === undefined
+        change(
+            loosened ? 'validationLoosened' : 'validationTightened',
+            !loosened,
+            '.validation.pattern',
+            loosened
+                ? `Field "${name}" no longer has a pattern (was ${oldPattern})`
+                : `Pattern of "${name}" ${oldPattern === undefined ? 'set to' : 'changed from ' + oldPattern + ' to'} ${newPattern}`,
+            oldPattern,
+            newPattern,
+        )
+    }
+
+    for (const key of ['email', 'url'] as const) {
+        if (!!oldRules[key] === !!newRules[key]) continue
+
+        const tightened = !!newRules[key]
+        change(
+            tightened ? 'validationTightened' : 'validationLoosened',
+            tightened,
+            `.validation.${key}`,
+            tightened ? `Field "${name}" must now be a valid ${key}` : `Field "${name}" no longer has to be a valid ${key}`,
+            !!oldRules[key],
+            !!newRules[key],
+        )
+    }
+
+    if (oldRules.accept || newRules.accept) {
+        const dropped = oldRules.accept ? oldRules.accept.filter(type => !newRules.accept?.includes(type)) : ['any type']
+        const gained = newRules.accept ? newRules.accept.filter(type => !oldRules.accept?.includes(type)) : ['any type']
+
+        if (newRules.accept && dropped.length > 0) {
+            change('validationTightened', true, '.validation.accept', `Field "${name}" no longer accepts ${dropped.join(', ')}`, oldRules.accept, newRules.accept)
+        } else if (gained.length > 0) {
+            change('validationLoosened', false, '.validation.accept', `Field "${name}" now also accepts ${gained.join(', ')}`, oldRules.accept, newRules.accept)
+        }
+    }
+
+    if (!isEqual(oldRules.custom?.validator, newRules.custom?.validator)) {
+        const loosened = !newRules.custom
+        change(
+            loosened ? 'validationLoosened' : 'validationTightened',
+            !loosened,
+            '.validation.custom',
+            loosened ? `Field "${name}" no longer has a custom validator` : `Custom validator of "${name}" changed`,
+            oldRules.custom?.validator,
+            newRules.custom?.validator,
+        )
+    }
+
+    // Static options: values the old config offered must still be accepted
+    const oldOptions = getOptionValues(before.field)
+    const newOptions = getOptionValues(after.field)
+    if (oldOptions && newOptions) {
+        const dropped = oldOptions.filter(value => !newOptions.some(option => isEqual(option, value)))
+        const gained = newOptions.filter(value => !oldOptions.some(option => isEqual(option, value)))
+
+        if (dropped.length > 0) {
+            change('optionsRemoved', true, '.props.options', `Field "${name}" no longer offers ${formatValues(dropped)}`, dropped, undefined)
+        }
+        if (gained.length > 0) {
+            change('optionsAdded', false, '.props.options', `Field "${name}" now also offers ${formatValues(gained)}`, undefined, gained)
+        }
+    }
+
+    const oldSource = before.field.dataSource?.endpoint
+    const newSource = after.field.dataSource?.endpoint
+    if (oldSource && newSource && oldSource !== newSource) {
+        change('endpointChanged', false, '.dataSource.endpoint', `Options of "${name}" are loaded from ${newSource} (was ${oldSource})`, oldSource, newSource)
+    }
+
+    const oldRemote = oldRules.remote?.endpoint
+    const newRemote = newRules.remote?.endpoint
+    if (oldRemote !== newRemote) {
+        const tightened = !oldRemote
+        change(
+            tightened ? 'validationTightened' : oldRemote && newRemote ? 'endpointChanged' : 'validationLoosened',
+            tightened,
+            '.validation.remote.endpoint',
+            !newRemote
+                ? `Field "${name}" is no longer checked remotely (was ${oldRemote})`
+                : tightened
+                    ? `Field "${name}" is now checked remotely at ${newRemote}`
+                    : `Remote check of "${name}" moved from ${oldRemote} to ${newRemote}`,
+            oldRemote,
+            newRemote,
+        )
+    }
+
+    return changes
+}
+
+/**
+ * Submission endpoint, method, file upload mode and payload transform changes
+ */
+function diffSubmitConfig(oldConfig: FormConfig, newConfig: FormConfig): ConfigChange[] {
+    const changes: ConfigChange[] = []
+    const before: Partial<SubmitConfig> = oldConfig.submitConfig || {}
+    const after: Partial<SubmitConfig> = newConfig.submitConfig || {}
+
+    if (before.endpoint !== after.endpoint) {
+        changes.push({
+            kind: 'endpointChanged',
+            breaking: true,
+            path: 'submitConfig.endpoint',
+            message: `Submission endpoint changed from ${before.endpoint} to ${after.endpoint}`,
+            before: before.endpoint,
+            after: after.endpoint,
+        })
+    }
+
+    if (before.method !== after.method) {
+        changes.push({
+            kind: 'endpointChanged',
+            breaking: true,
+            path: 'submitConfig.method',
+            message: `Submission method changed from ${before.method} to ${after.method}`,
+            before: before.method,
+            after: after.method,
+        })
+    }
+
+    const oldUpload = before.fileUpload?.mode || 'multipart'
+    const newUpload = after.fileUpload?.mode || 'multipart'
+    if (oldUpload !== newUpload) {
+        changes.push({
+            kind: 'payloadTransformChanged',
+            breaking: true,
+            path: 'submitConfig.fileUpload.mode',
+            message: `Files are sent as ${newUpload === 'preUpload' ? 'pre-uploaded IDs' : 'multipart parts'} (were ${oldUpload === 'preUpload' ? 'pre-uploaded IDs' : 'multipart parts'})`,
+            before: oldUpload,
+            after: newUpload,
+        })
+    } else if (newUpload === 'preUpload' && before.fileUpload?.endpoint !== after.fileUpload?.endpoint) {
+        changes.push({
+            kind: 'endpointChanged',
+            breaking: true,
+            path: 'submitConfig.fileUpload.endpoint',
+            message: `File upload endpoint changed from ${before.fileUpload?.endpoint} to ${after.fileUpload?.endpoint}`,
+            before: before.fileUpload?.endpoint,
+            after: after.fileUpload?.endpoint,
+        })
+    }
+
+    if (!isEqual(before.transformPayload, after.transformPayload)) {
+        changes.push({
+            kind: 'payloadTransformChanged',
+            breaking: true,
+            path: 'submitConfig.transformPayload',
+            message: 'Payload transform changed; the submitted payload may be shaped differently',
+            before: before.transformPayload,
+            after: after.transformPayload,
+        })
+    }
+
+    return changes
+}
+
+type RequiredLevel = 'optional' | 'conditional' | 'always'
+
+const REQUIRED_LEVELS: RequiredLevel[] = ['optional', 'conditional', 'always']
+
+function getRequiredLevel(field: FieldDefinition): RequiredLevel {
+    if (!field.validation?.required) return 'optional'
+    return field.validation.validateIf ? 'conditional' : 'always'
+}
+
+function describeRequired(level: RequiredLevel): string {
+    return level === 'conditional' ? 'conditionally required' : level === 'always' ? 'required' : 'optional'
+}
+
+/**
+ * Value families: switching types within one family keeps existing values valid
+ */
+function getValueFamily(type: string): string {
+    switch (type) {
+        case 'text':
+        case 'textarea':
+        case 'password':
+        case 'tel':
+            return 'text'
+        case 'select':
+        case 'radio':
+            return 'option'
+        case 'checkbox':
+        case 'toggle':
+            return 'boolean'
+        default:
+            return type
+    }
+}
+
+/**
+ * Whether a type change accepts every value the old type did
+ * (same value family, or a formatted string such as email relaxed to text)
+ */
+function isLooserType(from: string, to: string): boolean {
+    const oldFamily = getValueFamily(from)
+    const newFamily = getValueFamily(to)
+    return oldFamily === newFamily || (newFamily === 'text' && ['email', 'url'].includes(oldFamily))
+}
+
+function isStricter(from: number | string, to: number | string, direction: RuleDirection): boolean {
+    if (direction === 'higher') return Number(to) > Number(from)
+    if (direction === 'lower') return Number(to) < Number(from)
+
+    // "today" moves, so a change to or from it can reject old values either way
+    if (from === 'today' || to === 'today') return true
+    const order = compareDateValues(String(to), String(from))
+    return direction === 'later' ? order > 0 : order < 0
+}
+
+function getOptionValues(field: FieldDefinition): any[] | undefined {
+    const options = field.props?.options
+    if (field.dataSource || !Array.isArray(options)) return undefined
+    return options.map((option: any) => option && typeof option === 'object' ? option.value : option)
+}
+
+function toPatternSource(pattern: string | RegExp | undefined): string | undefined {
+    if (pattern === undefined) return undefined
+    return pattern instanceof RegExp ? pattern.source : pattern
+}
+
+function formatValues(values: any[]): string {
+    return values.map(value => JSON.stringify(value)).join(', ')
+}
+
+function capitalize(text: string): string {
+    return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+function isEqual(a: unknown, b: unknown): boolean {
+    return JSON.stringify(a) === JSON.stringify(b)
+}
@@ -1,9 +1,21 @@
 // Config Parser - Validates FormConfig structure
 // Based on specs/001-form-config-generator/data-model.md
 
+import type { ZodIssue } from 'zod'
 import type { FormConfig } from '@/types/formConfig'
 import type { ConditionalRule } from '@/types/conditional'
-import { FIELD_TYPES } from '@/config/constants'
+import {
+    CONDITIONAL_OPERATORS,
+    CURRENT_CONFIG_VERSION,
+    ORDERED_CROSS_FIELD_VALIDATORS,
+} from '@/config/constants'
+import { getExpressionReferences, validateExpression } from '@/utils/expression'
+import { isValidDateValue } from '@/utils/date'
+import { getDraftStorageNames } from '@/services/draft.service'
+import { getFieldType, getFieldTypeNames, isKnownFieldType } from '@/services/fieldType.service'
+import { resolveText } from '@/services/i18n.service'
+import { compareVersions, isValidConfigVersion } from '@/services/migration.service'
+import { formConfigSchema, getKnownKeysAtPath } from '@/utils/configSchema'
 
 export interface ConfigValidationError {
     field?: string
@@ -19,344 +31,1234 @@ export interface ConfigValidationResult {
     warnings?: ConfigValidationError[]
 }
 
+/**
+ * Suggestions for required properties that are missing or empty, keyed by path with
+ * array indexes removed (repeater rows share the field entries)
+ */
+const REQUIRED_PROPERTY_SUGGESTIONS: Record<string, string> = {
+    'id': 'Add "id": "unique-form-id"',
+    'metadata': `Add "metadata": { "title": "...", "version": "${CURRENT_CONFIG_VERSION}" }`,
+    'metadata.title': 'Add "title" field to metadata',
+    'metadata.version': `Add "version": "${CURRENT_CONFIG_VERSION}" to metadata`,
+    'steps': 'Add "steps": [{ "id": "step1", "title": "...", "fields": [...] }]',
+    'steps[].id': 'Add unique step id like "step-1"',
+    'steps[].title': 'Add descriptive title for this step',
+    'steps[].fields': 'Add "fields": [...]',
+    'steps[].fields[].name': 'Add unique field name like "email"',
+    'steps[].fields[].label': 'Add descriptive label for this field',
+    'steps[].fields[].dependency.parent': 'Add "parent": "fieldName"',
+    'steps[].fields[].dataSource.endpoint': 'Add "endpoint": "https://api.example.com/data"',
+    'steps[].fields[].dataSource.from': 'Add "from": "data.items" to specify response path',
+    'steps[].fields[].dataSource.to': 'Add "to": { "label": "name", "value": "id" }',
+    'steps[].fields[].dataSource.search.param': 'Add "param": "q"',
+    'steps[].fields[].validation.remote.endpoint': 'Add "endpoint": "https://api.example.com/validate"',
+    'steps[].stepValidation.errorMessage': 'Add "errorMessage": "Please review this step"',
+    'steps[].stepValidation.remote.endpoint': 'Add "endpoint": "https://api.example.com/validate"',
+    'globalValidation[].id': 'Add unique rule id like "end-after-start"',
+    'globalValidation[].fields': 'Add "fields": ["startDate", "endDate"]',
+    'globalValidation[].errorMessage': 'Add "errorMessage": "End date must be after start date"',
+    'submitConfig.fileUpload.mode': 'Use "multipart" or "preUpload"',
+}
+
 /**
  * Validates FormConfig structure and returns detailed errors
+ * Structure is checked against formConfigSchema; the checks below it cover what a schema
+ * can't express (field references, expressions, registries) and skip malformed values
+ */
+export function validateConfig(config: any): ConfigValidationResult {
+    const errors: ConfigValidationError[] = []
+    const warnings: ConfigValidationError[] = []
+
+    // Check if config exists
+    if (!config) {
+        errors.push({
+            path: 'root',
+            message: 'Config object is required',
+            severity: 'error',
+            suggestion: 'Provide a valid FormConfig object'
+        })
+        return { valid: false, errors, warnings }
+    }
+
+    // Check the whole tree against the FormConfig schema (missing and unknown keys, wrong types, bad enum values)
+    errors.push(...getSchemaErrors(config))
+
+    if (typeof config.metadata?.version === 'string' && config.metadata.version !== '') {
+        validateConfigVersion(config.metadata.version, errors, warnings)
+    }
+
+    // Collect all field names for reference validation
+    const allFieldNames = new Set<string>()
+    forEachObject(config.steps, step => {
+        forEachObject(step.fields, field => {
+            if (typeof field.name === 'string' && field.name) allFieldNames.add(field.name)
+        })
+    })
+
+    // Validate each step
+    forEachObject(config.steps, (step, stepIndex) => {
+        if (Array.isArray(step.fields) && step.fields.length === 0) {
+            warnings.push({
+                path: `steps[${stepIndex}].fields`,
+                message: 'Step has no fields',
+                severity: 'warning',
+                suggestion: 'Add at least one field to this step'
+            })
+        }
+
+        forEachObject(step.fields, (field, fieldIndex) => {
+            validateField(field, `steps[${stepIndex}].fields[${fieldIndex}]`, errors, warnings, allFieldNames)
+        })
+
+        if (step.showIf !== undefined) {
+            validateConditionalRule(step.showIf, `steps[${stepIndex}].showIf`, errors, allFieldNames)
+        }
+
+        if (isPlainObject(step.stepValidation)) {
+            validateStepValidation(step.stepValidation, `steps[${stepIndex}].stepValidation`, errors, allFieldNames)
+        }
+    })
+
+    // Check for duplicate field names across all steps
+    const fieldNames = new Set<string>()
+    const duplicates = new Set<string>()
+
+    forEachObject(config.steps, step => {
+        forEachObject(step.fields, field => {
+            if (typeof field.name === 'string' && field.name) {
+                if (fieldNames.has(field.name)) {
+                    duplicates.add(field.name)
+                }
+                fieldNames.add(field.name)
+            }
+        })
+    })
+
+    duplicates.forEach(name => {
+        errors.push({
+            path: 'fields',
+            message: `Duplicate field name: "${name}"`,
+            severity: 'error',
+            suggestion: 'Ensure all field names are unique across the form'
+        })
+    })
+
+    // Warn about showIf rules reading fields from later steps
+    validateConditionOrder(config, warnings)
+
+    // Check for circular dependencies
+    const circularDeps = detectCircularDependencies(config)
+    circularDeps.forEach(cycle => {
+        errors.push({
+            path: 'dependencies',
+            message: `Circular dependency detected: ${cycle.join(' → ')}`,
+            severity: 'error',
+            suggestion: 'Remove circular references between field dependencies and compute expressions'
+        })
+    })
+
+    // Validate cross-field rules
+    validateGlobalValidation(config.globalValidation, errors, allFieldNames)
+
+    const submitConfig = isPlainObject(config.submitConfig) ? config.submitConfig : {}
+
+    // Validate payload transform
+    if (isPlainObject(submitConfig.transformPayload)) {
+        validatePayloadTransform(submitConfig.transformPayload, 'submitConfig.transformPayload', errors)
+    }
+
+    // Validate draft persistence
+    if (isPlainObject(config.persistence)) {
+        validatePersistence(config.persistence, errors, warnings, allFieldNames)
+    }
+
+    // Validate file upload mode
+    if (isPlainObject(submitConfig.fileUpload)) {
+        validateFileUpload(submitConfig.fileUpload, 'submitConfig.fileUpload', errors)
+    }
+
+    // Validate state transitions
+    if (isPlainObject(submitConfig.stateTransitions)) {
+        validateStateTransitions(submitConfig.stateTransitions, 'submitConfig.stateTransitions', errors)
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+    }
+}
+
+/**
+ * Checks metadata.version against the schema versions this release reads
+ * Older configs still load but should be upgraded; newer ones use features this release lacks
+ */
+function validateConfigVersion(
+    version: string,
+    errors: ConfigValidationError[],
+    warnings: ConfigValidationError[]
+): void {
+    if (!isValidConfigVersion(version)) {
+        errors.push({
+            path: 'metadata.version',
+            message: `Invalid config version "${version}"`,
+            severity: 'error',
+            suggestion: `Use a "major.minor.patch" version like "${CURRENT_CONFIG_VERSION}"`
+        })
+        return
+    }
+
+    const comparison = compareVersions(version, CURRENT_CONFIG_VERSION)
+    if (comparison > 0) {
+        errors.push({
+            path: 'metadata.version',
+            message: `Config version ${version} is newer than the supported version ${CURRENT_CONFIG_VERSION}`,
+            severity: 'error',
+            suggestion: 'Update the form library, or write the config for the supported version'
+        })
+    } else if (comparison < 0) {
+        warnings.push({
+            path: 'metadata.version',
+            message: `Config version ${version} is older than the current version ${CURRENT_CONFIG_VERSION}`,
+            severity: 'warning',
+            suggestion: 'Upgrade it with migrateConfig(config) (or "Upgrade config" in the config editor)'
+        })
+    }
+}
+
+/**
+ * Checks a config against formConfigSchema, one error per problem
+ */
+function getSchemaErrors(config: any): ConfigValidationError[] {
+    const result = formConfigSchema.safeParse(config)
+    if (result.success) return []
+
+    return result.error.issues.flatMap(issue => expandUnionIssue(issue)).flatMap(issue => toSchemaErrors(issue, config))
+}
+
+/**
+ * Replaces a failed union ("a string or a locale map") with the issues of the member the value
+ * was meant for: the one that got past the type check. Without such a member the value has
+ * the wrong type for every member.
+ */
+function expandUnionIssue(issue: ZodIssue): ZodIssue[] {
+    if (issue.code !== 'invalid_union') return [issue]
+
+    const isTypeMismatch = (issues: ZodIssue[]) =>
+        issues.length === 1 && issues[0]!.code === 'invalid_type' && issues[0]!.path.length === issue.path.length
+
+    const candidates = issue.unionErrors
+        .map(error => error.issues)
+        .filter(issues => !isTypeMismatch(issues))
+        .sort((a, b) => a.length - b.length)
+
+    if (candidates[0]) {
+        return candidates[0].flatMap(expandUnionIssue)
+    }
+
+    const expected = issue.unionErrors
+        .flatMap(error => error.issues)
+        .map(memberIssue => (memberIssue.code === 'invalid_type' ? memberIssue.expected : undefined))
+        .filter(Boolean)
+    const received = issue.unionErrors[0]?.issues[0]
+
+    // A missing value fails every member the same way: report it once as missing
+    if (received?.code === 'invalid_type' && received.received === 'undefined') {
+        return [received]
+    }
+
+    return [{
+        ...issue,
+        code: 'custom',
+        message: `Expected ${Array.from(new Set(expected)).join(' or ')}` +
+            (received?.code === 'invalid_type' ? `, received ${received.received}` : ''),
+    }]
+}
+
+/**
+ * Turns a schema issue into config errors with a path and suggestion
+ */
+function toSchemaErrors(issue: ZodIssue, config: any): ConfigValidationError[] {
+    const path = formatIssuePath(issue.path)
+    const key = [...issue.path].reverse().find(part => typeof part === 'string') ?? 'config'
+
+    switch (issue.code) {
+        case 'unrecognized_keys': {
+            const knownKeys = getKnownKeysAtPath(issue.path)
+            return issue.keys.map(unknownKey => {
+                const closest = findClosestKey(unknownKey, knownKeys)
+                return {
+                    path: formatIssuePath([...issue.path, unknownKey]),
+                    message: `Unknown property "${unknownKey}"`,
+                    severity: 'error',
+                    suggestion: closest
+                        ? `Did you mean "${closest}"?`
+                        : `Remove "${unknownKey}"; known properties: ${knownKeys.join(', ')}`
+                }
+            })
+        }
+
+        case 'invalid_type':
+            if (issue.received === 'undefined') {
+                return [{
+                    path,
+                    message: `Missing required property "${key}"`,
+                    severity: 'error',
+                    suggestion: getRequiredPropertySuggestion(path) ?? `Add "${key}"`
+                }]
+            }
+            return [{
+                path,
+                message: `"${key}" must be ${issue.expected === 'array' || issue.expected === 'object' ? 'an' : 'a'} ${issue.expected}, received ${issue.received}`,
+                severity: 'error',
+                suggestion: `Change the value of "${key}" to ${issue.expected === 'array' || issue.expected === 'object' ? 'an' : 'a'} ${issue.expected}`
+            }]
+
+        case 'invalid_enum_value':
+            return [{
+                path,
+                message: `Invalid value ${JSON.stringify(getIssueValue(config, issue.path))} for "${key}"`,
+                severity: 'error',
+                suggestion: `Choose from: ${issue.options.join(', ')}`
+            }]
+
+        case 'too_small':
+            return [{
+                path,
+                message: issue.type === 'string' && issue.minimum === 1
+                    ? `"${key}" must not be empty`
+                    : `"${key}": ${issue.message}`,
+                severity: 'error',
+                suggestion: getRequiredPropertySuggestion(path)
+            }]
+
+        default:
+            return [{
+                path,
+                message: `"${key}": ${issue.message}`,
+                severity: 'error',
+            }]
+    }
+}
+
+/**
+ * Looks up the suggestion for a missing or empty required property
+ */
+function getRequiredPropertySuggestion(path: string): string | undefined {
+    const pattern = path.replace(/\[\d+\]/g, '[]').replace(/(\.fields\[\])+/g, '.fields[]')
+
+    switch (pattern) {
+        case 'steps[].fields[].type':
+            return `Choose from: ${getFieldTypeNames().join(', ')}`
+        case 'persistence.storage':
+            return `Choose from: ${getDraftStorageNames().join(', ')}`
+        default:
+            return REQUIRED_PROPERTY_SUGGESTIONS[pattern]
+    }
+}
+
+/**
+ * Formats a Zod issue path like the rest of validateConfig: "steps[0].fields[2].dataSource.to"
+ */
+function formatIssuePath(path: (string | number)[]): string {
+    const formatted = path.map(key => (typeof key === 'number' ? `[${key}]` : `.${key}`)).join('')
+    return formatted.startsWith('.') ? formatted.slice(1) : formatted || 'root'
+}
+
+function getIssueValue(config: any, path: (string | number)[]): any {
+    return path.reduce((current, key) => current?.[key], config)
+}
+
+/**
+ * Finds the known key an unknown one was probably meant to be (a typo or different case)
+ */
+function findClosestKey(key: string, knownKeys: string[]): string | undefined {
+    const lowerKey = key.toLowerCase()
+    const caseMatch = knownKeys.find(known => known.toLowerCase() === lowerKey)
+    if (caseMatch) return caseMatch
+
+    let closest: string | undefined
+    let closestDistance = 3
+    knownKeys.forEach(known => {
+        const distance = getEditDistance(lowerKey, known.toLowerCase())
+        if (distance < closestDistance) {
+            closest = known
+            closestDistance = distance
+        }
+    })
+
+    return closest
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function getEditDistance(a: string, b: string): number {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i]
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j]! + 1,
+                current[j - 1]! + 1,
+                previous[j - 1]! + (a[i - 1] === b[j - 1] ? 0 : 1)
+            )
+        }
+        previous = current
+    }
+
+    return previous[b.length]!
+}
+
+/**
+ * Calls fn for each object in a list; other values are reported by the schema check
+ */
+function forEachObject(list: any, fn: (item: any, index: number) => void): void {
+    if (!Array.isArray(list)) return
+
+    list.forEach((item, index) => {
+        if (isPlainObject(item)) fn(item, index)
+    })
+}
+
+/**
+ * Checks for a non-array object
+ */
+function isPlainObject(value: any): boolean {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Validates a sandboxed expression string (syntax, functions and variables)
+ */
+function validateExpressionString(
+    expression: string,
+    path: string,
+    variables: string[],
+    errors: ConfigValidationError[]
+): void {
+    // Empty strings are reported by the schema check
+    if (expression === '') return
+
+    const error = validateExpression(expression, variables)
+    if (error) {
+        errors.push({
+            path,
+            message: `Invalid expression: ${error}`,
+            severity: 'error',
+            suggestion: 'Use operators (+ - * / % == != < > && || !), whitelisted functions and form:fieldName references'
+        })
+    }
+}
+
+/**
+ * Validates a computed field: expression syntax, referenced fields and field type
+ */
+function validateCompute(
+    field: any,
+    path: string,
+    errors: ConfigValidationError[],
+    warnings: ConfigValidationError[],
+    allFieldNames: Set<string>
+): void {
+    const errorCount = errors.length
+    validateExpressionString(field.compute, `${path}.compute`, [], errors)
+    if (errors.length > errorCount) return
+
+    getExpressionReferences(field.compute).forEach(name => {
+        if (!allFieldNames.has(name)) {
+            errors.push({
+                path: `${path}.compute`,
+                message: `Compute expression references unknown field "form:${name}"`,
+                severity: 'error',
+                suggestion: 'Reference an existing field name, e.g. "form:price * form:quantity"'
+            })
+        }
+    })
+
+    if (['file', 'repeater'].includes(field.type)) {
+        errors.push({
+            path: `${path}.compute`,
+            message: `compute is not supported on ${field.type} fields`,
+            severity: 'error',
+            suggestion: 'Use a text, number or date field for derived values'
+        })
+    }
+
+    if (field.defaultValue !== undefined) {
+        warnings.push({
+            path: `${path}.defaultValue`,
+            message: 'defaultValue is ignored on computed fields',
+            severity: 'warning',
+            suggestion: 'Remove defaultValue; the value always comes from the compute expression'
+        })
+    }
+}
+
+/**
+ * Validates submitConfig.transformPayload paths, renames and expression
+ */
+function validatePayloadTransform(transform: any, path: string, errors: ConfigValidationError[]): void {
+    for (const key of ['include', 'exclude'] as const) {
+        if (!Array.isArray(transform[key])) continue
+
+        transform[key].forEach((pattern: any, index: number) => {
+            if (typeof pattern === 'string' && !isValidPathPattern(pattern)) {
+                errors.push({
+                    path: `${path}.${key}[${index}]`,
+                    message: `Invalid payload path: "${pattern}"`,
+                    severity: 'error',
+                    suggestion: 'Use dot notation with optional wildcards like "user.*", "items[].id" or "**.secret"'
+                })
+            }
+        })
+    }
+
+    if (isPlainObject(transform.rename)) {
+        Object.entries(transform.rename).forEach(([from, to]) => {
+            if (typeof to !== 'string') return
+            const renamePath = `${path}.rename.${from}`
+
+            if (!isValidPathPattern(from) || !isValidPathPattern(to)) {
+                errors.push({
+                    path: renamePath,
+                    message: `Invalid rename "${from}" → "${to}"`,
+                    severity: 'error',
+                    suggestion: 'Both sides must be dot paths like "items[].qty": "items[].quantity"'
+                })
+            } else if (from.includes('**') || to.includes('**')) {
+                errors.push({
+                    path: renamePath,
+                    message: 'rename does not support "**" wildcards',
+                    severity: 'error',
+                    suggestion: 'Use "*" or "[]" for each level instead'
+                })
+            } else if (countWildcards(to) > countWildcards(from)) {
+                errors.push({
+                    path: renamePath,
+                    message: `Rename target "${to}" has more wildcards than its source "${from}"`,
+                    severity: 'error',
+                    suggestion: 'Each "*" or "[]" in the target must correspond to one in the source'
+                })
+            }
+        })
+    }
+
+    if (typeof transform.expression === 'string') {
+        validateExpressionString(transform.expression, `${path}.expression`, ['payload'], errors)
+    }
+}
+
+/**
+ * Validates persistence (draft autosave) settings: registered storage and excluded fields
+ */
+function validatePersistence(
+    persistence: any,
+    errors: ConfigValidationError[],
+    warnings: ConfigValidationError[],
+    allFieldNames: Set<string>
+): void {
+    const storages = getDraftStorageNames()
+    if (typeof persistence.storage === 'string' && persistence.storage !== '' && !storages.includes(persistence.storage)) {
+        errors.push({
+            path: 'persistence.storage',
+            message: `Unknown draft storage "${persistence.storage}"`,
+            severity: 'error',
+            suggestion: `Choose from: ${storages.join(', ')}`
+        })
+    } else if (persistence.storage === 'remote' && !persistence.endpoint) {
+        errors.push({
+            path: 'persistence.endpoint',
+            message: 'Remote draft storage requires an endpoint',
+            severity: 'error',
+            suggestion: 'Add "endpoint": "https://api.example.com/drafts"'
+        })
+    }
+
+    if (Array.isArray(persistence.exclude)) {
+        persistence.exclude.forEach((name: any, index: number) => {
+            if (typeof name === 'string' && !allFieldNames.has(name)) {
+                warnings.push({
+                    path: `persistence.exclude[${index}]`,
+                    message: `Excluded field "${name}" does not exist`,
+                    severity: 'warning',
+                    suggestion: 'Reference an existing field name'
+                })
+            }
+        })
+    }
+}
+
+/**
+ * Validates submitConfig.fileUpload: preUpload needs its own endpoint
+ */
+function validateFileUpload(upload: any, path: string, errors: ConfigValidationError[]): void {
+    if (upload.mode === 'preUpload' && !upload.endpoint) {
+        errors.push({
+            path: `${path}.endpoint`,
+            message: 'preUpload mode requires an upload endpoint',
+            severity: 'error',
+            suggestion: 'Add "endpoint": "https://api.example.com/uploads"'
+        })
+    }
+}
+
+/**
+ * Validates submitConfig.stateTransitions (onSuccess/onError/onStatus chains)
+ */
+function validateStateTransitions(transitions: any, path: string, errors: ConfigValidationError[]): void {
+    for (const key of ['onSuccess', 'onError'] as const) {
+        if (transitions[key] !== undefined) {
+            validateTransitionChain(transitions[key], `${path}.${key}`, errors)
+        }
+    }
+
+    if (!isPlainObject(transitions.onStatus)) return
+
+    Object.entries(transitions.onStatus).forEach(([status, chain]) => {
+        if (!/^[1-5](\d\d|xx)$/.test(status)) {
+            errors.push({
+                path: `${path}.onStatus.${status}`,
+                message: `Invalid HTTP status key "${status}"`,
+                severity: 'error',
+                suggestion: 'Use a status code like "422" or a class like "5xx"'
+            })
+        }
+        validateTransitionChain(chain, `${path}.onStatus.${status}`, errors)
+    })
+}
+
+/**
+ * Validates the settings each action needs, for a single transition or an ordered chain
+ */
+function validateTransitionChain(chain: any, path: string, errors: ConfigValidationError[]): void {
+    const transitions = Array.isArray(chain) ? chain : [chain]
+
+    transitions.forEach((transition: any, index: number) => {
+        if (!isPlainObject(transition)) return
+        const transitionPath = Array.isArray(chain) ? `${path}[${index}]` : path
+
+        if ((transition.action === 'navigate' || transition.action === 'callApi') && !transition.target) {
+            errors.push({
+                path: `${transitionPath}.target`,
+                message: `${transition.action} transition must have a target`,
+                severity: 'error',
+                suggestion: transition.action === 'navigate'
+                    ? 'Add "target": "/orders/response:id"'
+                    : 'Add "target": "https://api.example.com/notify"'
+            })
+        } else if (transition.action === 'showMessage' && !transition.message) {
+            errors.push({
+                path: `${transitionPath}.message`,
+                message: 'showMessage transition must have a message',
+                severity: 'error',
+                suggestion: 'Add "message": "Saved!"'
+            })
+        }
+    })
+}
+
+/**
+ * Checks a payload path pattern (dot notation with "*", "**", "[]" and "[n]")
+ */
+function isValidPathPattern(pattern: string): boolean {
+    if (!pattern) return false
+
+    const segmentPattern = /^(\*\*|\*|[a-zA-Z_][a-zA-Z0-9_]*|\d+)(\[\d*\])*$/
+    return pattern.split('.').every(segment => segmentPattern.test(segment))
+}
+
+function countWildcards(pattern: string): number {
+    return (pattern.match(/\[\]|(^|\.)\*(?=\.|\[|$)/g) || []).length
+}
+
+/**
+ * Validates what the schema can't check on a single field definition
+ */
+function validateField(
+    field: any,
+    path: string,
+    errors: ConfigValidationError[],
+    warnings: ConfigValidationError[],
+    allFieldNames: Set<string>
+): void {
+    validateFieldType(field, path, errors)
+
+    // Validate submitField if present (dot notation check)
+    if (typeof field.submitField === 'string' && !isValidDotNotation(field.submitField)) {
+        errors.push({
+            path: `${path}.submitField`,
+            message: `Invalid submitField path: "${field.submitField}"`,
+            severity: 'error',
+            suggestion: 'Use valid dot notation like "user.profile.name"'
+        })
+    }
+
+    const validation = isPlainObject(field.validation) ? field.validation : {}
+
+    // Validate custom validator expression
+    if (typeof validation.custom?.validator === 'string') {
+        validateExpressionString(validation.custom.validator, `${path}.validation.custom.validator`, ['value'], errors)
+    }
+
+    // Validate compute expression and the fields it reads
+    if (typeof field.compute === 'string' && field.compute !== '') {
+        validateCompute(field, path, errors, warnings, allFieldNames)
+    }
+
+    // Validate date bounds and file rules
+    validateDateAndFileRules(field, validation, path, errors)
+
+    // Validate showIf references
+    if (field.showIf !== undefined) {
+        validateConditionalRule(field.showIf, `${path}.showIf`, errors, allFieldNames)
+    }
+
+    // Validate conditional validation references
+    if (validation.validateIf !== undefined) {
+        validateConditionalRule(validation.validateIf, `${path}.validation.validateIf`, errors, allFieldNames)
+    }
+
+    // Validate disabled conditions (booleans need no check)
+    if (isPlainObject(field.disabled)) {
+        validateConditionalRule(field.disabled, `${path}.disabled`, errors, allFieldNames)
+    }
+
+    // Validate dependency references
+    const parent = field.dependency?.parent
+    if (typeof parent === 'string' && parent !== '' && !allFieldNames.has(parent)) {
+        errors.push({
+            path: `${path}.dependency.parent`,
+            message: `Parent field "${parent}" does not exist`,
+            severity: 'error',
+            suggestion: 'Reference an existing field name'
+        })
+    }
+
+    // Validate dataSource compatibility
+    if (isPlainObject(field.dataSource)) {
+        const validDataSourceTypes = ['select', 'multi-select', 'radio']
+        if (!validDataSourceTypes.includes(field.type)) {
+            errors.push({
+                path: `${path}.dataSource`,
+                message: `dataSource only supported for ${validDataSourceTypes.join(', ')} fields`,
+                severity: 'error',
+                suggestion: 'Remove dataSource or change field type'
+            })
+        }
+
+        if (isPlainObject(field.dataSource.search)) {
+            validateDataSourceSearch(field, path, errors)
+        }
+    }
+
+    // Validate repeater row fields and item counts
+    if (field.type === 'repeater') {
+        validateRepeaterField(field, path, errors, warnings)
+    } else if (field.fields !== undefined) {
+        warnings.push({
+            path: `${path}.fields`,
+            message: 'Nested fields are only used by repeater fields',
+            severity: 'warning',
+            suggestion: 'Remove "fields" or change type to "repeater"'
+        })
+    }
+
+    // Validate props for select/radio fields
+    if (['select', 'radio'].includes(field.type)) {
+        if (!field.dataSource && !Array.isArray(field.props?.options)) {
+            warnings.push({
+                path: `${path}.props.options`,
+                message: `${field.type} field should have options array or dataSource`,
+                severity: 'warning',
+                suggestion: 'Add "props": { "options": [{ "value": "...", "label": "..." }] }'
+            })
+        }
+    }
+}
+
+/**
+ * Checks the field type against the registry, and the field against the type's own configSchema
+ */
+function validateFieldType(field: any, path: string, errors: ConfigValidationError[]): void {
+    if (typeof field.type !== 'string' || field.type === '') return
+
+    if (!isKnownFieldType(field.type)) {
+        errors.push({
+            path: `${path}.type`,
+            message: `Unsupported field type "${field.type}"`,
+            severity: 'error',
+            suggestion: `Supported types: ${getFieldTypeNames().join(', ')} (register others with registerFieldType)`
+        })
+        return
+    }
+
+    // Registered types can require extra settings on the field definition
+    const configSchema = getFieldType(field.type)?.configSchema
+    if (configSchema) {
+        configSchema.safeParse(field).error?.issues.forEach(issue => {
+            errors.push({
+                path: path + issue.path.map(key => (typeof key === 'number' ? `[${key}]` : `.${key}`)).join(''),
+                message: issue.message,
+                severity: 'error',
+                suggestion: `Check the settings required by the "${field.type}" field type`
+            })
+        })
+    }
+}
+
+/**
+ * Validates that minDate/maxDate sit on date fields and parse, and file rules sit on file fields
  */
-export function validateConfig(config: any): ConfigValidationResult {
-    const errors: ConfigValidationError[] = []
-    const warnings: ConfigValidationError[] = []
+function validateDateAndFileRules(field: any, validation: any, path: string, errors: ConfigValidationError[]): void {
+    const isDateType = field.type === 'date' || field.type === 'time' || field.type === 'datetime'
 
-    // Check if config exists
-    if (!config) {
+    for (const key of ['minDate', 'maxDate'] as const) {
+        const bound = validation[key]
+        if (bound === undefined) continue
+
+        if (!isDateType) {
+            errors.push({
+                path: `${path}.validation.${key}`,
+                message: `${key} is only supported for date, time and datetime fields`,
+                severity: 'error',
+                suggestion: `Remove "${key}" or change the field type`
+            })
+        } else if (typeof bound === 'string' && !isValidDateBound(bound, field.type)) {
+            errors.push({
+                path: `${path}.validation.${key}`,
+                message: `Invalid ${key} "${bound}" for ${field.type} field`,
+                severity: 'error',
+                suggestion: field.type === 'time'
+                    ? 'Use "HH:mm" like "09:00"'
+                    : 'Use "today" or an ISO date like "2024-01-31"'
+            })
+        }
+    }
+
+    for (const key of ['accept', 'maxFileSize', 'maxFiles'] as const) {
+        if (validation[key] !== undefined && field.type !== 'file') {
+            errors.push({
+                path: `${path}.validation.${key}`,
+                message: `${key} is only supported for file fields`,
+                severity: 'error',
+                suggestion: `Remove "${key}" or change type to "file"`
+            })
+        }
+    }
+}
+
+/**
+ * A bound is "today" or a value in the field's format (datetime fields also take a plain date)
+ */
+function isValidDateBound(bound: string, type: 'date' | 'time' | 'datetime'): boolean {
+    return bound === 'today' ||
+        isValidDateValue(bound, type) ||
+        (type === 'datetime' && isValidDateValue(bound, 'date'))
+}
+
+/**
+ * Validates a searchable (typeahead) dataSource: field type and cursor pagination
+ */
+function validateDataSourceSearch(field: any, path: string, errors: ConfigValidationError[]): void {
+    const searchPath = `${path}.dataSource.search`
+
+    if (field.type !== 'select') {
         errors.push({
-            path: 'root',
-            message: 'Config object is required',
+            path: searchPath,
+            message: 'dataSource.search is only supported for select fields',
             severity: 'error',
-            suggestion: 'Provide a valid FormConfig object'
+            suggestion: 'Remove "search" or change type to "select"'
         })
-        return { valid: false, errors, warnings }
     }
 
-    // Validate required top-level properties
-    if (!config.id || typeof config.id !== 'string') {
+    const pagination = field.dataSource.search.pagination
+    if (isPlainObject(pagination) && pagination.type === 'cursor' && !pagination.cursorFrom) {
         errors.push({
-            path: 'id',
-            message: 'Config must have a unique id (string)',
+            path: `${searchPath}.pagination.cursorFrom`,
+            message: 'Cursor pagination must have a "cursorFrom" path to the next cursor',
             severity: 'error',
-            suggestion: 'Add "id": "unique-form-id"'
+            suggestion: 'Add "cursorFrom": "meta.nextCursor"'
         })
     }
+}
 
-    if (!config.metadata) {
+/**
+ * Validates a repeater field: row fields, nesting and min/max item counts
+ */
+function validateRepeaterField(
+    field: any,
+    path: string,
+    errors: ConfigValidationError[],
+    warnings: ConfigValidationError[]
+): void {
+    if (field.fields === undefined || (Array.isArray(field.fields) && field.fields.length === 0)) {
         errors.push({
-            path: 'metadata',
-            message: 'Config must have metadata object',
+            path: `${path}.fields`,
+            message: 'Repeater field must have a non-empty fields array',
             severity: 'error',
-            suggestion: 'Add "metadata": { "title": "...", "version": "1.0.0" }'
+            suggestion: 'Add "fields": [{ "name": "...", "type": "text", "label": "..." }]'
         })
-    } else {
-        if (!config.metadata.title) {
+    }
+
+    const rowFieldNames = new Set<string>()
+    forEachObject(field.fields, rowField => {
+        if (typeof rowField.name === 'string' && rowField.name) rowFieldNames.add(rowField.name)
+    })
+    const seenNames = new Set<string>()
+
+    forEachObject(field.fields, (rowField, rowFieldIndex) => {
+        const rowFieldPath = `${path}.fields[${rowFieldIndex}]`
+
+        if (rowField.type === 'repeater') {
             errors.push({
-                path: 'metadata.title',
-                message: 'Metadata must have a title',
+                path: `${rowFieldPath}.type`,
+                message: 'Nested repeater fields are not supported',
                 severity: 'error',
-                suggestion: 'Add "title" field to metadata'
+                suggestion: 'Flatten the nested repeater into the parent row'
             })
+            return
         }
-        if (!config.metadata.version) {
+
+        if (rowField.name && seenNames.has(rowField.name)) {
             errors.push({
-                path: 'metadata.version',
-                message: 'Metadata must have a version',
+                path: `${rowFieldPath}.name`,
+                message: `Duplicate row field name: "${rowField.name}"`,
                 severity: 'error',
-                suggestion: 'Add "version": "1.0.0" to metadata'
+                suggestion: 'Ensure all field names are unique within the repeater'
             })
         }
-    }
+        if (rowField.name) seenNames.add(rowField.name)
 
-    if (!config.steps || !Array.isArray(config.steps)) {
-        errors.push({
-            path: 'steps',
-            message: 'Config must have steps array',
-            severity: 'error',
-            suggestion: 'Add "steps": [{ "id": "step1", "title": "...", "fields": [...] }]'
-        })
-    } else if (config.steps.length === 0) {
+        validateField(rowField, rowFieldPath, errors, warnings, rowFieldNames)
+    })
+
+    const { minItems, maxItems } = field
+    if (Number.isInteger(minItems) && Number.isInteger(maxItems) && minItems > maxItems) {
         errors.push({
-            path: 'steps',
-            message: 'Config must have at least one step',
+            path: `${path}.minItems`,
+            message: `minItems (${minItems}) cannot be greater than maxItems (${maxItems})`,
             severity: 'error',
-            suggestion: 'Add at least one step with fields'
-        })
-    } else {
-        // Collect all field names for dependency validation
-        const allFieldNames = new Set<string>()
-        config.steps.forEach((step: any) => {
-            step.fields?.forEach((field: any) => {
-                if (field.name) allFieldNames.add(field.name)
-            })
+            suggestion: 'Lower minItems or raise maxItems'
         })
+    }
+}
+
+/**
+ * Validates dot notation path (e.g., "user.profile.name", "dependents[].name")
+ */
+function isValidDotNotation(path: string): boolean {
+    if (!path) return false
+
+    // Split by dots and check each segment is a valid identifier (optionally an array marker "[]")
+    const segments = path.split('.')
+    const identifierPattern = /^[a-zA-Z_][a-zA-Z0-9_]*(\[\])?$/
+
+    return segments.every(segment => identifierPattern.test(segment))
+}
+
+/**
+ * Validates globalValidation (cross-field) rules: unique ids, field count and references
+ */
+function validateGlobalValidation(
+    rules: any,
+    errors: ConfigValidationError[],
+    allFieldNames: Set<string>
+): void {
+    const ruleIds = new Set<string>()
 
-        // Validate each step
-        config.steps.forEach((step: any, stepIndex: number) => {
-            if (!step.id) {
+    forEachObject(rules, (rule, ruleIndex) => {
+        const path = `globalValidation[${ruleIndex}]`
+
+        if (typeof rule.id === 'string' && rule.id) {
+            if (ruleIds.has(rule.id)) {
                 errors.push({
-                    path: `steps[${stepIndex}].id`,
-                    message: 'Step must have an id',
+                    path: `${path}.id`,
+                    message: `Duplicate global validation rule id: "${rule.id}"`,
                     severity: 'error',
-                    suggestion: 'Add unique step id like "step-1"'
+                    suggestion: 'Ensure all rule ids are unique'
                 })
             }
+            ruleIds.add(rule.id)
+        }
+
+        if (!Array.isArray(rule.fields) || rule.fields.length === 0) return
+
+        // Comparison validators need something to compare against
+        const comparesValues = ORDERED_CROSS_FIELD_VALIDATORS.includes(rule.validator) ||
+            rule.validator === 'equals' || rule.validator === 'notEquals'
+        const minFields = comparesValues ? 2 : 1
+        if (rule.fields.length < minFields) {
+            errors.push({
+                path: `${path}.fields`,
+                message: `Validator "${rule.validator}" needs at least ${minFields} fields`,
+                severity: 'error',
+                suggestion: 'List every field the rule compares'
+            })
+        }
 
-            if (!step.title && config.steps.length > 1) {
+        rule.fields.forEach((fieldName: any, fieldIndex: number) => {
+            if (typeof fieldName === 'string' && !allFieldNames.has(fieldName)) {
                 errors.push({
-                    path: `steps[${stepIndex}].title`,
-                    message: 'Multi-step forms must have titles for each step',
+                    path: `${path}.fields[${fieldIndex}]`,
+                    message: `Field "${fieldName}" referenced by rule "${rule.id}" does not exist`,
                     severity: 'error',
-                    suggestion: 'Add descriptive title for this step'
+                    suggestion: 'Reference an existing field name'
                 })
             }
+        })
+
+        if (!Array.isArray(rule.errorFields)) return
 
-            if (!step.fields || !Array.isArray(step.fields)) {
+        rule.errorFields.forEach((fieldName: any, fieldIndex: number) => {
+            if (typeof fieldName === 'string' && !rule.fields.includes(fieldName)) {
                 errors.push({
-                    path: `steps[${stepIndex}].fields`,
-                    message: 'Step must have fields array',
+                    path: `${path}.errorFields[${fieldIndex}]`,
+                    message: `Error field "${fieldName}" is not one of the rule's fields`,
                     severity: 'error',
-                    suggestion: 'Add "fields": [...]'
-                })
-            } else if (step.fields.length === 0) {
-                warnings.push({
-                    path: `steps[${stepIndex}].fields`,
-                    message: 'Step has no fields',
-                    severity: 'warning',
-                    suggestion: 'Add at least one field to this step'
-                })
-            } else {
-                // Validate each field
-                step.fields.forEach((field: any, fieldIndex: number) => {
-                    validateField(field, `steps[${stepIndex}].fields[${fieldIndex}]`, errors, warnings, allFieldNames)
+                    suggestion: 'Only attach errors to fields listed in "fields"'
                 })
             }
         })
-
-        // Check for duplicate field names across all steps
-        const fieldNames = new Set<string>()
-        const duplicates = new Set<string>()
-
-        config.steps.forEach((step: any) => {
-            step.fields?.forEach((field: any) => {
-                if (field.name) {
-                    if (fieldNames.has(field.name)) {
-                        duplicates.add(field.name)
-                    }
-                    fieldNames.add(field.name)
-                }
-            })
-        })
-
-        duplicates.forEach(name => {
-            errors.push({
-                path: 'fields',
-                message: `Duplicate field name: "${name}"`,
-                severity: 'error',
-                suggestion: 'Ensure all field names are unique across the form'
-            })
-        })
-
-        // Check for circular dependencies
-        const circularDeps = detectCircularDependencies(config)
-        circularDeps.forEach(cycle => {
-            errors.push({
-                path: 'dependencies',
-                message: `Circular dependency detected: ${cycle.join(' → ')}`,
-                severity: 'error',
-                suggestion: 'Remove circular references between field dependencies'
-            })
-        })
-    }
-
-    return {
-        valid: errors.length === 0,
-        errors,
-        warnings,
-    }
+    })
 }
 
 /**
- * Validates a single field definition
+ * Validates a step's stepValidation rule: what it checks and the fields it reads
  */
-function validateField(
-    field: any,
+function validateStepValidation(
+    rule: any,
     path: string,
     errors: ConfigValidationError[],
-    warnings: ConfigValidationError[],
     allFieldNames: Set<string>
 ): void {
-    if (!field.name || typeof field.name !== 'string') {
+    if (!rule.validator && !rule.remote) {
         errors.push({
-            path: `${path}.name`,
-            message: 'Field must have a name (string)',
+            path,
+            message: 'stepValidation must define a validator or a remote check',
             severity: 'error',
-            suggestion: 'Add unique field name like "email"'
+            suggestion: 'Add "validator": "atLeastOne" with "fields", or "remote": { "endpoint": "..." }'
+        })
+    }
+
+    if (Array.isArray(rule.fields)) {
+        rule.fields.forEach((fieldName: any, fieldIndex: number) => {
+            if (typeof fieldName === 'string' && !allFieldNames.has(fieldName)) {
+                errors.push({
+                    path: `${path}.fields[${fieldIndex}]`,
+                    message: `Field "${fieldName}" referenced by stepValidation does not exist`,
+                    severity: 'error',
+                    suggestion: 'Reference an existing field name'
+                })
+            }
         })
     }
+}
+
+/**
+ * Validates a conditional rule and its nested and/or/not groups
+ * Paths point at the exact clause ("showIf.or[1].and[0].operator")
+ */
+function validateConditionalRule(
+    rule: any,
+    rulePath: string,
+    errors: ConfigValidationError[],
+    allFieldNames: Set<string>
+): void {
+    if (!isPlainObject(rule)) return
 
-    if (!field.type) {
+    if (rule.field !== undefined) {
+        validateConditionComparison(rule, rulePath, errors, allFieldNames)
+    } else if (rule.and === undefined && rule.or === undefined && rule.not === undefined) {
         errors.push({
-            path: `${path}.type`,
-            message: 'Field must have a type',
+            path: rulePath,
+            message: 'Condition must have a field or an and/or/not group',
             severity: 'error',
-            suggestion: `Choose from: ${FIELD_TYPES.join(', ')}`
+            suggestion: 'Add "field" and "operator", or group conditions with "and", "or" or "not"'
         })
-    } else if (!FIELD_TYPES.includes(field.type)) {
+    } else if (rule.operator !== undefined) {
         errors.push({
-            path: `${path}.type`,
-            message: `Unsupported field type "${field.type}"`,
+            path: `${rulePath}.field`,
+            message: `Operator "${rule.operator}" has no field to compare`,
             severity: 'error',
-            suggestion: `Supported types: ${FIELD_TYPES.join(', ')}`
-        })
-    }
-
-    if (!field.label) {
-        warnings.push({
-            path: `${path}.label`,
-            message: 'Field should have a label for accessibility',
-            severity: 'warning',
-            suggestion: 'Add descriptive label for this field'
+            suggestion: 'Add "field", or remove "operator" from this group'
         })
     }
 
-    // Validate submitField if present (dot notation check)
-    if (field.submitField && typeof field.submitField === 'string') {
-        if (!isValidDotNotation(field.submitField)) {
-            errors.push({
-                path: `${path}.submitField`,
-                message: `Invalid submitField path: "${field.submitField}"`,
-                severity: 'error',
-                suggestion: 'Use valid dot notation like "user.profile.name"'
+    // Recursively validate nested conditions
+    for (const key of ['and', 'or'] as const) {
+        if (Array.isArray(rule[key])) {
+            rule[key].forEach((subRule: any, index: number) => {
+                validateConditionalRule(subRule, `${rulePath}.${key}[${index}]`, errors, allFieldNames)
             })
         }
     }
 
-    // Validate showIf references
-    if (field.showIf) {
-        validateConditionalRule(field.showIf, path, errors, allFieldNames)
+    if (rule.not !== undefined) {
+        validateConditionalRule(rule.not, `${rulePath}.not`, errors, allFieldNames)
     }
+}
 
-    // Validate dependency references
-    if (field.dependency) {
-        if (!field.dependency.parent) {
-            errors.push({
-                path: `${path}.dependency.parent`,
-                message: 'Dependency must specify parent field',
-                severity: 'error',
-                suggestion: 'Add "parent": "fieldName"'
-            })
-        } else if (!allFieldNames.has(field.dependency.parent)) {
-            errors.push({
-                path: `${path}.dependency.parent`,
-                message: `Parent field "${field.dependency.parent}" does not exist`,
-                severity: 'error',
-                suggestion: 'Reference an existing field name'
-            })
-        }
+/**
+ * Validates a field comparison: field reference, operator and the value the operator expects
+ */
+function validateConditionComparison(
+    rule: any,
+    rulePath: string,
+    errors: ConfigValidationError[],
+    allFieldNames: Set<string>
+): void {
+    if (typeof rule.field === 'string' && !allFieldNames.has(rule.field)) {
+        errors.push({
+            path: `${rulePath}.field`,
+            message: `Conditional field "${rule.field}" does not exist`,
+            severity: 'error',
+            suggestion: 'Reference an existing field name'
+        })
     }
 
-    // Validate dataSource compatibility
-    if (field.dataSource) {
-        const validDataSourceTypes = ['select', 'multi-select', 'radio']
-        if (!validDataSourceTypes.includes(field.type)) {
-            errors.push({
-                path: `${path}.dataSource`,
-                message: `dataSource only supported for ${validDataSourceTypes.join(', ')} fields`,
-                severity: 'error',
-                suggestion: 'Remove dataSource or change field type'
-            })
-        }
+    if (rule.operator === undefined) {
+        errors.push({
+            path: `${rulePath}.operator`,
+            message: 'Condition must have an operator',
+            severity: 'error',
+            suggestion: `Supported operators: ${CONDITIONAL_OPERATORS.join(', ')}`
+        })
+        return
+    }
 
-        if (!field.dataSource.endpoint) {
-            errors.push({
-                path: `${path}.dataSource.endpoint`,
-                message: 'dataSource must have an endpoint',
-                severity: 'error',
-                suggestion: 'Add "endpoint": "https://api.example.com/data"'
-            })
-        }
+    // Unknown operators are reported by the schema check
+    if (!CONDITIONAL_OPERATORS.includes(rule.operator)) return
 
-        if (!field.dataSource.from) {
-            errors.push({
-                path: `${path}.dataSource.from`,
-                message: 'dataSource must have "from" path',
-                severity: 'error',
-                suggestion: 'Add "from": "data.items" to specify response path'
-            })
-        }
+    const value = rule.value
+    const valuePath = `${rulePath}.value`
 
-        if (!field.dataSource.to || !field.dataSource.to.label || !field.dataSource.to.value) {
+    // "form:field" compares against another field
+    if (typeof value === 'string' && value.startsWith('form:')) {
+        if (!allFieldNames.has(value.slice(5))) {
             errors.push({
-                path: `${path}.dataSource.to`,
-                message: 'dataSource must have "to" mapping with label and value',
+                path: valuePath,
+                message: `Referenced field "${value.slice(5)}" does not exist`,
                 severity: 'error',
-                suggestion: 'Add "to": { "label": "name", "value": "id" }'
+                suggestion: 'Reference an existing field name, e.g. "form:startDate"'
             })
         }
+        return
     }
 
-    // Validate props for select/radio fields
-    if (['select', 'radio'].includes(field.type)) {
-        if (!field.dataSource && (!field.props?.options || !Array.isArray(field.props.options))) {
-            warnings.push({
-                path: `${path}.props.options`,
-                message: `${field.type} field should have options array or dataSource`,
-                severity: 'warning',
-                suggestion: 'Add "props": { "options": [{ "value": "...", "label": "..." }] }'
-            })
+    switch (rule.operator) {
+        case 'in':
+        case 'notIn':
+            if (!Array.isArray(value)) {
+                errors.push({
+                    path: valuePath,
+                    message: `"${rule.operator}" needs an array of values`,
+                    severity: 'error',
+                    suggestion: 'Use "value": ["a", "b"]'
+                })
+            }
+            break
+
+        case 'between': {
+            const validBounds = Array.isArray(value) && value.length === 2 && (
+                value.every(bound => typeof bound === 'number') ||
+                value.every(bound => isDateConditionValue(bound))
+            )
+            if (!validBounds) {
+                errors.push({
+                    path: valuePath,
+                    message: '"between" needs [min, max]: two numbers or two dates',
+                    severity: 'error',
+                    suggestion: 'Use "value": [18, 65] or "value": ["2024-01-01", "today"]'
+                })
+            }
+            break
         }
+
+        case 'matches':
+            if (typeof value !== 'string' || !isValidRegex(value)) {
+                errors.push({
+                    path: valuePath,
+                    message: `Invalid regular expression: ${JSON.stringify(value)}`,
+                    severity: 'error',
+                    suggestion: 'Use a pattern string like "^[A-Z]{2}\\d+$"'
+                })
+            }
+            break
+
+        case 'dateAfter':
+        case 'dateAfterOrEqual':
+        case 'dateBefore':
+        case 'dateBeforeOrEqual':
+            if (!isDateConditionValue(value)) {
+                errors.push({
+                    path: valuePath,
+                    message: `"${rule.operator}" needs a date, time or "today"`,
+                    severity: 'error',
+                    suggestion: 'Use "value": "2024-01-01", "today" or "form:otherDateField"'
+                })
+            }
+            break
     }
 }
 
 /**
- * Validates dot notation path (e.g., "user.profile.name")
+ * Checks a date operator value: "today" or a date, time or date-time
  */
-function isValidDotNotation(path: string): boolean {
-    if (!path || typeof path !== 'string') return false
-
-    // Split by dots and check each segment is a valid identifier
-    const segments = path.split('.')
-    const identifierPattern = /^[a-zA-Z_][a-zA-Z0-9_]*$/
+function isDateConditionValue(value: any): boolean {
+    return typeof value === 'string' && (
+        value === 'today' || (['date', 'time', 'datetime'] as const).some(type => isValidDateValue(value, type))
+    )
+}
 
-    return segments.every(segment => identifierPattern.test(segment))
+function isValidRegex(pattern: string): boolean {
+    try {
+        new RegExp(pattern)
+        return true
+    } catch {
+        return false
+    }
 }
 
 /**
- * Validates conditional rule references
+ * Warns about showIf rules that read fields the user reaches later:
+ * a field reading a later step, or a step reading its own or a later step
+ * (those fields are still empty when the rule is first evaluated)
  */
-function validateConditionalRule(
-    rule: ConditionalRule,
-    fieldPath: string,
-    errors: ConfigValidationError[],
-    allFieldNames: Set<string>
-): void {
-    if (rule.field && !allFieldNames.has(rule.field)) {
-        errors.push({
-            path: `${fieldPath}.showIf.field`,
-            message: `Conditional field "${rule.field}" does not exist`,
-            severity: 'error',
-            suggestion: 'Reference an existing field name'
+function validateConditionOrder(config: any, warnings: ConfigValidationError[]): void {
+    const fieldSteps = new Map<string, number>()
+    forEachObject(config.steps, (step, stepIndex) => {
+        forEachObject(step.fields, field => {
+            if (typeof field.name === 'string' && field.name) fieldSteps.set(field.name, stepIndex)
         })
-    }
+    })
 
-    // Recursively validate nested conditions
-    if (rule.and) {
-        rule.and.forEach(subRule => {
-            validateConditionalRule(subRule, fieldPath, errors, allFieldNames)
+    const check = (rule: any, path: string, latestStep: number, subject: string) => {
+        if (!rule || typeof rule !== 'object') return
+        const references: string[] = []
+        extractConditionalDependencies(rule, references)
+
+        references.forEach(name => {
+            const stepIndex = fieldSteps.get(name)
+            if (stepIndex === undefined || stepIndex <= latestStep) return
+            warnings.push({
+                path,
+                message: `${subject} reads "${name}" from a later step (${resolveText(config.steps[stepIndex]?.title) || `step ${stepIndex + 1}`}), which is still empty when it is evaluated`,
+                severity: 'warning',
+                suggestion: 'Reference fields on this or earlier steps'
+            })
         })
     }
 
-    if (rule.or) {
-        rule.or.forEach(subRule => {
-            validateConditionalRule(subRule, fieldPath, errors, allFieldNames)
+    forEachObject(config.steps, (step, stepIndex) => {
+        // A step's showIf can only use answers from earlier steps
+        check(step.showIf, `steps[${stepIndex}].showIf`, stepIndex - 1, `Step "${step.title || step.id}" showIf`)
+
+        forEachObject(step.fields, (field, fieldIndex) => {
+            check(field.showIf, `steps[${stepIndex}].fields[${fieldIndex}].showIf`, stepIndex, `Field "${field.name}" showIf`)
         })
-    }
+    })
 }
 
 /**
@@ -368,14 +1270,14 @@ function detectCircularDependencies(config: any): string[][] {
     // Build dependency graph
     const dependencyGraph = new Map<string, string[]>()
 
-    config.steps?.forEach((step: any) => {
-        step.fields?.forEach((field: any) => {
-            if (!field.name) return
+    forEachObject(config.steps, step => {
+        forEachObject(step.fields, field => {
+            if (typeof field.name !== 'string' || !field.name) return
 
             const dependencies: string[] = []
 
             // Add parent dependency
-            if (field.dependency?.parent) {
+            if (typeof field.dependency?.parent === 'string') {
                 dependencies.push(field.dependency.parent)
             }
 
@@ -384,6 +1286,11 @@ function detectCircularDependencies(config: any): string[][] {
                 extractConditionalDependencies(field.showIf, dependencies)
             }
 
+            // Add fields read by a compute expression
+            if (typeof field.compute === 'string') {
+                extractComputeDependencies(field.compute, dependencies)
+            }
+
             if (dependencies.length > 0) {
                 dependencyGraph.set(field.name, dependencies)
             }
@@ -432,16 +1339,33 @@ function detectCircularDependencies(config: any): string[][] {
     return cycles
 }
 
+/**
+ * Extracts the fields a compute expression reads (invalid expressions are reported separately)
+ */
+function extractComputeDependencies(expression: string, dependencies: string[]): void {
+    try {
+        dependencies.push(...getExpressionReferences(expression))
+    } catch {
+        // Syntax errors are reported by validateCompute
+    }
+}
+
 /**
  * Extracts field dependencies from conditional rules
  */
 function extractConditionalDependencies(rule: ConditionalRule, dependencies: string[]): void {
-    if (rule.field && !dependencies.includes(rule.field)) {
-        dependencies.push(rule.field)
-    }
+    if (!rule || typeof rule !== 'object') return
+
+    const references = [rule.field, typeof rule.value === 'string' && rule.value.startsWith('form:') ? rule.value.slice(5) : undefined]
+    references.forEach(name => {
+        if (typeof name === 'string' && name && !dependencies.includes(name)) {
+            dependencies.push(name)
+        }
+    })
 
-    rule.and?.forEach(subRule => extractConditionalDependencies(subRule, dependencies))
-    rule.or?.forEach(subRule => extractConditionalDependencies(subRule, dependencies))
+    if (Array.isArray(rule.and)) rule.and.forEach(subRule => extractConditionalDependencies(subRule, dependencies))
+    if (Array.isArray(rule.or)) rule.or.forEach(subRule => extractConditionalDependencies(subRule, dependencies))
+    if (rule.not) extractConditionalDependencies(rule.not, dependencies)
 }
 
 /**
@@ -0,0 +1,450 @@
+// Config Schema - Machine-readable schema of the whole FormConfig type tree
+// Based on specs/001-form-config-generator/data-model.md
+
+import { z, type ZodTypeAny } from 'zod'
+import type {
+    FieldDefinition,
+    FieldType,
+    FormConfig,
+    FormMetadata,
+    GlobalValidationRule,
+    StepConfig,
+    StepValidationRule,
+} from '@/types/formConfig'
+import type {
+    ConditionalRule,
+    DataSourceConfig,
+    DataSourcePaginationConfig,
+    DataSourceSearchConfig,
+    DependencyConfig,
+} from '@/types/conditional'
+import type { AsyncValidationConfig, RemoteValidationConfig, ValidationRule } from '@/types/validation'
+import type {
+    FileUploadConfig,
+    PayloadTransform,
+    ServerErrorMapping,
+    StateTransition,
+    StateTransitions,
+    SubmitConfig,
+} from '@/types/submission'
+import type { PersistenceConfig } from '@/types/persistence'
+import type { MessageCatalog } from '@/types/i18n'
+import type { JsonSchema } from '@/types/jsonSchema'
+import {
+    CONDITIONAL_OPERATORS,
+    CROSS_FIELD_VALIDATORS,
+    HTTP_METHODS,
+    STATE_ACTIONS,
+} from '@/config/constants'
+
+/**
+ * One schema per property of T - a missing or extra key fails to compile,
+ * which keeps the schemas in step with src/types
+ */
+type SchemaShape<T> = { [K in keyof Required<T>]: ZodTypeAny }
+
+const localizedTextSchema = z.union([z.string(), z.record(z.string())])
+
+const stringMapSchema = z.record(z.string())
+
+const nonNegativeNumber = z.number().min(0)
+
+// RegExp patterns are allowed in TypeScript configs; JSON configs use the string form
+const regExpSchema = z.instanceof(RegExp)
+
+export const conditionalRuleSchema: z.ZodType<ConditionalRule> = z.lazy(() =>
+    z.object({
+        field: z.string().optional(),
+        operator: z.enum(CONDITIONAL_OPERATORS).optional(),
+        value: z.any().optional(),
+        and: z.array(conditionalRuleSchema).min(1).optional(),
+        or: z.array(conditionalRuleSchema).min(1).optional(),
+        not: conditionalRuleSchema.optional(),
+    } satisfies SchemaShape<ConditionalRule>).strict()
+)
+
+const remoteValidationShape = {
+    endpoint: z.string().min(1),
+    method: z.enum(['GET', 'POST']).optional(),
+    params: z.record(z.any()).optional(),
+    body: z.record(z.any()).optional(),
+    headers: stringMapSchema.optional(),
+    validPath: z.string().optional(),
+    messagePath: z.string().optional(),
+} satisfies SchemaShape<RemoteValidationConfig>
+
+const remoteValidationSchema = z.object(remoteValidationShape).strict()
+
+const asyncValidationSchema = z.object({
+    ...remoteValidationShape,
+    message: localizedTextSchema.optional(),
+    debounce: nonNegativeNumber.optional(),
+} satisfies SchemaShape<AsyncValidationConfig>).strict()
+
+const validationRuleSchema = z.object({
+    required: z.boolean().optional(),
+    requiredMessage: localizedTextSchema.optional(),
+    minLength: nonNegativeNumber.optional(),
+    minLengthMessage: localizedTextSchema.optional(),
+    maxLength: nonNegativeNumber.optional(),
+    maxLengthMessage: localizedTextSchema.optional(),
+    min: z.number().optional(),
+    minMessage: localizedTextSchema.optional(),
+    max: z.number().optional(),
+    maxMessage: localizedTextSchema.optional(),
+    pattern: z.union([z.string(), regExpSchema]).optional(),
+    patternMessage: localizedTextSchema.optional(),
+    email: z.boolean().optional(),
+    emailMessage: localizedTextSchema.optional(),
+    url: z.boolean().optional(),
+    urlMessage: localizedTextSchema.optional(),
+    minDate: z.string().optional(),
+    minDateMessage: localizedTextSchema.optional(),
+    maxDate: z.string().optional(),
+    maxDateMessage: localizedTextSchema.optional(),
+    accept: z.array(z.string().min(1)).optional(),
+    acceptMessage: localizedTextSchema.optional(),
+    maxFileSize: z.number().positive().optional(),
+    maxFileSizeMessage: localizedTextSchema.optional(),
+    maxFiles: z.number().positive().optional(),
+    maxFilesMessage: localizedTextSchema.optional(),
+    custom: z.object({
+        validator: z.string().min(1),
+        message: localizedTextSchema,
+        async: z.boolean().optional(),
+    } satisfies SchemaShape<NonNullable<ValidationRule['custom']>>).strict().optional(),
+    remote: asyncValidationSchema.optional(),
+    validateIf: conditionalRuleSchema.optional(),
+} satisfies SchemaShape<ValidationRule>).strict()
+
+const dependencySchema = z.object({
+    parent: z.string().min(1),
+    resetOnChange: z.boolean().optional(),
+    disableUntilParent: z.boolean().optional(),
+    reloadOnParentChange: z.boolean().optional(),
+} satisfies SchemaShape<DependencyConfig>).strict()
+
+const paginationSchema = z.object({
+    type: z.enum(['cursor', 'page']),
+    param: z.string().min(1),
+    cursorFrom: z.string().optional(),
+    firstPage: z.number().int().optional(),
+    pageSizeParam: z.string().optional(),
+    pageSize: z.number().int().positive().optional(),
+} satisfies SchemaShape<DataSourcePaginationConfig>).strict()
+
+const dataSourceSchema = z.object({
+    endpoint: z.string().min(1),
+    method: z.enum(['GET', 'POST']).optional(),
+    params: z.record(z.any()).optional(),
+    body: z.record(z.any()).optional(),
+    from: z.string().min(1),
+    to: z.object({
+        label: z.string().min(1),
+        value: z.string().min(1),
+    } satisfies SchemaShape<DataSourceConfig['to']>).strict(),
+    headers: stringMapSchema.optional(),
+    cache: z.object({
+        enabled: z.boolean(),
+        ttl: nonNegativeNumber.optional(),
+    } satisfies SchemaShape<NonNullable<DataSourceConfig['cache']>>).strict().optional(),
+    search: z.object({
+        param: z.string().min(1),
+        minChars: nonNegativeNumber.optional(),
+        debounce: nonNegativeNumber.optional(),
+        pagination: paginationSchema.optional(),
+    } satisfies SchemaShape<DataSourceSearchConfig>).strict().optional(),
+} satisfies SchemaShape<DataSourceConfig>).strict()
+
+// Registered field types are checked against the registry by validateConfig
+const fieldTypeSchema = z.string().min(1)
+    .refine((type): type is FieldType => typeof type === 'string')
+    .describe('A built-in field type or a name registered with registerFieldType')
+
+export const fieldDefinitionSchema: z.ZodType<FieldDefinition, z.ZodTypeDef, unknown> = z.lazy(() =>
+    z.object({
+        name: z.string().min(1),
+        type: fieldTypeSchema,
+        label: localizedTextSchema,
+        placeholder: localizedTextSchema.optional(),
+        helpText: localizedTextSchema.optional(),
+        defaultValue: z.any().optional(),
+        compute: z.string().min(1).optional(),
+        validation: validationRuleSchema.optional(),
+        showIf: conditionalRuleSchema.optional(),
+        dataSource: dataSourceSchema.optional(),
+        dependency: dependencySchema.optional(),
+        props: z.record(z.any()).optional(),
+        submitField: z.string().optional(),
+        disabled: z.union([z.boolean(), conditionalRuleSchema]).optional(),
+        className: z.string().optional(),
+        fields: z.array(fieldDefinitionSchema).optional(),
+        minItems: z.number().int().min(0).optional(),
+        maxItems: z.number().int().positive().optional(),
+    } satisfies SchemaShape<FieldDefinition>).strict()
+)
+
+const stepSchema = z.object({
+    id: z.string().min(1),
+    title: localizedTextSchema,
+    description: localizedTextSchema.optional(),
+    fields: z.array(fieldDefinitionSchema),
+    showIf: conditionalRuleSchema.optional(),
+    stepValidation: z.object({
+        validator: z.enum(CROSS_FIELD_VALIDATORS).optional(),
+        fields: z.array(z.string()).optional(),
+        remote: remoteValidationSchema.optional(),
+        errorMessage: localizedTextSchema,
+    } satisfies SchemaShape<StepValidationRule>).strict().optional(),
+} satisfies SchemaShape<StepConfig>).strict()
+
+const stateTransitionSchema = z.object({
+    action: z.enum(STATE_ACTIONS),
+    target: z.string().optional(),
+    message: z.string().optional(),
+    variant: z.enum(['success', 'error', 'warning', 'info']).optional(),
+    method: z.enum(HTTP_METHODS).optional(),
+    body: z.record(z.any()).optional(),
+    errorsPath: z.string().optional(),
+    delay: nonNegativeNumber.optional(),
+} satisfies SchemaShape<StateTransition>).strict()
+
+const transitionChainSchema = z.union([stateTransitionSchema, z.array(stateTransitionSchema)])
+
+const submitConfigSchema = z.object({
+    endpoint: z.string().min(1),
+    method: z.enum(['POST', 'PUT', 'PATCH']),
+    headers: stringMapSchema.optional(),
+    stateTransitions: z.object({
+        onSuccess: transitionChainSchema.optional(),
+        onError: transitionChainSchema.optional(),
+        onStatus: z.record(transitionChainSchema).optional(),
+    } satisfies SchemaShape<StateTransitions>).strict().optional(),
+    transformPayload: z.object({
+        include: z.array(z.string()).optional(),
+        exclude: z.array(z.string()).optional(),
+        rename: stringMapSchema.optional(),
+        expression: z.string().min(1).optional(),
+    } satisfies SchemaShape<PayloadTransform>).strict().optional(),
+    errorMapping: z.object({
+        path: z.string().min(1).optional(),
+        keyFormat: z.enum(['dotPath', 'jsonPointer']).optional(),
+        keyProperty: z.string().min(1).optional(),
+        messageProperty: z.string().min(1).optional(),
+        statuses: z.array(z.number().int().min(400).max(599)).optional(),
+    } satisfies SchemaShape<ServerErrorMapping>).strict().optional(),
+    fileUpload: z.object({
+        mode: z.enum(['multipart', 'preUpload']),
+        endpoint: z.string().optional(),
+        fileField: z.string().min(1).optional(),
+        idPath: z.string().min(1).optional(),
+        headers: stringMapSchema.optional(),
+    } satisfies SchemaShape<FileUploadConfig>).strict().optional(),
+} satisfies SchemaShape<SubmitConfig>).strict()
+
+export const messageCatalogSchema: z.ZodType<MessageCatalog> = z.lazy(() =>
+    z.record(z.union([z.string(), messageCatalogSchema]))
+)
+
+export const formConfigSchema: z.ZodType<FormConfig, z.ZodTypeDef, unknown> = z.object({
+    id: z.string().min(1),
+    metadata: z.object({
+        title: localizedTextSchema,
+        description: localizedTextSchema.optional(),
+        version: z.string().min(1),
+        tags: z.array(z.string()).optional(),
+    } satisfies SchemaShape<FormMetadata>).strict(),
+    steps: z.array(stepSchema).min(1),
+    submitConfig: submitConfigSchema.optional(),
+    globalValidation: z.array(z.object({
+        id: z.string().min(1),
+        fields: z.array(z.string()).min(1),
+        validator: z.enum(CROSS_FIELD_VALIDATORS),
+        errorMessage: localizedTextSchema,
+        errorFields: z.array(z.string()).optional(),
+    } satisfies SchemaShape<GlobalValidationRule>).strict()).optional(),
+    persistence: z.object({
+        storage: z.string().min(1),
+        key: z.string().optional(),
+        debounce: nonNegativeNumber.optional(),
+        maxAge: nonNegativeNumber.optional(),
+        version: z.string().min(1).optional(),
+        exclude: z.array(z.string()).optional(),
+        endpoint: z.string().optional(),
+        headers: stringMapSchema.optional(),
+    } satisfies SchemaShape<PersistenceConfig>).strict().optional(),
+    messages: z.record(messageCatalogSchema).optional(),
+} satisfies SchemaShape<FormConfig>).strict()
+
+// Recursive schemas appear once under $defs and are referenced from everywhere else
+const JSON_SCHEMA_DEFINITIONS = new Map<ZodTypeAny, string>([
+    [conditionalRuleSchema, 'ConditionalRule'],
+    [fieldDefinitionSchema, 'FieldDefinition'],
+    [messageCatalogSchema, 'MessageCatalog'],
+])
+
+/**
+ * Gets FormConfig as a JSON Schema (draft 2020-12), for editors and non-TypeScript tooling
+ * It is generated from formConfigSchema, so it matches what validateConfig checks structurally.
+ * Checks that need the runtime (registered field types and draft storages, field
+ * references, expressions) are not expressible in it.
+ */
+export function getFormConfigJsonSchema(): JsonSchema {
+    const definitions: Record<string, JsonSchema> = {}
+
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: 'FormConfig',
+        ...zodToJsonSchema(formConfigSchema, definitions),
+        $defs: definitions,
+    }
+}
+
+/**
+ * Converts the Zod constructs used above into JSON Schema
+ */
+function zodToJsonSchema(schema: ZodTypeAny, definitions: Record<string, JsonSchema>): JsonSchema {
+    const definitionName = JSON_SCHEMA_DEFINITIONS.get(schema)
+    if (definitionName) {
+        if (!definitions[definitionName]) {
+            // Placeholder first: the definition refers to itself
+            definitions[definitionName] = {}
+            definitions[definitionName] = zodToJsonSchema(schema._def.getter(), definitions)
+        }
+        return { $ref: `#/$defs/${definitionName}` }
+    }
+
+    const result = convertZodType(schema, definitions)
+    if (schema.description) {
+        result.description = schema.description
+    }
+    return result
+}
+
+function convertZodType(schema: ZodTypeAny, definitions: Record<string, JsonSchema>): JsonSchema {
+    const def = schema._def
+    const convert = (inner: ZodTypeAny) => zodToJsonSchema(inner, definitions)
+
+    switch (def.typeName) {
+        case z.ZodFirstPartyTypeKind.ZodObject: {
+            const shape: Record<string, ZodTypeAny> = def.shape()
+            const properties: Record<string, JsonSchema> = {}
+            const required: string[] = []
+
+            Object.entries(shape).forEach(([key, value]) => {
+                properties[key] = convert(value)
+                if (!value.isOptional()) required.push(key)
+            })
+
+            const result: JsonSchema = { type: 'object', properties }
+            if (required.length > 0) result.required = required
+            if (def.unknownKeys === 'strict') result.additionalProperties = false
+            return result
+        }
+        case z.ZodFirstPartyTypeKind.ZodString: {
+            const result: JsonSchema = { type: 'string' }
+            def.checks.forEach((check: any) => {
+                if (check.kind === 'min') result.minLength = check.value
+                if (check.kind === 'max') result.maxLength = check.value
+            })
+            return result
+        }
+        case z.ZodFirstPartyTypeKind.ZodNumber: {
+            const result: JsonSchema = { type: 'number' }
+            def.checks.forEach((check: any) => {
+                if (check.kind === 'int') result.type = 'integer'
+                if (check.kind === 'min') {
+                    if (check.inclusive) result.minimum = check.value
+                    else result.exclusiveMinimum = check.value
+                }
+                if (check.kind === 'max') result.maximum = check.value
+            })
+            return result
+        }
+        case z.ZodFirstPartyTypeKind.ZodBoolean:
+            return { type: 'boolean' }
+        case z.ZodFirstPartyTypeKind.ZodEnum:
+            return { type: 'string', enum: [...def.values] }
+        case z.ZodFirstPartyTypeKind.ZodArray: {
+            const result: JsonSchema = { type: 'array', items: convert(def.type) }
+            if (def.minLength) result.minItems = def.minLength.value
+            return result
+        }
+        case z.ZodFirstPartyTypeKind.ZodRecord:
+            return { type: 'object', additionalProperties: convert(def.valueType) }
+        case z.ZodFirstPartyTypeKind.ZodUnion: {
+            const options = (def.options as ZodTypeAny[]).filter(option => option !== regExpSchema)
+            return options.length === 1 ? convert(options[0]!) : { anyOf: options.map(convert) }
+        }
+        case z.ZodFirstPartyTypeKind.ZodOptional:
+            return convert(def.innerType)
+        case z.ZodFirstPartyTypeKind.ZodEffects:
+            return convert(def.schema)
+        case z.ZodFirstPartyTypeKind.ZodLazy:
+            return convert(def.getter())
+        default:
+            // z.any(): no constraint
+            return {}
+    }
+}
+
+/**
+ * Gets the property names an object in the config may have, following a Zod issue path
+ * Used to suggest the intended key for an unknown one
+ */
+export function getKnownKeysAtPath(path: (string | number)[]): string[] {
+    let schema: ZodTypeAny | undefined = formConfigSchema
+
+    for (const key of path) {
+        schema = schema && getChildSchema(schema, key)
+    }
+
+    const object = schema && findSchema(schema, candidate => candidate._def.typeName === z.ZodFirstPartyTypeKind.ZodObject)
+    return object ? Object.keys(object._def.shape()) : []
+}
+
+/**
+ * Gets the schema of a child value: an object property, array item or record value
+ */
+function getChildSchema(schema: ZodTypeAny, key: string | number): ZodTypeAny | undefined {
+    const container = findSchema(schema, candidate => {
+        const typeName = candidate._def.typeName
+        return typeof key === 'number'
+            ? typeName === z.ZodFirstPartyTypeKind.ZodArray
+            : typeName === z.ZodFirstPartyTypeKind.ZodObject || typeName === z.ZodFirstPartyTypeKind.ZodRecord
+    })
+
+    switch (container?._def.typeName) {
+        case z.ZodFirstPartyTypeKind.ZodArray:
+            return container._def.type
+        case z.ZodFirstPartyTypeKind.ZodRecord:
+            return container._def.valueType
+        case z.ZodFirstPartyTypeKind.ZodObject:
+            return container._def.shape()[key]
+        default:
+            return undefined
+    }
+}
+
+/**
+ * Unwraps optional, lazy and refined schemas (and union members) until one matches
+ */
+function findSchema(schema: ZodTypeAny, matches: (schema: ZodTypeAny) => boolean): ZodTypeAny | undefined {
+    if (matches(schema)) return schema
+
+    const def = schema._def
+    switch (def.typeName) {
+        case z.ZodFirstPartyTypeKind.ZodOptional:
+            return findSchema(def.innerType, matches)
+        case z.ZodFirstPartyTypeKind.ZodEffects:
+            return findSchema(def.schema, matches)
+        case z.ZodFirstPartyTypeKind.ZodLazy:
+            return findSchema(def.getter(), matches)
+        case z.ZodFirstPartyTypeKind.ZodUnion:
+            return (def.options as ZodTypeAny[])
+                .map(option => findSchema(option, matches))
+                .find(Boolean)
+        default:
+            return undefined
+    }
+}
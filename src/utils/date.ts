@@ -0,0 +1,61 @@
+// Date Utilities - Parsing and bounds for date, time and datetime fields
+// Values use the native input formats: "2024-05-01", "14:30", "2024-05-01T14:30"
+
+export type DateFieldType = 'date' | 'time' | 'datetime'
+
+const FORMATS: Record<DateFieldType, RegExp> = {
+    date: /^\d{4}-\d{2}-\d{2}$/,
+    time: /^\d{2}:\d{2}(:\d{2})?$/,
+    datetime: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/,
+}
+
+/**
+ * Checks a value against the native input format for the field type
+ */
+export function isValidDateValue(value: string, type: DateFieldType): boolean {
+    if (!FORMATS[type].test(value)) return false
+    if (type === 'time') {
+        const [hours, minutes] = value.split(':').map(Number)
+        return hours! < 24 && minutes! < 60
+    }
+    return !Number.isNaN(Date.parse(type === 'date' ? `${value}T00:00` : value))
+}
+
+/**
+ * Gets the native input format of a field type as a regex
+ */
+export function getDateValuePattern(type: DateFieldType): RegExp {
+    return FORMATS[type]
+}
+
+/**
+ * Resolves a configured bound ("today" or an ISO value) to the field's input format
+ */
+export function resolveDateBound(bound: string, type: DateFieldType): string {
+    if (bound !== 'today') return bound
+
+    const now = new Date()
+    const pad = (part: number) => String(part).padStart(2, '0')
+    const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`
+
+    switch (type) {
+        case 'time':
+            return '00:00'
+        case 'datetime':
+            return `${date}T00:00`
+        default:
+            return date
+    }
+}
+
+/**
+ * Compares two values of the same field type (negative when a is earlier)
+ * Formats are zero-padded, so a lexical comparison orders them chronologically;
+ * a date-only bound on a datetime field compares against the date part
+ */
+export function compareDateValues(a: string, b: string): number {
+    const length = Math.min(a.length, b.length)
+    const left = a.slice(0, length)
+    const right = b.slice(0, length)
+    return left < right ? -1 : left > right ? 1 : 0
+}
@@ -1,16 +1,23 @@
+/**
+ * Debounced function with a way to drop a pending call
+ */
+export type DebouncedFunction<T extends (...args: any[]) => any> = ((...args: Parameters<T>) => void) & {
+    cancel: () => void
+}
+
 /**
  * Debounce utility - delays function execution until after specified wait time
  * @param func Function to debounce
  * @param wait Milliseconds to wait before executing
- * @returns Debounced function
+ * @returns Debounced function (call `.cancel()` to drop a pending execution)
  */
 export function debounce<T extends (...args: any[]) => any>(
     func: T,
     wait: number
-): (...args: Parameters<T>) => void {
+): DebouncedFunction<T> {
     let timeout: ReturnType<typeof setTimeout> | null = null
 
-    return function executedFunction(...args: Parameters<T>) {
+    const executedFunction = function (...args: Parameters<T>) {
         const later = () => {
             timeout = null
             func(...args)
@@ -22,6 +29,15 @@ export function debounce<T extends (...args: any[]) => any>(
 
         timeout = setTimeout(later, wait)
     }
+
+    executedFunction.cancel = () => {
+        if (timeout) {
+            clearTimeout(timeout)
+            timeout = null
+        }
+    }
+
+    return executedFunction
 }
 
 /**
@@ -1,7 +1,12 @@
-// Error Formatter - Formats Zod validation errors for display
+// Error Formatter - Formats Zod and server validation errors for display
 // Based on specs/001-form-config-generator/data-model.md
 
-import type { ZodIssue } from 'zod'
+import { defaultErrorMap, type ZodIssue } from 'zod'
+import type { FieldDefinition } from '@/types/formConfig'
+import type { ServerErrorMapping } from '@/types/submission'
+import type { I18nContext } from '@/types/i18n'
+import { getValidationMessage } from '@/services/i18n.service'
+import { getNestedValue } from '@/utils/payloadBuilder'
 
 export interface FormattedError {
     field: string
@@ -10,61 +15,66 @@ export interface FormattedError {
 }
 
 /**
- * Formats a Zod error into a user-friendly message
+ * Formats a Zod error into a user-friendly message (in the `i18n` context's locale)
  */
-export function formatZodError(issue: ZodIssue): FormattedError {
+export function formatZodError(issue: ZodIssue, i18n?: I18nContext): FormattedError {
     const path = issue.path.map(p => String(p))
     const field = path.join('.')
 
     let message = issue.message
 
-    // Customize messages based on error type
+    // Messages the schema was built with (configured *Message text) are already localized
+    if (!isDefaultMessage(issue)) {
+        return { field, message, path }
+    }
+
+    // Replace Zod's English defaults based on error type
     switch (issue.code) {
         case 'invalid_type':
             if (issue.received === 'undefined' || issue.received === 'null') {
-                message = 'This field is required'
+                message = getValidationMessage('required', undefined, undefined, i18n)
             } else {
-                message = `Expected ${issue.expected}, but received ${issue.received}`
+                message = getValidationMessage('invalidType', { expected: issue.expected, received: issue.received }, undefined, i18n)
             }
             break
 
-        case 'too_small':
+        case 'too_small': {
+            const min = Number(issue.minimum)
             if (issue.type === 'string') {
-                if (issue.minimum === 1) {
-                    message = 'This field is required'
-                } else {
-                    message = `Must be at least ${issue.minimum} characters`
-                }
+                message = min === 1 ? getValidationMessage('required', undefined, undefined, i18n) : getValidationMessage('minLength', { min }, undefined, i18n)
             } else if (issue.type === 'number') {
-                message = `Must be at least ${issue.minimum}`
+                message = getValidationMessage('min', { min }, undefined, i18n)
             } else if (issue.type === 'array') {
-                message = `Must have at least ${issue.minimum} items`
+                message = getValidationMessage('minItems', { min }, undefined, i18n)
             }
             break
+        }
 
-        case 'too_big':
+        case 'too_big': {
+            const max = Number(issue.maximum)
             if (issue.type === 'string') {
-                message = `Must be at most ${issue.maximum} characters`
+                message = getValidationMessage('maxLength', { max }, undefined, i18n)
             } else if (issue.type === 'number') {
-                message = `Must be at most ${issue.maximum}`
+                message = getValidationMessage('max', { max }, undefined, i18n)
             } else if (issue.type === 'array') {
-                message = `Must have at most ${issue.maximum} items`
+                message = getValidationMessage('maxItems', { max }, undefined, i18n)
             }
             break
+        }
 
         case 'invalid_string':
             if (issue.validation === 'email') {
-                message = 'Please enter a valid email address'
+                message = getValidationMessage('email', undefined, undefined, i18n)
             } else if (issue.validation === 'url') {
-                message = 'Please enter a valid URL'
+                message = getValidationMessage('url', undefined, undefined, i18n)
             } else if (issue.validation === 'regex') {
-                message = 'Invalid format'
+                message = getValidationMessage('pattern', undefined, undefined, i18n)
             }
             break
 
         case 'custom':
             // Use custom message if provided
-            message = issue.message || 'Validation failed'
+            message = issue.message || getValidationMessage('custom', undefined, undefined, i18n)
             break
     }
 
@@ -75,14 +85,21 @@ export function formatZodError(issue: ZodIssue): FormattedError {
     }
 }
 
+/**
+ * Checks if an issue carries Zod's built-in message rather than one given to the schema
+ */
+function isDefaultMessage(issue: ZodIssue): boolean {
+    return issue.message === defaultErrorMap(issue, { defaultError: issue.message, data: undefined }).message
+}
+
 /**
  * Formats an array of Zod issues into a field-keyed error map
  */
-export function formatZodErrors(issues: ZodIssue[]): Record<string, string[]> {
+export function formatZodErrors(issues: ZodIssue[], i18n?: I18nContext): Record<string, string[]> {
     const errorMap: Record<string, string[]> = {}
 
     issues.forEach(issue => {
-        const formatted = formatZodError(issue)
+        const formatted = formatZodError(issue, i18n)
         const fieldName = formatted.field || 'root'
 
         if (!errorMap[fieldName]) {
@@ -122,3 +139,150 @@ export function getErrorCount(errors: Record<string, string[]>): number {
 export function getAllErrors(errors: Record<string, string[]>): string[] {
     return Object.values(errors).flat()
 }
+
+export interface ServerErrorResult {
+    /** Errors keyed like formState.errors (field name, or "repeater.0.rowField") */
+    fieldErrors: Record<string, string[]>
+    /** Messages whose key matched no field */
+    unmapped: string[]
+}
+
+/**
+ * Maps server-side validation errors onto form fields
+ * Error keys address the submitted payload, so submitField mappings (including
+ * repeater row paths) are reversed to find the field each message belongs to
+ */
+export function mapServerErrors(
+    responseData: any,
+    mapping: ServerErrorMapping,
+    fields: FieldDefinition[]
+): ServerErrorResult {
+    const result: ServerErrorResult = { fieldErrors: {}, unmapped: [] }
+    const errors = getNestedValue(responseData ?? {}, mapping.path || 'errors')
+    const targets = buildErrorTargets(fields)
+
+    collectServerErrors(errors, mapping).forEach(({ key, messages }) => {
+        const fieldKey = key === undefined ? undefined : resolveErrorTarget(parseErrorKey(key, mapping), targets)
+
+        if (fieldKey === undefined) {
+            result.unmapped.push(...messages)
+        } else {
+            result.fieldErrors[fieldKey] = [...(result.fieldErrors[fieldKey] || []), ...messages]
+        }
+    })
+
+    return result
+}
+
+interface ErrorTarget {
+    /** Payload path segments; "*" marks a repeater row index */
+    segments: string[]
+    /** Builds the formState.errors key from the captured row index */
+    toKey: (rowIndex?: string) => string
+}
+
+/**
+ * Normalizes { key: message | messages } objects and [{ field, message }] arrays
+ */
+function collectServerErrors(
+    errors: any,
+    mapping: ServerErrorMapping
+): { key?: string; messages: string[] }[] {
+    const toMessages = (value: any): string[] =>
+        (Array.isArray(value) ? value : [value]).filter(
+            (message): message is string => typeof message === 'string' && message !== ''
+        )
+
+    if (Array.isArray(errors)) {
+        const keyProperty = mapping.keyProperty || 'field'
+        const messageProperty = mapping.messageProperty || 'message'
+
+        return errors
+            .filter(entry => entry && typeof entry === 'object')
+            .map(entry => ({
+                key: typeof entry[keyProperty] === 'string' ? entry[keyProperty] : undefined,
+                messages: toMessages(entry[messageProperty]),
+            }))
+            .filter(entry => entry.messages.length > 0)
+    }
+
+    if (errors && typeof errors === 'object') {
+        return Object.entries(errors)
+            .map(([key, value]) => ({ key, messages: toMessages(value) }))
+            .filter(entry => entry.messages.length > 0)
+    }
+
+    return []
+}
+
+/**
+ * Splits an error key into payload path segments
+ * Example: "items[0].qty" → ["items", "0", "qty"]; "/items/0/qty" → ["items", "0", "qty"]
+ */
+function parseErrorKey(key: string, mapping: ServerErrorMapping): string[] {
+    if (mapping.keyFormat === 'jsonPointer') {
+        return key
+            .replace(/^#/, '')
+            .split('/')
+            .slice(1)
+            .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    }
+
+    return key.replace(/\[(\d+)\]/g, '.$1').split('.').filter(segment => segment !== '')
+}
+
+/**
+ * Builds the payload path of every field (the reverse of buildPayload's submitField mapping)
+ */
+function buildErrorTargets(fields: FieldDefinition[]): ErrorTarget[] {
+    const targets: ErrorTarget[] = []
+    const toSegments = (path: string) => path.replace(/\[\]/g, '.*').split('.')
+
+    fields.forEach(field => {
+        const basePath = field.submitField || field.name
+        targets.push({ segments: toSegments(basePath), toKey: () => field.name })
+
+        if (field.type === 'repeater') {
+            field.fields?.forEach(rowField => {
+                const rowPath = rowField.submitField?.includes('[]')
+                    ? rowField.submitField
+                    : `${basePath}[].${rowField.submitField || rowField.name}`
+
+                targets.push({
+                    segments: toSegments(rowPath),
+                    toKey: rowIndex => `${field.name}.${rowIndex}.${rowField.name}`,
+                })
+            })
+        }
+    })
+
+    return targets
+}
+
+/**
+ * Finds the field an error key belongs to
+ * An exact path match wins; otherwise the longest field path the key is nested under
+ */
+function resolveErrorTarget(keySegments: string[], targets: ErrorTarget[]): string | undefined {
+    let best: { key: string; length: number } | undefined
+
+    targets.forEach(target => {
+        if (target.segments.length > keySegments.length) return
+
+        let rowIndex: string | undefined
+        const matches = target.segments.every((segment, index) => {
+            const keySegment = keySegments[index]!
+            if (segment === '*') {
+                rowIndex = keySegment
+                return /^\d+$/.test(keySegment)
+            }
+            return segment === keySegment
+        })
+
+        if (matches && (!best || target.segments.length > best.length)) {
+            best = { key: target.toKey(rowIndex), length: target.segments.length }
+        }
+    })
+
+    return best?.key
+}
@@ -0,0 +1,723 @@
+// Expression Evaluator - Sandboxed expression language for config-driven logic
+// Replaces `new Function` for custom validators, computed values and payload transforms:
+// expressions are parsed to an AST and evaluated against whitelisted operators and functions only
+// Based on specs/001-form-config-generator/data-model.md
+
+export type BinaryOperator = '+' | '-' | '*' | '/' | '%' | '==' | '!=' | '<' | '<=' | '>' | '>='
+export type LogicalOperator = '&&' | '||' | '??'
+
+export type ExpressionNode =
+    | { type: 'literal'; value: string | number | boolean | null | undefined }
+    | { type: 'formRef'; path: string }
+    | { type: 'identifier'; name: string }
+    | { type: 'member'; object: ExpressionNode; property: ExpressionNode }
+    | { type: 'unary'; operator: '!' | '-' | '+'; argument: ExpressionNode }
+    | { type: 'binary'; operator: BinaryOperator; left: ExpressionNode; right: ExpressionNode }
+    | { type: 'logical'; operator: LogicalOperator; left: ExpressionNode; right: ExpressionNode }
+    | { type: 'conditional'; test: ExpressionNode; consequent: ExpressionNode; alternate: ExpressionNode }
+    | { type: 'call'; callee: string; args: ExpressionNode[] }
+    | { type: 'array'; elements: ExpressionNode[] }
+    | { type: 'object'; properties: { key: string; value: ExpressionNode }[] }
+
+export interface ExpressionContext {
+    /** Form values referenced with `form:fieldName` */
+    values?: Record<string, any>
+    /** Named variables available to the expression (e.g., `value`, `payload`) */
+    variables?: Record<string, any>
+}
+
+/**
+ * Error raised for invalid or unsafe expressions
+ */
+export class ExpressionError extends Error {
+    position?: number
+
+    constructor(message: string, position?: number) {
+        super(position !== undefined ? `${message} at position ${position}` : message)
+        this.name = 'ExpressionError'
+        this.position = position
+    }
+}
+
+const MAX_EXPRESSION_LENGTH = 2000
+const MAX_DEPTH = 64
+
+// Property names that could reach prototypes or constructors
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor'])
+
+/**
+ * Whitelisted functions callable from expressions
+ */
+const FUNCTIONS: Record<string, (...args: any[]) => any> = {
+    // Strings
+    len: (value: any) => (typeof value === 'string' || Array.isArray(value) ? value.length : 0),
+    lower: (value: any) => String(value ?? '').toLowerCase(),
+    upper: (value: any) => String(value ?? '').toUpperCase(),
+    trim: (value: any) => String(value ?? '').trim(),
+    concat: (...values: any[]) => values.map(value => (value === undefined || value === null ? '' : String(value))).join(''),
+    contains: (haystack: any, needle: any) =>
+        typeof haystack === 'string' || Array.isArray(haystack) ? haystack.includes(needle) : false,
+    startsWith: (value: any, prefix: any) => String(value ?? '').startsWith(String(prefix)),
+    endsWith: (value: any, suffix: any) => String(value ?? '').endsWith(String(suffix)),
+    matches: (value: any, pattern: any) => {
+        try {
+            return new RegExp(String(pattern)).test(String(value ?? ''))
+        } catch {
+            throw new ExpressionError(`Invalid pattern "${pattern}" passed to matches()`)
+        }
+    },
+
+    // Numbers
+    number: (value: any) => Number(value),
+    string: (value: any) => (value === undefined || value === null ? '' : String(value)),
+    round: (value: any, digits: any = 0) => {
+        const factor = 10 ** Number(digits)
+        return Math.round(Number(value) * factor) / factor
+    },
+    floor: (value: any) => Math.floor(Number(value)),
+    ceil: (value: any) => Math.ceil(Number(value)),
+    abs: (value: any) => Math.abs(Number(value)),
+    min: (...values: any[]) => Math.min(...flattenArgs(values).map(Number)),
+    max: (...values: any[]) => Math.max(...flattenArgs(values).map(Number)),
+    sum: (...values: any[]) => flattenArgs(values).reduce((total: number, value) => total + (Number(value) || 0), 0),
+
+    // Values
+    isEmpty: (value: any) =>
+        value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0),
+    coalesce: (...values: any[]) => values.find(value => value !== undefined && value !== null && value !== ''),
+
+    // Dates (ISO strings in, ISO strings / numbers out)
+    now: () => new Date().toISOString(),
+    today: () => new Date().toISOString().slice(0, 10),
+    year: (value: any) => toDate(value)?.getFullYear(),
+    daysBetween: (from: any, to: any) => {
+        const start = toDate(from)
+        const end = toDate(to)
+        if (!start || !end) return undefined
+        return Math.round((end.getTime() - start.getTime()) / 86_400_000)
+    },
+    age: (birthDate: any) => {
+        const birth = toDate(birthDate)
+        if (!birth) return undefined
+        const today = new Date()
+        let years = today.getFullYear() - birth.getFullYear()
+        const beforeBirthday =
+            today.getMonth() < birth.getMonth() ||
+            (today.getMonth() === birth.getMonth() && today.getDate() < birth.getDate())
+        if (beforeBirthday) years -= 1
+        return years
+    },
+
+    // Objects (for payload transforms)
+    pick: (object: any, ...keys: any[]) => {
+        const result: Record<string, any> = {}
+        flattenArgs(keys).forEach(key => {
+            const value = readProperty(object, key)
+            if (value !== undefined) result[String(key)] = value
+        })
+        return result
+    },
+    omit: (object: any, ...keys: any[]) => {
+        if (!isPlainObject(object)) return {}
+        const excluded = new Set(flattenArgs(keys).map(String))
+        return Object.fromEntries(Object.entries(object).filter(([key]) => !excluded.has(key)))
+    },
+    merge: (...objects: any[]) => Object.assign({}, ...objects.filter(isPlainObject)),
+}
+
+export const EXPRESSION_FUNCTIONS = Object.keys(FUNCTIONS)
+
+// Parsed expressions are cached by source text
+const astCache = new Map<string, ExpressionNode>()
+
+/**
+ * Parses an expression string into an AST (cached)
+ * @throws ExpressionError on syntax errors or unknown functions
+ */
+export function parseExpression(source: string): ExpressionNode {
+    const cached = astCache.get(source)
+    if (cached) return cached
+
+    if (typeof source !== 'string' || source.trim() === '') {
+        throw new ExpressionError('Expression must be a non-empty string')
+    }
+
+    if (source.length > MAX_EXPRESSION_LENGTH) {
+        throw new ExpressionError(`Expression exceeds ${MAX_EXPRESSION_LENGTH} characters`)
+    }
+
+    const ast = new Parser(tokenize(source)).parse()
+    astCache.set(source, ast)
+    return ast
+}
+
+/**
+ * Evaluates an expression (source or parsed AST) against a context
+ * @throws ExpressionError on invalid expressions or unsafe access
+ */
+export function evaluateExpression(expression: string | ExpressionNode, context: ExpressionContext = {}): any {
+    const ast = typeof expression === 'string' ? parseExpression(expression) : expression
+    return evaluateNode(ast, context)
+}
+
+/**
+ * Checks an expression for syntax errors and unknown variables
+ * Returns an error message, or null when the expression is valid
+ */
+export function validateExpression(source: string, allowedVariables: string[] = []): string | null {
+    try {
+        const ast = parseExpression(source)
+        const unknown = collectIdentifiers(ast).filter(name => !allowedVariables.includes(name))
+        if (unknown.length > 0) {
+            return `Unknown variable "${unknown[0]}"` +
+                (allowedVariables.length > 0 ? ` (available: ${allowedVariables.join(', ')})` : '')
+        }
+        return null
+    } catch (error) {
+        return error instanceof Error ? error.message : 'Invalid expression'
+    }
+}
+
+/**
+ * Lists the field names an expression reads through `form:` references
+ * (the first segment of `form:address.city` is `address`)
+ * @throws ExpressionError on syntax errors or unknown functions
+ */
+export function getExpressionReferences(expression: string | ExpressionNode): string[] {
+    const ast = typeof expression === 'string' ? parseExpression(expression) : expression
+    const names: string[] = []
+    visitNodes(ast, node => {
+        if (node.type !== 'formRef') return
+        const name = node.path.split('.')[0]!
+        if (!names.includes(name)) names.push(name)
+    })
+    return names
+}
+
+/**
+ * Calls a visitor for a node and each of its descendants
+ */
+function visitNodes(node: ExpressionNode, visit: (node: ExpressionNode) => void): void {
+    visit(node)
+    switch (node.type) {
+        case 'member':
+            visitNodes(node.object, visit)
+            visitNodes(node.property, visit)
+            break
+        case 'unary':
+            visitNodes(node.argument, visit)
+            break
+        case 'binary':
+        case 'logical':
+            visitNodes(node.left, visit)
+            visitNodes(node.right, visit)
+            break
+        case 'conditional':
+            visitNodes(node.test, visit)
+            visitNodes(node.consequent, visit)
+            visitNodes(node.alternate, visit)
+            break
+        case 'call':
+            node.args.forEach(arg => visitNodes(arg, visit))
+            break
+        case 'array':
+            node.elements.forEach(element => visitNodes(element, visit))
+            break
+        case 'object':
+            node.properties.forEach(property => visitNodes(property.value, visit))
+            break
+    }
+}
+
+/**
+ * Collects the variable names an expression reads
+ */
+function collectIdentifiers(node: ExpressionNode): string[] {
+    const names: string[] = []
+    visitNodes(node, child => {
+        if (child.type === 'identifier' && !names.includes(child.name)) names.push(child.name)
+    })
+    return names
+}
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+type TokenType = 'number' | 'string' | 'identifier' | 'formRef' | 'punctuator' | 'eof'
+
+interface Token {
+    type: TokenType
+    value: string
+    position: number
+}
+
+const PUNCTUATORS = [
+    '===', '!==', '==', '!=', '<=', '>=', '&&', '||', '??',
+    '(', ')', '[', ']', '{', '}', ',', '.', '?', ':', '!', '+', '-', '*', '/', '%', '<', '>',
+]
+
+function tokenize(source: string): Token[] {
+    const tokens: Token[] = []
+    let index = 0
+
+    while (index < source.length) {
+        const char = source[index]!
+
+        if (/\s/.test(char)) {
+            index++
+            continue
+        }
+
+        // form:fieldName references (dot paths allowed: form:address.city)
+        const formRef = source.slice(index).match(/^form:([A-Za-z_$][\w$]*(?:\.[\w$]+)*)/)
+        if (formRef) {
+            tokens.push({ type: 'formRef', value: formRef[1]!, position: index })
+            index += formRef[0].length
+            continue
+        }
+
+        if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[index + 1] ?? ''))) {
+            const number = source.slice(index).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/)!
+            tokens.push({ type: 'number', value: number[0], position: index })
+            index += number[0].length
+            continue
+        }
+
+        if (char === '"' || char === "'") {
+            const start = index
+            let value = ''
+            index++
+            while (index < source.length && source[index] !== char) {
+                if (source[index] === '\\') {
+                    const next = source[index + 1]
+                    value += next === 'n' ? '\n' : next === 't' ? '\t' : next ?? ''
+                    index += 2
+                } else {
+                    value += source[index]
+                    index++
+                }
+            }
+            if (index >= source.length) {
+                throw new ExpressionError('Unterminated string', start)
+            }
+            index++
+            tokens.push({ type: 'string', value, position: start })
+            continue
+        }
+
+        if (/[A-Za-z_$]/.test(char)) {
+            const identifier = source.slice(index).match(/^[A-Za-z_$][\w$]*/)!
+            tokens.push({ type: 'identifier', value: identifier[0], position: index })
+            index += identifier[0].length
+            continue
+        }
+
+        const punctuator = PUNCTUATORS.find(p => source.startsWith(p, index))
+        if (punctuator) {
+            tokens.push({ type: 'punctuator', value: punctuator, position: index })
+            index += punctuator.length
+            continue
+        }
+
+        throw new ExpressionError(`Unexpected character "${char}"`, index)
+    }
+
+    tokens.push({ type: 'eof', value: '', position: source.length })
+    return tokens
+}
+
+// ---------------------------------------------------------------------------
+// Parser (recursive descent, lowest to highest precedence)
+// ---------------------------------------------------------------------------
+
+class Parser {
+    private readonly tokens: Token[]
+    private index = 0
+    private depth = 0
+
+    constructor(tokens: Token[]) {
+        this.tokens = tokens
+    }
+
+    parse(): ExpressionNode {
+        const node = this.parseConditional()
+        const token = this.peek()
+        if (token.type !== 'eof') {
+            throw new ExpressionError(`Unexpected token "${token.value}"`, token.position)
+        }
+        return node
+    }
+
+    private peek(): Token {
+        return this.tokens[this.index]!
+    }
+
+    private next(): Token {
+        return this.tokens[this.index++]!
+    }
+
+    private match(...values: string[]): Token | null {
+        const token = this.peek()
+        if (token.type === 'punctuator' && values.includes(token.value)) {
+            this.index++
+            return token
+        }
+        return null
+    }
+
+    private expect(value: string): Token {
+        const token = this.next()
+        if (token.type !== 'punctuator' || token.value !== value) {
+            const found = token.type === 'eof' ? 'end of expression' : `"${token.value}"`
+            throw new ExpressionError(`Expected "${value}" but found ${found}`, token.position)
+        }
+        return token
+    }
+
+    private enter(position: number) {
+        if (++this.depth > MAX_DEPTH) {
+            throw new ExpressionError('Expression is nested too deeply', position)
+        }
+    }
+
+    private parseConditional(): ExpressionNode {
+        this.enter(this.peek().position)
+        const test = this.parseLogical()
+
+        let node = test
+        if (this.match('?')) {
+            const consequent = this.parseConditional()
+            this.expect(':')
+            const alternate = this.parseConditional()
+            node = { type: 'conditional', test, consequent, alternate }
+        }
+
+        this.depth--
+        return node
+    }
+
+    private parseLogical(): ExpressionNode {
+        let left = this.parseAnd()
+        let token: Token | null
+        while ((token = this.match('||', '??'))) {
+            left = { type: 'logical', operator: token.value as LogicalOperator, left, right: this.parseAnd() }
+        }
+        return left
+    }
+
+    private parseAnd(): ExpressionNode {
+        let left = this.parseEquality()
+        while (this.match('&&')) {
+            left = { type: 'logical', operator: '&&', left, right: this.parseEquality() }
+        }
+        return left
+    }
+
+    private parseEquality(): ExpressionNode {
+        let left = this.parseRelational()
+        let token: Token | null
+        while ((token = this.match('==', '!=', '===', '!=='))) {
+            const operator = token.value.startsWith('!') ? '!=' : '=='
+            left = { type: 'binary', operator, left, right: this.parseRelational() }
+        }
+        return left
+    }
+
+    private parseRelational(): ExpressionNode {
+        let left = this.parseAdditive()
+        let token: Token | null
+        while ((token = this.match('<', '<=', '>', '>='))) {
+            left = { type: 'binary', operator: token.value as BinaryOperator, left, right: this.parseAdditive() }
+        }
+        return left
+    }
+
+    private parseAdditive(): ExpressionNode {
+        let left = this.parseMultiplicative()
+        let token: Token | null
+        while ((token = this.match('+', '-'))) {
+            left = { type: 'binary', operator: token.value as BinaryOperator, left, right: this.parseMultiplicative() }
+        }
+        return left
+    }
+
+    private parseMultiplicative(): ExpressionNode {
+        let left = this.parseUnary()
+        let token: Token | null
+        while ((token = this.match('*', '/', '%'))) {
+            left = { type: 'binary', operator: token.value as BinaryOperator, left, right: this.parseUnary() }
+        }
+        return left
+    }
+
+    private parseUnary(): ExpressionNode {
+        const token = this.match('!', '-', '+')
+        if (token) {
+            this.enter(token.position)
+            const argument = this.parseUnary()
+            this.depth--
+            return { type: 'unary', operator: token.value as '!' | '-' | '+', argument }
+        }
+        return this.parsePostfix()
+    }
+
+    private parsePostfix(): ExpressionNode {
+        let node = this.parsePrimary()
+
+        while (true) {
+            if (this.match('.')) {
+                const token = this.next()
+                if (token.type !== 'identifier') {
+                    throw new ExpressionError('Expected property name after "."', token.position)
+                }
+                node = { type: 'member', object: node, property: { type: 'literal', value: token.value } }
+            } else if (this.match('[')) {
+                const property = this.parseConditional()
+                this.expect(']')
+                node = { type: 'member', object: node, property }
+            } else {
+                return node
+            }
+        }
+    }
+
+    private parsePrimary(): ExpressionNode {
+        const token = this.next()
+
+        switch (token.type) {
+            case 'number':
+                return { type: 'literal', value: Number(token.value) }
+
+            case 'string':
+                return { type: 'literal', value: token.value }
+
+            case 'formRef':
+                return { type: 'formRef', path: token.value }
+
+            case 'identifier':
+                return this.parseIdentifier(token)
+
+            case 'punctuator':
+                if (token.value === '(') {
+                    const node = this.parseConditional()
+                    this.expect(')')
+                    return node
+                }
+                if (token.value === '[') {
+                    return { type: 'array', elements: this.parseList(']') }
+                }
+                if (token.value === '{') {
+                    return this.parseObject()
+                }
+                break
+        }
+
+        const found = token.type === 'eof' ? 'end of expression' : `token "${token.value}"`
+        throw new ExpressionError(`Unexpected ${found}`, token.position)
+    }
+
+    private parseIdentifier(token: Token): ExpressionNode {
+        switch (token.value) {
+            case 'true':
+                return { type: 'literal', value: true }
+            case 'false':
+                return { type: 'literal', value: false }
+            case 'null':
+                return { type: 'literal', value: null }
+            case 'undefined':
+                return { type: 'literal', value: undefined }
+        }
+
+        if (this.match('(')) {
+            if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+                throw new ExpressionError(`Unknown function "${token.value}"`, token.position)
+            }
+            return { type: 'call', callee: token.value, args: this.parseList(')') }
+        }
+
+        if (BLOCKED_PROPERTIES.has(token.value)) {
+            throw new ExpressionError(`Access to "${token.value}" is not allowed`, token.position)
+        }
+
+        return { type: 'identifier', name: token.value }
+    }
+
+    private parseList(closing: string): ExpressionNode[] {
+        const items: ExpressionNode[] = []
+        if (this.match(closing)) return items
+
+        do {
+            items.push(this.parseConditional())
+        } while (this.match(','))
+
+        this.expect(closing)
+        return items
+    }
+
+    private parseObject(): ExpressionNode {
+        const properties: { key: string; value: ExpressionNode }[] = []
+        if (this.match('}')) return { type: 'object', properties }
+
+        do {
+            const token = this.next()
+            if (token.type !== 'identifier' && token.type !== 'string') {
+                throw new ExpressionError('Expected property name', token.position)
+            }
+            if (BLOCKED_PROPERTIES.has(token.value)) {
+                throw new ExpressionError(`Property name "${token.value}" is not allowed`, token.position)
+            }
+            this.expect(':')
+            properties.push({ key: token.value, value: this.parseConditional() })
+        } while (this.match(','))
+
+        this.expect('}')
+        return { type: 'object', properties }
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Evaluator
+// ---------------------------------------------------------------------------
+
+function evaluateNode(node: ExpressionNode, context: ExpressionContext): any {
+    switch (node.type) {
+        case 'literal':
+            return node.value
+
+        case 'formRef':
+            return node.path.split('.').reduce((value, key) => readProperty(value, key), context.values as any)
+
+        case 'identifier': {
+            const variables = context.variables || {}
+            if (!Object.prototype.hasOwnProperty.call(variables, node.name)) {
+                throw new ExpressionError(`Unknown variable "${node.name}"`)
+            }
+            return variables[node.name]
+        }
+
+        case 'member':
+            return readProperty(evaluateNode(node.object, context), evaluateNode(node.property, context))
+
+        case 'unary': {
+            const argument = evaluateNode(node.argument, context)
+            if (node.operator === '!') return !argument
+            if (node.operator === '-') return -Number(argument)
+            return Number(argument)
+        }
+
+        case 'binary':
+            return evaluateBinary(node.operator, evaluateNode(node.left, context), evaluateNode(node.right, context))
+
+        case 'logical': {
+            const left = evaluateNode(node.left, context)
+            if (node.operator === '&&') return left ? evaluateNode(node.right, context) : left
+            if (node.operator === '||') return left ? left : evaluateNode(node.right, context)
+            return left ?? evaluateNode(node.right, context)
+        }
+
+        case 'conditional':
+            return evaluateNode(node.test, context)
+                ? evaluateNode(node.consequent, context)
+                : evaluateNode(node.alternate, context)
+
+        case 'call':
+            return FUNCTIONS[node.callee]!(...node.args.map(arg => evaluateNode(arg, context)))
+
+        case 'array':
+            return node.elements.map(element => evaluateNode(element, context))
+
+        case 'object': {
+            const result: Record<string, any> = {}
+            node.properties.forEach(property => {
+                result[property.key] = evaluateNode(property.value, context)
+            })
+            return result
+        }
+    }
+}
+
+function evaluateBinary(operator: BinaryOperator, left: any, right: any): any {
+    switch (operator) {
+        case '+':
+            // String concatenation when either side is a string, numeric addition otherwise
+            return typeof left === 'string' || typeof right === 'string'
+                ? `${left ?? ''}${right ?? ''}`
+                : Number(left) + Number(right)
+        case '-':
+            return Number(left) - Number(right)
+        case '*':
+            return Number(left) * Number(right)
+        case '/':
+            return Number(left) / Number(right)
+        case '%':
+            return Number(left) % Number(right)
+        case '==':
+            return left === right
+        case '!=':
+            return left !== right
+        default:
+            return compare(operator, left, right)
+    }
+}
+
+/**
+ * Relational comparison - strings compare lexically (so ISO dates work), everything else numerically
+ */
+function compare(operator: BinaryOperator, left: any, right: any): boolean {
+    const bothStrings = typeof left === 'string' && typeof right === 'string'
+    const a = bothStrings ? left : Number(left)
+    const b = bothStrings ? right : Number(right)
+
+    switch (operator) {
+        case '<':
+            return a < b
+        case '<=':
+            return a <= b
+        case '>':
+            return a > b
+        default:
+            return a >= b
+    }
+}
+
+/**
+ * Reads an own property (or array/string index and length) - never the prototype chain
+ */
+function readProperty(object: any, key: any): any {
+    if (object === undefined || object === null) return undefined
+
+    if (typeof key !== 'string' && typeof key !== 'number') {
+        throw new ExpressionError('Property key must be a string or number')
+    }
+
+    const name = String(key)
+    if (BLOCKED_PROPERTIES.has(name)) {
+        throw new ExpressionError(`Access to "${name}" is not allowed`)
+    }
+
+    if (typeof object === 'string' || Array.isArray(object)) {
+        if (name === 'length') return object.length
+        return /^\d+$/.test(name) ? object[Number(name)] : undefined
+    }
+
+    if (typeof object === 'object' && Object.prototype.hasOwnProperty.call(object, name)) {
+        return object[name]
+    }
+
+    return undefined
+}
+
+function isPlainObject(value: any): value is Record<string, any> {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function flattenArgs(values: any[]): any[] {
+    return values.length === 1 && Array.isArray(values[0]) ? values[0] : values
+}
+
+function toDate(value: any): Date | undefined {
+    if (value === undefined || value === null || value === '') return undefined
+    const date = new Date(value)
+    return Number.isNaN(date.getTime()) ? undefined : date
+}
@@ -0,0 +1,53 @@
+// File Utilities - Type and size checks for file fields
+
+import type { FieldDefinition } from '@/types/formConfig'
+
+/**
+ * Checks a file against accepted types: MIME types ("application/pdf"),
+ * wildcards ("image/*") or extensions (".pdf")
+ */
+export function matchesAccept(file: { name: string; type: string }, accept: string[]): boolean {
+    if (accept.length === 0) return true
+
+    const name = file.name.toLowerCase()
+    const type = file.type.toLowerCase()
+
+    return accept.some(rule => {
+        const pattern = rule.trim().toLowerCase()
+        if (pattern.startsWith('.')) return name.endsWith(pattern)
+        if (pattern.endsWith('/*')) return type.startsWith(pattern.slice(0, -1))
+        return type === pattern
+    })
+}
+
+/**
+ * Formats a byte count for display: 1536 → "1.5 KB"
+ */
+export function formatFileSize(bytes: number): string {
+    if (bytes < 1024) return `${bytes} B`
+
+    const units = ['KB', 'MB', 'GB']
+    let size = bytes / 1024
+    let unit = 0
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024
+        unit++
+    }
+
+    return `${Number(size.toFixed(1))} ${units[unit]}`
+}
+
+/**
+ * Checks if a value is a browser File/Blob
+ */
+export function isFileLike(value: unknown): value is Blob {
+    return typeof Blob !== 'undefined' && value instanceof Blob
+}
+
+/**
+ * Whether a file field holds several files (props.multiple, or maxFiles above 1)
+ * Single-file fields submit one value instead of a list
+ */
+export function isMultipleFileField(field: FieldDefinition): boolean {
+    return field.props?.multiple ?? (field.validation?.maxFiles ?? 1) > 1
+}
@@ -0,0 +1,634 @@
+// JSON Schema Conversion - FormConfig from a JSON Schema, and the JSON Schema of a config's payload
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { FieldDefinition, FieldType, FormConfig } from '@/types/formConfig'
+import type { JsonSchema, JsonSchemaType } from '@/types/jsonSchema'
+import type { LocalizedText } from '@/types/i18n'
+import type { SubmitConfig } from '@/types/submission'
+import type { ValidationRule } from '@/types/validation'
+import { CURRENT_CONFIG_VERSION } from '@/config/constants'
+import { getEmptyValue, getFieldType } from '@/services/fieldType.service'
+import { resolveText } from '@/services/i18n.service'
+import { getDateValuePattern } from '@/utils/date'
+import { isMultipleFileField } from '@/utils/file'
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema'
+
+// Guards against $ref cycles ("#/$defs/node" referring to itself)
+const MAX_REF_DEPTH = 32
+
+const IDENTIFIER_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/
+
+const STRING_FORMAT_TYPES: Record<string, FieldType> = {
+    email: 'email',
+    uri: 'url',
+    url: 'url',
+    date: 'date',
+    time: 'time',
+    'date-time': 'datetime',
+    password: 'password',
+}
+
+export interface JsonSchemaImportOptions {
+    /** Form id (defaults to a slug of the schema title) */
+    id?: string;
+
+    /** Form title (defaults to the schema title) */
+    title?: LocalizedText;
+
+    /** Submission configuration for the generated form */
+    submitConfig?: SubmitConfig;
+}
+
+export interface JsonSchemaImportResult {
+    config: FormConfig;
+
+    /** Properties that were skipped or changed on the way in */
+    warnings: string[];
+}
+
+interface ImportContext {
+    root: JsonSchema;
+    warnings: string[];
+    usedNames: Set<string>;
+}
+
+/**
+ * Converts a JSON Schema object into a single-step FormConfig
+ * Nested objects are flattened into fields whose submitField is the property's dot path
+ * ("address.city" → field "addressCity"), so buildPayload emits the schema's shape again.
+ * Arrays of objects become repeaters; properties that no field type can hold are skipped
+ * and reported in `warnings`.
+ */
+export function jsonSchemaToFormConfig(schema: JsonSchema, options: JsonSchemaImportOptions = {}): JsonSchemaImportResult {
+    const context: ImportContext = { root: schema, warnings: [], usedNames: new Set() }
+    const rootSchema = resolveSchema(schema, context)
+
+    if (!rootSchema.properties) {
+        throw new Error('JSON Schema root must be an object with properties')
+    }
+
+    const title = options.title ?? rootSchema.title ?? 'Imported Form'
+    const config: FormConfig = {
+        id: options.id || toSlug(rootSchema.title || '') || 'imported-form',
+        metadata: {
+            title,
+            version: CURRENT_CONFIG_VERSION,
+        },
+        steps: [
+            {
+                id: 'main',
+                title,
+                fields: importProperties(rootSchema, [], [], true, context),
+            },
+        ],
+    }
+
+    if (rootSchema.description) {
+        config.metadata.description = rootSchema.description
+    }
+    if (options.submitConfig) {
+        config.submitConfig = options.submitConfig
+    }
+
+    return { config, warnings: context.warnings }
+}
+
+/**
+ * Converts the properties of an object schema into fields
+ * `path` is the payload path of the object, `nameParts` the words its field names start with
+ */
+function importProperties(
+    schema: JsonSchema,
+    path: string[],
+    nameParts: string[],
+    required: boolean,
+    context: ImportContext
+): FieldDefinition[] {
+    const fields: FieldDefinition[] = []
+
+    Object.entries(schema.properties || {}).forEach(([key, property]) => {
+        const propertySchema = resolveSchema(property, context)
+        const propertyPath = [...path, key]
+        const propertyRequired = required && (schema.required || []).includes(key)
+
+        if (propertySchema.readOnly) {
+            context.warnings.push(`Skipped read-only property "${propertyPath.join('.')}"`)
+            return
+        }
+
+        // Nested objects are flattened; their fields submit to the nested path
+        if (getPrimaryType(propertySchema) === 'object' && propertySchema.properties && !getEnumOptions(propertySchema)) {
+            fields.push(...importProperties(propertySchema, propertyPath, [...nameParts, key], propertyRequired, context))
+            return
+        }
+
+        const field = importField(key, propertySchema, propertyPath, [...nameParts, key], propertyRequired, context)
+        if (field) {
+            fields.push(field)
+        }
+    })
+
+    return fields
+}
+
+/**
+ * Converts one property into a field, or undefined when no field type fits
+ */
+function importField(
+    key: string,
+    schema: JsonSchema,
+    path: string[],
+    nameParts: string[],
+    required: boolean,
+    context: ImportContext
+): FieldDefinition | undefined {
+    const dotPath = path.join('.')
+    const type = getImportFieldType(schema, context)
+    if (!type) {
+        context.warnings.push(`Skipped property "${dotPath}": no field type for this schema`)
+        return undefined
+    }
+
+    const name = getUniqueName(toFieldName(nameParts), context.usedNames)
+    const field: FieldDefinition = {
+        name,
+        type,
+        label: schema.title || humanize(key),
+    }
+
+    if (dotPath !== name) {
+        if (path.every(segment => IDENTIFIER_PATTERN.test(segment))) {
+            field.submitField = dotPath
+        } else {
+            context.warnings.push(`Property "${dotPath}" is not valid dot notation; field "${name}" submits as "${name}"`)
+        }
+    }
+
+    if (schema.description) field.helpText = schema.description
+    if (schema.default !== undefined) field.defaultValue = schema.default
+
+    const example = schema.examples?.[0]
+    if (typeof example === 'string' || typeof example === 'number') {
+        field.placeholder = String(example)
+    }
+
+    const options = getEnumOptions(type === 'multi-select' ? resolveSchema(schema.items || {}, context) : schema)
+    if (options) {
+        field.props = { options }
+    }
+
+    if (type === 'repeater') {
+        const itemSchema = resolveSchema(schema.items || {}, context)
+        const rowContext: ImportContext = { ...context, usedNames: new Set() }
+        field.fields = importProperties(itemSchema, [], [], true, rowContext)
+        if (schema.minItems !== undefined) field.minItems = schema.minItems
+        if (schema.maxItems !== undefined) field.maxItems = schema.maxItems
+    }
+
+    const validation = getImportValidation(schema, type, required)
+    if (Object.keys(validation).length > 0) {
+        field.validation = validation
+    }
+
+    return field
+}
+
+/**
+ * Picks the field type for a property schema
+ */
+function getImportFieldType(schema: JsonSchema, context: ImportContext): FieldType | undefined {
+    if (getEnumOptions(schema)) return 'select'
+
+    switch (getPrimaryType(schema)) {
+        case 'string':
+            return STRING_FORMAT_TYPES[schema.format || ''] || (schema.maxLength !== undefined && schema.maxLength > 255 ? 'textarea' : 'text')
+        case 'number':
+        case 'integer':
+            return 'number'
+        case 'boolean':
+            return 'checkbox'
+        case 'array': {
+            const itemSchema = resolveSchema(schema.items || {}, context)
+            if (getEnumOptions(itemSchema)) return 'multi-select'
+            if (getPrimaryType(itemSchema) === 'object' && itemSchema.properties) return 'repeater'
+            return undefined
+        }
+        default:
+            return undefined
+    }
+}
+
+/**
+ * Maps JSON Schema keywords onto validation rules
+ * Booleans always have a value in the form, so "required" is left off checkboxes
+ */
+function getImportValidation(schema: JsonSchema, type: FieldType, required: boolean): ValidationRule {
+    const validation: ValidationRule = {}
+
+    if (required && type !== 'checkbox') validation.required = true
+
+    if (type === 'number') {
+        if (schema.minimum !== undefined) validation.min = schema.minimum
+        if (schema.maximum !== undefined) validation.max = schema.maximum
+        return validation
+    }
+
+    if (schema.minLength !== undefined) validation.minLength = schema.minLength
+    if (schema.maxLength !== undefined) validation.maxLength = schema.maxLength
+    if (schema.pattern !== undefined) validation.pattern = schema.pattern
+
+    return validation
+}
+
+/**
+ * Gets select options from `enum` or from `oneOf`/`anyOf` entries with a `const` (titled or not)
+ */
+function getEnumOptions(schema: JsonSchema): { label: string; value: any }[] | undefined {
+    if (schema.enum) {
+        return schema.enum
+            .filter(value => value !== null)
+            .map(value => ({ label: String(value), value }))
+    }
+
+    const entries = schema.oneOf || schema.anyOf
+    if (entries && entries.length > 0 && entries.every(entry => entry.const !== undefined)) {
+        return entries.map(entry => ({ label: entry.title || String(entry.const), value: entry.const }))
+    }
+
+    return undefined
+}
+
+/**
+ * Follows local $ref pointers and merges allOf members into one schema
+ */
+function resolveSchema(schema: JsonSchema, context: ImportContext, depth: number = 0): JsonSchema {
+    if (depth > MAX_REF_DEPTH) {
+        context.warnings.push('Stopped resolving $ref: reference chain too deep')
+        return {}
+    }
+
+    let resolved = schema
+    if (schema.$ref) {
+        const target = resolvePointer(context.root, schema.$ref)
+        if (!target) {
+            context.warnings.push(`Could not resolve $ref "${schema.$ref}"`)
+            return {}
+        }
+
+        // Sibling keywords (title, description) override the referenced schema
+        const siblings: JsonSchema = { ...schema }
+        delete siblings.$ref
+        resolved = { ...resolveSchema(target, context, depth + 1), ...siblings }
+    }
+
+    if (resolved.allOf) {
+        const { allOf, ...rest } = resolved
+        return allOf
+            .map(member => resolveSchema(member, context, depth + 1))
+            .reduce(mergeSchemas, rest)
+    }
+
+    return resolved
+}
+
+/**
+ * Resolves a local JSON pointer ("#/$defs/address") against the root schema
+ */
+function resolvePointer(root: JsonSchema, ref: string): JsonSchema | undefined {
+    if (!ref.startsWith('#')) return undefined
+
+    return ref
+        .slice(1)
+        .split('/')
+        .filter(Boolean)
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce<any>((current, part) => current?.[part], root)
+}
+
+/**
+ * Merges two schemas; properties and required lists are combined
+ */
+function mergeSchemas(target: JsonSchema, source: JsonSchema): JsonSchema {
+    const merged: JsonSchema = { ...target, ...source }
+
+    if (target.properties || source.properties) {
+        merged.properties = { ...target.properties, ...source.properties }
+    }
+    if (target.required || source.required) {
+        merged.required = Array.from(new Set([...(target.required || []), ...(source.required || [])]))
+    }
+
+    return merged
+}
+
+/**
+ * Gets the non-null type of a schema (["string", "null"] → "string")
+ */
+function getPrimaryType(schema: JsonSchema): JsonSchemaType | undefined {
+    if (Array.isArray(schema.type)) {
+        return schema.type.find(type => type !== 'null')
+    }
+    if (schema.type) return schema.type
+    if (schema.properties) return 'object'
+    if (schema.items) return 'array'
+    return undefined
+}
+
+/**
+ * Joins property keys into a camelCase field name: ["billing_address", "city"] → "billingAddressCity"
+ */
+function toFieldName(parts: string[]): string {
+    const words = parts.flatMap(part => part.split(/[^a-zA-Z0-9]+/)).filter(Boolean)
+    const name = words
+        .map((word, index) => (index === 0 ? word.charAt(0).toLowerCase() : word.charAt(0).toUpperCase()) + word.slice(1))
+        .join('')
+
+    if (!name) return 'field'
+    return /^[0-9]/.test(name) ? `field${name}` : name
+}
+
+/**
+ * Returns the name, or the name with the first free numeric suffix
+ */
+function getUniqueName(name: string, usedNames: Set<string>): string {
+    let unique = name
+    for (let suffix = 2; usedNames.has(unique); suffix++) {
+        unique = `${name}${suffix}`
+    }
+    usedNames.add(unique)
+    return unique
+}
+
+/**
+ * Turns a property key into a label: "firstName" / "first_name" → "First name"
+ */
+function humanize(key: string): string {
+    const words = key
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/[_\-.]+/g, ' ')
+        .trim()
+        .toLowerCase()
+
+    return words.charAt(0).toUpperCase() + words.slice(1)
+}
+
+function toSlug(text: string): string {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+}
+
+/**
+ * Builds the JSON Schema of the payload buildPayload emits for a config
+ * Properties sit at each field's submitField path. A property is required when its field
+ * is always visible and always carries a value (a required rule without validateIf, a
+ * default, or an empty value that is still submitted, like "" or false).
+ * submitConfig.transformPayload is not applied; describe its output separately.
+ */
+export function buildPayloadSchema(config: FormConfig): JsonSchema {
+    const schema: JsonSchema = {
+        $schema: JSON_SCHEMA_DIALECT,
+        title: resolveText(config.metadata.title),
+        ...createObjectSchema(),
+    }
+
+    if (config.metadata.description) {
+        schema.description = resolveText(config.metadata.description)
+    }
+
+    config.steps.forEach(step => {
+        step.fields.forEach(field => {
+            const path = field.submitField || field.name
+            const alwaysVisible = !step.showIf && !field.showIf
+
+            if (field.type === 'repeater') {
+                addRepeaterSchema(schema, field, path, alwaysVisible, config)
+                return
+            }
+
+            setSchemaAtPath(schema, path, getFieldValueSchema(field, config), alwaysVisible && isAlwaysSubmitted(field))
+        })
+    })
+
+    return schema
+}
+
+/**
+ * Adds a repeater's arrays and its row fields (at "<path>[].<row path>", or their own "[]" path)
+ */
+function addRepeaterSchema(
+    schema: JsonSchema,
+    field: FieldDefinition,
+    path: string,
+    alwaysVisible: boolean,
+    config: FormConfig
+): void {
+    const arraySchema: JsonSchema = {
+        type: 'array',
+        items: createObjectSchema(),
+        ...getAnnotations(field),
+    }
+
+    const minItems = field.minItems ?? (isStrictlyRequired(field) ? 1 : undefined)
+    if (minItems !== undefined) arraySchema.minItems = minItems
+    if (field.maxItems !== undefined) arraySchema.maxItems = field.maxItems
+
+    // buildPayload writes the rows' arrays, not the repeater path, when every row field is absolute
+    const rowFields = field.fields || []
+    const rowPaths = rowFields.map(rowField => rowField.submitField?.includes('[]')
+        ? rowField.submitField
+        : `${path}[].${rowField.submitField || rowField.name}`)
+    const arrayPaths = rowPaths.length > 0 ? rowPaths.map(rowPath => rowPath.slice(0, rowPath.indexOf('[]'))) : [path]
+
+    new Set(arrayPaths).forEach(arrayPath => {
+        setSchemaAtPath(schema, arrayPath, structuredClone(arraySchema), alwaysVisible)
+    })
+
+    // Row values are created with defaults, so every row field is submitted (visibility is not checked per row)
+    rowFields.forEach((rowField, index) => {
+        setSchemaAtPath(schema, rowPaths[index]!, getFieldValueSchema(rowField, config), isAlwaysSubmitted(rowField))
+    })
+}
+
+/**
+ * Places a property schema at a dot notation path, creating objects (and arrays for "[]" segments)
+ * A required property makes every object on its path required too
+ */
+function setSchemaAtPath(schema: JsonSchema, path: string, value: JsonSchema, required: boolean): void {
+    const segments = path.split('.')
+    let current = schema
+
+    segments.forEach((segment, index) => {
+        const isArray = segment.endsWith('[]')
+        const key = isArray ? segment.slice(0, -2) : segment
+        const isLast = index === segments.length - 1
+        const properties = (current.properties ??= {})
+
+        if (required && !(current.required ??= []).includes(key)) {
+            current.required!.push(key)
+        }
+
+        if (isLast) {
+            properties[key] = isArray ? { type: 'array', items: value } : value
+            return
+        }
+
+        if (isArray) {
+            const existing = properties[key]
+            const arraySchema = existing?.type === 'array' ? existing : (properties[key] = { type: 'array', items: createObjectSchema() })
+            if (arraySchema.items?.type !== 'object') {
+                arraySchema.items = createObjectSchema()
+            }
+            current = arraySchema.items!
+            return
+        }
+
+        const existing = properties[key]
+        current = existing?.type === 'object' ? existing : (properties[key] = createObjectSchema())
+    })
+}
+
+/**
+ * Builds the schema of the value a field submits
+ */
+function getFieldValueSchema(field: FieldDefinition, config: FormConfig): JsonSchema {
+    const annotations = getAnnotations(field)
+    const strict = isStrictlyRequired(field)
+
+    // Registered field types define their own values
+    if (getFieldType(field.type)) {
+        return annotations
+    }
+
+    switch (field.type) {
+        case 'number': {
+            const schema: JsonSchema = { type: 'number', ...annotations }
+            if (field.validation?.min !== undefined) schema.minimum = field.validation.min
+            if (field.validation?.max !== undefined) schema.maximum = field.validation.max
+            return schema
+        }
+        case 'checkbox':
+            return strict ? { type: 'boolean', const: true, ...annotations } : { type: 'boolean', ...annotations }
+        case 'toggle':
+            return { type: 'boolean', ...annotations }
+        case 'select':
+        case 'radio':
+            return { ...getOptionValueSchema(field, strict), ...annotations }
+        case 'multi-select':
+            return { type: 'array', items: getOptionValueSchema(field, true), ...annotations }
+        case 'file':
+            return { ...getFileValueSchema(field, config, strict), ...annotations }
+        default:
+            return { ...getStringValueSchema(field, strict), ...annotations }
+    }
+}
+
+/**
+ * Schema of a string field: format, length and pattern rules
+ * Empty strings are submitted for unfilled optional fields, so they are allowed alongside the rules
+ */
+function getStringValueSchema(field: FieldDefinition, strict: boolean): JsonSchema {
+    const validation = field.validation || {}
+    const schema: JsonSchema = { type: 'string' }
+
+    if (field.type === 'email' || validation.email) schema.format = 'email'
+    if (field.type === 'url' || validation.url) schema.format = 'uri'
+    if (field.type === 'date') schema.format = 'date'
+    if (validation.minLength !== undefined) schema.minLength = validation.minLength
+    if (validation.maxLength !== undefined) schema.maxLength = validation.maxLength
+
+    const patterns: string[] = []
+    if (field.type === 'time' || field.type === 'datetime') {
+        patterns.push(getDateValuePattern(field.type).source)
+    }
+    if (validation.pattern !== undefined) {
+        patterns.push(typeof validation.pattern === 'string' ? validation.pattern : validation.pattern.source)
+    }
+
+    // A time value must match both its input format and the configured pattern
+    if (patterns.length === 1) {
+        schema.pattern = patterns[0]
+    } else if (patterns.length > 1) {
+        schema.allOf = patterns.map(pattern => ({ pattern }))
+    }
+
+    if (strict) {
+        schema.minLength = Math.max(schema.minLength ?? 0, 1)
+        return schema
+    }
+
+    return Object.keys(schema).length > 1 ? wrapOptional(schema) : schema
+}
+
+/**
+ * Allows "" next to a constrained string schema
+ */
+function wrapOptional(schema: JsonSchema): JsonSchema {
+    return { anyOf: [schema, { const: '' }] }
+}
+
+/**
+ * Schema of a select/radio value: the static option values, or any string for API options
+ */
+function getOptionValueSchema(field: FieldDefinition, strict: boolean): JsonSchema {
+    const options = field.props?.options
+    if (field.dataSource || !Array.isArray(options)) {
+        return strict ? { type: 'string', minLength: 1 } : { type: 'string' }
+    }
+
+    const values = options.map((option: Record<string, any>) => option.value)
+    return { enum: strict ? values : [...values, ''] }
+}
+
+/**
+ * Schema of a file field: uploaded file IDs in preUpload mode, binary parts in multipart mode
+ * Multiple-file fields submit a list; single-file fields one value or null
+ */
+function getFileValueSchema(field: FieldDefinition, config: FormConfig, strict: boolean): JsonSchema {
+    const item: JsonSchema = config.submitConfig?.fileUpload?.mode === 'preUpload'
+        ? { type: ['string', 'number'] }
+        : { type: 'string', format: 'binary' }
+
+    if (isMultipleFileField(field)) {
+        const schema: JsonSchema = { type: 'array', items: item }
+        if (strict) schema.minItems = 1
+        if (field.validation?.maxFiles !== undefined) schema.maxItems = field.validation.maxFiles
+        return schema
+    }
+
+    return strict ? item : { anyOf: [item, { type: 'null' }] }
+}
+
+/**
+ * Title and description of a field, in the active locale
+ */
+function getAnnotations(field: FieldDefinition): JsonSchema {
+    const annotations: JsonSchema = {}
+    const title = resolveText(field.label)
+    const description = resolveText(field.helpText)
+
+    if (title) annotations.title = title
+    if (description) annotations.description = description
+    if (field.defaultValue !== undefined) annotations.default = field.defaultValue
+
+    return annotations
+}
+
+/**
+ * Whether a field's required rule applies unconditionally
+ */
+function isStrictlyRequired(field: FieldDefinition): boolean {
+    return !!field.validation?.required && !field.validation.validateIf
+}
+
+/**
+ * Whether a visible field always ends up in the payload
+ * buildPayload only skips undefined values, which only unfilled number fields (and
+ * custom types with an undefined empty value) hold
+ */
+function isAlwaysSubmitted(field: FieldDefinition): boolean {
+    return isStrictlyRequired(field) || field.defaultValue !== undefined || getEmptyValue(field.type) !== undefined
+}
+
+function createObjectSchema(): JsonSchema {
+    return { type: 'object', properties: {}, additionalProperties: false }
+}
@@ -2,6 +2,12 @@
 // Based on specs/001-form-config-generator/data-model.md
 
 import type { FieldDefinition } from '@/types/formConfig'
+import type { PayloadTransform } from '@/types/submission'
+import { evaluateExpression } from '@/utils/expression'
+import { computeValues } from '@/utils/computed'
+import { isFileLike, isMultipleFileField } from '@/utils/file'
+
+type PathKey = string | number
 
 /**
  * Builds submission payload from form values according to field submitField mappings
@@ -14,6 +20,9 @@ export function buildPayload(
 ): Record<string, any> {
     const payload: Record<string, any> = {}
 
+    // Computed fields are re-evaluated so the payload never carries a stale derived value
+    values = computeValues(fields, values)
+
     fields.forEach(field => {
         // Skip fields that are not visible (conditional fields)
         if (visibleFields && !visibleFields.has(field.name)) {
@@ -29,6 +38,19 @@ export function buildPayload(
         // Use submitField mapping if specified, otherwise use field name
         const targetPath = field.submitField || field.name
 
+        // Repeater rows are emitted as arrays at their row field paths
+        if (field.type === 'repeater') {
+            setRepeaterValue(payload, field, targetPath, Array.isArray(value) ? value : [])
+            return
+        }
+
+        // File fields hold a list; single-file fields submit the file itself (or null)
+        if (field.type === 'file') {
+            const files = Array.isArray(value) ? value : [value]
+            setNestedValue(payload, targetPath, isMultipleFileField(field) ? files : files[0] ?? null)
+            return
+        }
+
         // Set value in payload using dot notation
         setNestedValue(payload, targetPath, value)
     })
@@ -36,19 +58,93 @@ export function buildPayload(
     return payload
 }
 
+/**
+ * Writes repeater rows into the payload
+ * Row fields without a submitField land at "<repeater path>[].<name>"; a relative
+ * submitField ("info.name") is appended to the repeater path, while an absolute
+ * one containing "[]" ("dependents[].name") is used as-is
+ */
+function setRepeaterValue(
+    payload: Record<string, any>,
+    field: FieldDefinition,
+    basePath: string,
+    rows: Record<string, any>[]
+): void {
+    const rowFields = field.fields || []
+    const rowPaths = rowFields.map(rowField => rowField.submitField?.includes('[]')
+        ? rowField.submitField
+        : `${basePath}[].${rowField.submitField || rowField.name}`)
+
+    // Emit an empty array at each array the rows use when there are no rows
+    const arrayPaths = rowPaths.length > 0 ? rowPaths.map(path => path.slice(0, path.indexOf('[]'))) : [basePath]
+    new Set(arrayPaths).forEach(path => {
+        if (getNestedValue(payload, path) === undefined) {
+            setNestedValue(payload, path, [])
+        }
+    })
+
+    rows.forEach((row, index) => {
+        rowFields.forEach((rowField, fieldIndex) => {
+            const value = row?.[rowField.name]
+            if (value === undefined) {
+                return
+            }
+
+            setNestedValue(payload, resolveArrayPath(rowPaths[fieldIndex]!, index), value)
+        })
+    })
+}
+
+/**
+ * Replaces the first "[]" placeholder in a path with a concrete row index
+ * Example: resolveArrayPath("dependents[].name", 2) → "dependents[2].name"
+ */
+function resolveArrayPath(path: string, index: number): string {
+    return path.replace('[]', `[${index}]`)
+}
+
+/**
+ * Splits a dot notation path into keys, turning "items[2]" segments into ["items", 2]
+ */
+function parsePath(path: string): PathKey[] {
+    const keys: PathKey[] = []
+
+    path.split('.').forEach(segment => {
+        const match = segment.match(/^([^[\]]+)((?:\[\d+\])*)$/)
+        if (!match) {
+            keys.push(segment)
+            return
+        }
+
+        keys.push(match[1]!)
+        for (const indexMatch of match[2]!.matchAll(/\[(\d+)\]/g)) {
+            keys.push(Number(indexMatch[1]))
+        }
+    })
+
+    return keys
+}
+
 /**
  * Sets a value in a nested object using dot notation
  * Example: setNestedValue(obj, "user.profile.name", "John") → { user: { profile: { name: "John" } } }
+ * Indexed segments create arrays: "items[0].name" → { items: [{ name: "John" }] }
  */
 function setNestedValue(obj: Record<string, any>, path: string, value: any): void {
-    const keys = path.split('.')
-    let current = obj
+    setPathValue(obj, parsePath(path), value)
+}
+
+/**
+ * Sets a value at a parsed key path, creating objects (or arrays for numeric keys) on the way
+ */
+function setPathValue(obj: Record<string, any>, keys: PathKey[], value: any): void {
+    let current: any = obj
 
     // Navigate/create nested structure
     for (let i = 0; i < keys.length - 1; i++) {
         const key = keys[i]!
         if (!current[key] || typeof current[key] !== 'object') {
-            current[key] = {}
+            current[key] = typeof keys[i + 1] === 'number' ? [] : {}
         }
         current = current[key]
     }
@@ -63,8 +159,8 @@ function setNestedValue(obj: Record<string, any>, path: string, value: any): voi
  * Example: getNestedValue({ user: { profile: { name: "John" } } }, "user.profile.name") → "John"
  */
 export function getNestedValue(obj: Record<string, any>, path: string): any {
-    const keys = path.split('.')
-    let current = obj
+    const keys = parsePath(path)
+    let current: any = obj
 
     for (const key of keys) {
         if (current === null || current === undefined) {
@@ -76,6 +172,175 @@ export function getNestedValue(obj: Record<string, any>, path: string): any {
     return current
 }
 
+/**
+ * Applies a submitConfig.transformPayload to a built payload, in order:
+ * include → exclude → rename → expression
+ *
+ * Paths use the payload's dot notation; "*" (or "[]") matches any single key or
+ * array index and "**" matches any depth. Rename targets may reuse the source's
+ * "*" wildcards in the same order: { "items[].qty": "items[].quantity" }
+ */
+export function transformPayload(
+    payload: Record<string, any>,
+    transform: PayloadTransform | undefined,
+    values: Record<string, any> = {}
+): Record<string, any> {
+    if (!transform) return payload
+
+    // Work on a copy - built payloads share arrays and objects with form values
+    let result: Record<string, any> = clonePayload(payload)
+
+    if (transform.include && transform.include.length > 0) {
+        const included: Record<string, any> = {}
+        transform.include.forEach(pattern => {
+            expandPattern(result, parsePattern(pattern)).forEach(keys => {
+                setPathValue(included, keys, getPathValue(result, keys))
+            })
+        })
+        result = included
+    }
+
+    if (transform.exclude && transform.exclude.length > 0) {
+        const paths = transform.exclude.flatMap(pattern => expandPattern(result, parsePattern(pattern)))
+        removePaths(result, paths)
+    }
+
+    if (transform.rename) {
+        // Read every move before writing any, so renames can swap keys
+        const moves = Object.entries(transform.rename).flatMap(([from, to]) => {
+            const targetSegments = parsePattern(to)
+            return expandPattern(result, parsePattern(from)).map(keys => ({
+                from: keys,
+                to: fillWildcards(targetSegments, parsePattern(from), keys),
+                value: getPathValue(result, keys),
+            }))
+        })
+
+        removePaths(result, moves.map(move => move.from))
+        moves.forEach(move => setPathValue(result, move.to, move.value))
+    }
+
+    if (transform.expression) {
+        try {
+            result = evaluateExpression(transform.expression, { values, variables: { payload: result } })
+        } catch (error) {
+            console.error('Payload transformation error:', error)
+        }
+    }
+
+    return result
+}
+
+/**
+ * Splits a path pattern into segments: "items[].tags[0]" → ["items", "*", "tags", "0"]
+ */
+function parsePattern(pattern: string): string[] {
+    return pattern
+        .replace(/\[\]/g, '.*')
+        .replace(/\[(\d+)\]/g, '.$1')
+        .split('.')
+        .filter(segment => segment !== '')
+}
+
+/**
+ * Expands a path pattern into the concrete key paths it matches in an object
+ */
+function expandPattern(node: any, segments: string[], prefix: PathKey[] = []): PathKey[][] {
+    if (segments.length === 0) {
+        return prefix.length > 0 ? [prefix] : []
+    }
+
+    const [segment, ...rest] = segments
+    const keys = childKeys(node)
+
+    if (segment === '**') {
+        // Zero segments, or one more level with "**" still pending
+        return dedupePaths([
+            ...expandPattern(node, rest, prefix),
+            ...keys.flatMap(key => expandPattern(node[key], segments, [...prefix, key])),
+        ])
+    }
+
+    return keys
+        .filter(key => segment === '*' || String(key) === segment)
+        .flatMap(key => expandPattern(node[key], rest, [...prefix, key]))
+}
+
+/**
+ * Substitutes the keys matched by a source pattern's "*" wildcards into a target pattern
+ */
+function fillWildcards(target: string[], source: string[], keys: PathKey[]): PathKey[] {
+    const captures = keys.filter((_, index) => source[index] === '*')
+    return target.map(segment => {
+        if (segment === '*') return captures.shift() ?? segment
+        return /^\d+$/.test(segment) ? Number(segment) : segment
+    })
+}
+
+/**
+ * Removes key paths from an object; array elements are spliced out
+ */
+function removePaths(obj: Record<string, any>, paths: PathKey[][]): void {
+    // Deepest paths and highest indices first, so earlier removals don't shift later ones
+    const ordered = [...paths].sort((a, b) => comparePaths(b, a))
+
+    ordered.forEach(keys => {
+        const parent = getPathValue(obj, keys.slice(0, -1))
+        const key = keys[keys.length - 1]!
+
+        if (Array.isArray(parent)) {
+            parent.splice(Number(key), 1)
+        } else if (parent && typeof parent === 'object') {
+            delete parent[key]
+        }
+    })
+}
+
+function comparePaths(a: PathKey[], b: PathKey[]): number {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] === b[i]) continue
+        return typeof a[i] === 'number' && typeof b[i] === 'number'
+            ? (a[i] as number) - (b[i] as number)
+            : String(a[i]).localeCompare(String(b[i]))
+    }
+    return a.length - b.length
+}
+
+function dedupePaths(paths: PathKey[][]): PathKey[][] {
+    const seen = new Set<string>()
+    return paths.filter(keys => {
+        const id = JSON.stringify(keys)
+        if (seen.has(id)) return false
+        seen.add(id)
+        return true
+    })
+}
+
+function childKeys(node: any): PathKey[] {
+    if (Array.isArray(node)) return node.map((_, index) => index)
+    if (isPlainObject(node)) return Object.keys(node)
+    return []
+}
+
+function getPathValue(obj: any, keys: PathKey[]): any {
+    return keys.reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), obj)
+}
+
+function isPlainObject(value: any): value is Record<string, any> {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+}
+
+/**
+ * Deep-copies plain objects and arrays; other values (Files, Dates) are kept by reference
+ */
+function clonePayload<T>(value: T): T {
+    if (Array.isArray(value)) return value.map(item => clonePayload(item)) as T
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clonePayload(item)])) as T
+    }
+    return value
+}
+
 /**
  * Flattens nested object to dot notation keys
  * Example: { user: { name: "John" } } → { "user.name": "John" }
@@ -86,7 +351,7 @@ export function flattenObject(obj: Record<string, any>, prefix = ''): Record<str
     for (const [key, value] of Object.entries(obj)) {
         const newKey = prefix ? `${prefix}.${key}` : key
 
-        if (value && typeof value === 'object' && !Array.isArray(value)) {
+        if (value && typeof value === 'object' && !Array.isArray(value) && !isFileLike(value)) {
             Object.assign(result, flattenObject(value, newKey))
         } else {
             result[newKey] = value
@@ -95,3 +360,44 @@ export function flattenObject(obj: Record<string, any>, prefix = ''): Record<str
 
     return result
 }
+
+/**
+ * Checks whether a payload contains File/Blob values at any depth
+ */
+export function hasFiles(value: any): boolean {
+    if (isFileLike(value)) return true
+    if (Array.isArray(value)) return value.some(item => hasFiles(item))
+    if (isPlainObject(value)) return Object.values(value).some(item => hasFiles(item))
+    return false
+}
+
+/**
+ * Encodes a payload as multipart/form-data
+ * Keys use the payload's path notation ("user.name", "items[0].qty"); a list of
+ * files is sent as repeated parts under one key, the way a multiple file input is
+ * Example: { user: { name: "Jo" }, docs: [a, b] } → user.name=Jo, docs=<a>, docs=<b>
+ */
+export function toFormData(payload: Record<string, any>): FormData {
+    const formData = new FormData()
+
+    const append = (key: string, value: any): void => {
+        if (value === undefined || value === null) return
+
+        if (isFileLike(value)) {
+            formData.append(key, value, value instanceof File ? value.name : 'blob')
+        } else if (Array.isArray(value)) {
+            if (value.length > 0 && value.every(item => isFileLike(item))) {
+                value.forEach(file => append(key, file))
+            } else {
+                value.forEach((item, index) => append(`${key}[${index}]`, item))
+            }
+        } else if (isPlainObject(value)) {
+            Object.entries(value).forEach(([childKey, item]) => append(key ? `${key}.${childKey}` : childKey, item))
+        } else {
+            formData.append(key, String(value))
+        }
+    }
+
+    append('', payload)
+    return formData
+}
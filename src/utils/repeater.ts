@@ -0,0 +1,64 @@
+// Repeater Helpers - Row creation and reordering for repeater fields
+// Based on specs/001-form-config-generator/data-model.md
+
+import type { FieldDefinition } from '@/types/formConfig'
+import { getEmptyValue } from '@/services/fieldType.service'
+
+/**
+ * Key holding a row's stable id; a symbol, so payloads, validation and JSON never see it
+ */
+const ROW_ID = Symbol('repeaterRowId')
+
+let nextRowId = 0
+
+/**
+ * Returns a row's stable id, assigning one to rows created elsewhere (drafts, initialValues)
+ * Spreading a row ({ ...row, name }) carries the id over, so edits keep the row's identity
+ */
+export function getRowId(row: Record<string | symbol, any>): number {
+    if (row[ROW_ID] === undefined) {
+        row[ROW_ID] = ++nextRowId
+    }
+    return row[ROW_ID]
+}
+
+/**
+ * Creates a new repeater row with default (or empty) values for each row field
+ */
+export function createRepeaterRow(fields: FieldDefinition[]): Record<string, any> {
+    const row: Record<string, any> = {}
+    getRowId(row)
+
+    fields.forEach(field => {
+        if (field.defaultValue !== undefined) {
+            row[field.name] = field.defaultValue
+            return
+        }
+
+        row[field.name] = getEmptyValue(field.type)
+    })
+
+    return row
+}
+
+/**
+ * Creates the initial rows for a repeater field (honours minItems)
+ */
+export function createInitialRows(field: FieldDefinition): Record<string, any>[] {
+    const count = field.minItems ?? 0
+    return Array.from({ length: count }, () => createRepeaterRow(field.fields || []))
+}
+
+/**
+ * Returns a copy of rows with the row at `from` moved to `to`
+ */
+export function moveRow<T>(rows: T[], from: number, to: number): T[] {
+    if (from === to || to < 0 || to >= rows.length) {
+        return rows
+    }
+
+    const result = [...rows]
+    const [moved] = result.splice(from, 1)
+    result.splice(to, 0, moved!)
+    return result
+}
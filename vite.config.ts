@@ -1,13 +1,52 @@
 import { defineConfig } from 'vite'
 import vue from '@vitejs/plugin-vue'
+import dts from 'vite-plugin-dts'
 import { fileURLToPath, URL } from 'node:url'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [vue()],
-  resolve: {
-    alias: {
-      '@': fileURLToPath(new URL('./src', import.meta.url))
+export default defineConfig(({ mode }) => {
+  const alias = {
+    '@': fileURLToPath(new URL('./src', import.meta.url))
+  }
+
+  // Library build (`vite build --mode lib`): src/index.ts and the Vue-free
+  // src/core entry, so the demo views, router and sample configs are left out
+  if (mode === 'lib') {
+    return {
+      plugins: [
+        vue(),
+        dts({
+          tsconfigPath: './tsconfig.app.json',
+          entryRoot: 'src',
+          outDir: 'dist/lib/types',
+          exclude: ['src/main.ts', 'src/router/**', 'src/views/**', 'src/components/demo/**', 'src/config/samples/**']
+        })
+      ],
+      resolve: { alias },
+      build: {
+        outDir: 'dist/lib',
+        copyPublicDir: false,
+        lib: {
+          entry: {
+            'dynamic-forms': fileURLToPath(new URL('./src/index.ts', import.meta.url)),
+            core: fileURLToPath(new URL('./src/core/index.ts', import.meta.url))
+          },
+          formats: ['es', 'cjs'],
+          fileName: (format, entryName) => `${entryName}.${format === 'es' ? 'js' : 'cjs'}`
+        },
+        rollupOptions: {
+          // Provided by the host app
+          external: ['vue', 'axios', 'zod'],
+          output: {
+            exports: 'named'
+          }
+        }
+      }
     }
   }
+
+  return {
+    plugins: [vue()],
+    resolve: { alias }
+  }
 })